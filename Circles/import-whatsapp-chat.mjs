@@ -0,0 +1,150 @@
+// import-whatsapp-chat.mjs
+// Imports a WhatsApp "Export chat" .txt file into a circle, keeping the
+// original timestamps and author names. Parsing and question/answer
+// grouping live in ../lambdas/chat-import.js (same code as
+// POST /api/circles/{circleId}/import, which caps uploads at 1000 messages).
+
+// execute this first:
+// npm install @aws-sdk/client-dynamodb @aws-sdk/lib-dynamodb
+
+// to execute:
+// node import-whatsapp-chat.mjs <circleId> <chat.txt> --dry-run
+// node import-whatsapp-chat.mjs <circleId> <chat.txt> --timezone=America/Chicago
+//
+// Options:
+//   --dry-run               parse and report, write nothing
+//   --timezone=<IANA>       zone the phone was in when exporting (default UTC)
+//   --date-order=<order>    auto (default), MDY, DMY or YMD
+//   --imported-by=<userId>  recorded on each item as importedByUserId
+//
+// Safe to re-run: messages already imported are skipped.
+
+// Imports
+import { readFileSync } from "node:fs";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  PutCommand,
+  QueryCommand,
+} from "@aws-sdk/lib-dynamodb";
+import chatImport from "../lambdas/chat-import.js";
+
+const { parseWhatsAppExport, buildImportItems, summarizeImportItems } =
+  chatImport;
+
+// Config
+const REGION = "us-east-1";
+const TABLE_NAME = "CirclesMessagesV2";
+const MESSAGE_ID_INDEX_NAME = "MessageIdIndex";
+
+const args = process.argv.slice(2);
+const positional = args.filter((a) => !a.startsWith("--"));
+const option = (name) => {
+  const found = args.find((a) => a.startsWith(`--${name}=`));
+  return found ? found.slice(name.length + 3) : undefined;
+};
+
+const [CIRCLE_ID, FILE_PATH] = positional;
+const DRY_RUN = args.includes("--dry-run");
+
+if (!CIRCLE_ID || !FILE_PATH) {
+  console.error(
+    "Usage: node import-whatsapp-chat.mjs <circleId> <chat.txt> [--dry-run] [--timezone=<IANA>] [--date-order=auto|MDY|DMY|YMD] [--imported-by=<userId>]"
+  );
+  process.exit(1);
+}
+
+// Dynamo client
+const dynamo = DynamoDBDocumentClient.from(
+  new DynamoDBClient({ region: REGION })
+);
+
+// Checked by messageId: the same export read with another --timezone has
+// other createdAts (so other messageKeys) but the same ids
+async function alreadyImported(item) {
+  const res = await dynamo.send(
+    new QueryCommand({
+      TableName: TABLE_NAME,
+      IndexName: MESSAGE_ID_INDEX_NAME,
+      KeyConditionExpression: "messageId = :m",
+      ExpressionAttributeValues: { ":m": item.messageId },
+    })
+  );
+  return (res.Items || []).some((it) => it.familyId === item.familyId);
+}
+
+async function put(item) {
+  if (await alreadyImported(item)) return false;
+
+  try {
+    await dynamo.send(
+      new PutCommand({
+        TableName: TABLE_NAME,
+        Item: item,
+        ConditionExpression: "attribute_not_exists(messageKey)",
+      })
+    );
+    return true;
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+    return false;
+  }
+}
+
+// Import function
+async function importChat() {
+  const parsed = parseWhatsAppExport(readFileSync(FILE_PATH, "utf8"), {
+    timezone: option("timezone"),
+    dateOrder: option("date-order"),
+  });
+  if (parsed.error) throw new Error(parsed.error);
+
+  const items = buildImportItems({
+    circleId: CIRCLE_ID,
+    messages: parsed.messages,
+    importedByUserId: option("imported-by"),
+    source: "whatsapp",
+    importedAt: new Date().toISOString(),
+  });
+
+  const summary = summarizeImportItems(items);
+  console.log(`Parsed ${FILE_PATH} (${parsed.dateOrder} dates):`);
+  console.log(
+    `  ${summary.total} messages: ${summary.questions} questions, ${summary.answers} answers, ${summary.standalone} standalone`
+  );
+  console.log(`  ${summary.firstAt} .. ${summary.lastAt}`);
+  console.log(`  ${parsed.skipped} system/media lines skipped`);
+  for (const author of summary.authors) {
+    console.log(`  ${author.name}: ${author.count}`);
+  }
+
+  if (DRY_RUN) {
+    for (const item of items.slice(0, 20)) {
+      const marker = item.messageType === "question" ? "Q" : item.questionId ? "  A" : "-";
+      console.log(`${marker} [${item.createdAt}] ${item.author}: ${item.text}`);
+    }
+    console.log("Dry run: nothing written.");
+    return;
+  }
+
+  let written = 0;
+  let duplicates = 0;
+
+  for (const item of items) {
+    if (await put(item)) written++;
+    else duplicates++;
+
+    if ((written + duplicates) % 200 === 0) {
+      console.log(`Processed ${written + duplicates} of ${items.length}`);
+    }
+  }
+
+  console.log(
+    `Done. ${written} messages imported into ${CIRCLE_ID}, ${duplicates} already there.`
+  );
+}
+
+importChat().catch((err) => {
+  console.error("Import failed:", err);
+  process.exit(1);
+});
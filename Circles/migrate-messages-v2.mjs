@@ -0,0 +1,142 @@
+// migrate-messages-v2.mjs
+// Copies every item from the legacy CirclesMessages table (familyId + createdAt)
+// into CirclesMessagesV2 (familyId + messageKey), adding messageKey/threadId.
+
+// execute this first:
+// npm install @aws-sdk/client-dynamodb @aws-sdk/lib-dynamodb
+
+// to execute (deploy the stack first so CirclesMessagesV2 exists):
+// node migrate-messages-v2.mjs --dry-run
+// node migrate-messages-v2.mjs
+//
+// Safe to re-run: items are written with the same keys every time.
+
+// Imports
+import { createHash } from "node:crypto";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  ScanCommand,
+  BatchWriteCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+// Config
+const REGION = "us-east-1";
+const SOURCE_TABLE_NAME = "CirclesMessages";
+const TARGET_TABLE_NAME = "CirclesMessagesV2";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Dynamo client
+const dynamo = DynamoDBDocumentClient.from(
+  new DynamoDBClient({ region: REGION })
+);
+
+// Utility: split into 25-item chunks
+function chunkArray(arr, size = 25) {
+  const chunks = [];
+  for (let i = 0; i < arr.length; i += size) {
+    chunks.push(arr.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Very old items may predate messageId; derive a stable one from the old key
+// so re-runs produce the same messageKey instead of duplicates.
+function legacyMessageId(item) {
+  const hash = createHash("sha256")
+    .update(`${item.familyId}#${item.createdAt}`)
+    .digest("hex")
+    .slice(0, 32);
+  return `msg_legacy_${hash}`;
+}
+
+// Same rules as circles-api-handler.js (buildMessageKey / getMessageThreadId)
+function toV2Item(item) {
+  const messageId = item.messageId || legacyMessageId(item);
+  const messageType = item.messageType || "answer";
+
+  const v2 = {
+    ...item,
+    messageId,
+    messageType,
+    messageKey: `${item.createdAt}#${messageId}`,
+  };
+
+  const threadId = messageType === "question" ? messageId : item.questionId;
+  if (threadId) {
+    v2.threadId = threadId;
+  }
+
+  return v2;
+}
+
+async function writeBatch(items) {
+  let requestItems = {
+    [TARGET_TABLE_NAME]: items.map((item) => ({
+      PutRequest: { Item: item },
+    })),
+  };
+
+  // Retry unprocessed items with a small backoff
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const res = await dynamo.send(
+      new BatchWriteCommand({ RequestItems: requestItems })
+    );
+
+    const unprocessed = res.UnprocessedItems || {};
+    if (!unprocessed[TARGET_TABLE_NAME] || !unprocessed[TARGET_TABLE_NAME].length) {
+      return;
+    }
+
+    requestItems = unprocessed;
+    await new Promise((r) => setTimeout(r, 100 * 2 ** attempt));
+  }
+
+  throw new Error("Gave up on unprocessed items after retries");
+}
+
+// Migrate function
+async function migrate() {
+  console.log(
+    `Migrating ${SOURCE_TABLE_NAME} -> ${TARGET_TABLE_NAME}${DRY_RUN ? " (dry run)" : ""}...`
+  );
+
+  let exclusiveStartKey = undefined;
+  let scanned = 0;
+  let generatedIds = 0;
+
+  do {
+    const res = await dynamo.send(
+      new ScanCommand({
+        TableName: SOURCE_TABLE_NAME,
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    const items = res.Items || [];
+    scanned += items.length;
+
+    const v2Items = items.map((item) => {
+      if (!item.messageId) generatedIds++;
+      return toV2Item(item);
+    });
+
+    if (!DRY_RUN) {
+      for (const batch of chunkArray(v2Items, 25)) {
+        await writeBatch(batch);
+      }
+    }
+
+    console.log(`Processed ${scanned} items so far`);
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  console.log(
+    `Done. ${scanned} items ${DRY_RUN ? "would be" : ""} written; ${generatedIds} needed a generated messageId.`
+  );
+}
+
+migrate().catch((err) => {
+  console.error("Migration failed:", err);
+  process.exit(1);
+});
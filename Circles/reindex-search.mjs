@@ -0,0 +1,91 @@
+// reindex-search.mjs
+// Fills CircleSearchIndex for messages posted before search existed.
+// Stamps `searchReindexRequestedAt` on every message in CirclesMessagesV2;
+// the stream sends each one through search-indexer.js, which (re)writes
+// its index rows. Tokenizing stays in one place that way.
+
+// execute this first:
+// npm install @aws-sdk/client-dynamodb @aws-sdk/lib-dynamodb
+
+// to execute (deploy the stack first so the stream + indexer exist):
+// node reindex-search.mjs --dry-run
+// node reindex-search.mjs
+//
+// Safe to re-run: it just indexes everything again.
+
+// Imports
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  ScanCommand,
+  UpdateCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+// Config
+const REGION = "us-east-1";
+const TABLE_NAME = "CirclesMessagesV2";
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Dynamo client
+const dynamo = DynamoDBDocumentClient.from(
+  new DynamoDBClient({ region: REGION })
+);
+
+async function stamp(item, nowIso) {
+  try {
+    await dynamo.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: { familyId: item.familyId, messageKey: item.messageKey },
+        UpdateExpression: "SET searchReindexRequestedAt = :now",
+        // Don't resurrect a message deleted since the scan
+        ConditionExpression: "attribute_exists(messageKey)",
+        ExpressionAttributeValues: { ":now": nowIso },
+      })
+    );
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+  }
+}
+
+// Reindex function
+async function reindex() {
+  console.log(`Reindexing ${TABLE_NAME}${DRY_RUN ? " (dry run)" : ""}...`);
+
+  const nowIso = new Date().toISOString();
+  let exclusiveStartKey = undefined;
+  let scanned = 0;
+  let stamped = 0;
+
+  do {
+    const res = await dynamo.send(
+      new ScanCommand({
+        TableName: TABLE_NAME,
+        ProjectionExpression: "familyId, messageKey, deleted",
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    const items = res.Items || [];
+    scanned += items.length;
+
+    for (const item of items) {
+      // Tombstones have nothing to index
+      if (item.deleted) continue;
+      if (!DRY_RUN) await stamp(item, nowIso);
+      stamped++;
+    }
+
+    console.log(`Processed ${scanned} items so far`);
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  console.log(
+    `Done. ${stamped} of ${scanned} messages ${DRY_RUN ? "would be" : ""} queued for indexing.`
+  );
+}
+
+reindex().catch((err) => {
+  console.error("Reindex failed:", err);
+  process.exit(1);
+});
@@ -4,6 +4,7 @@ import { Identity, EmailIdentity } from "aws-cdk-lib/aws-ses";
 import { HostedZone } from "aws-cdk-lib/aws-route53";
 
 import * as s3 from 'aws-cdk-lib/aws-s3';
+import * as s3n from 'aws-cdk-lib/aws-s3-notifications';
 import * as cloudfront from 'aws-cdk-lib/aws-cloudfront';
 import * as origins from 'aws-cdk-lib/aws-cloudfront-origins';
 import * as acm from 'aws-cdk-lib/aws-certificatemanager';
@@ -17,6 +18,8 @@ import * as cognito from 'aws-cdk-lib/aws-cognito';
 import * as iam from 'aws-cdk-lib/aws-iam';
 import * as sqs from 'aws-cdk-lib/aws-sqs';
 import * as lambdaEventSources from 'aws-cdk-lib/aws-lambda-event-sources';
+import * as events from 'aws-cdk-lib/aws-events';
+import * as eventsTargets from 'aws-cdk-lib/aws-events-targets';
 import * as path from 'path';
 
 import * as dotenv from 'dotenv';
@@ -87,12 +90,117 @@ export class CirclesStack extends Stack {
       enforceSSL: true,
     });
 
-    // --- DynamoDB Table ---
-    const table = new dynamodb.Table(this, 'CirclesTable', {
+    // --- S3 Bucket for message attachments (private; served via CloudFront signed URLs) ---
+    // uploads/{circleId}/{userId}/{attachmentId}  presigned POST target, claimed on post
+    //                                              (create-only {attachmentId}.claim marker)
+    // media/{circleId}/{attachmentId}/original     + thumb.jpg (media-thumbnailer.js)
+    const mediaBucket = new s3.Bucket(this, 'CirclesMediaBucket', {
+      bucketName: `circles-media-behrens-hub-${process.env.CDK_DEFAULT_ACCOUNT}`,
+      removalPolicy: RemovalPolicy.RETAIN,
+      blockPublicAccess: s3.BlockPublicAccess.BLOCK_ALL,
+      enforceSSL: true,
+      cors: [
+        {
+          allowedMethods: [s3.HttpMethods.POST],
+          allowedOrigins: [`https://${circlesDomain}`],
+          allowedHeaders: ['*'],
+          maxAge: 3000,
+        },
+      ],
+      lifecycleRules: [
+        // Uploads nobody attached to a message
+        { prefix: 'uploads/', expiration: Duration.days(1) },
+      ],
+    });
+
+    // CloudFront key pair for signing media URLs (generate with openssl, keep in .env.private).
+    // Without it attachments stay off: no key group, no media/* behavior, and the
+    // API answers 503 to attachment uploads. Half a key pair is a config mistake.
+    const mediaSigningPublicKeyPem = process.env.CIRCLES_MEDIA_SIGNING_PUBLIC_KEY ?? '';
+    const mediaSigningPrivateKey = process.env.CIRCLES_MEDIA_SIGNING_PRIVATE_KEY ?? '';
+    if (!mediaSigningPublicKeyPem !== !mediaSigningPrivateKey) {
+      throw new Error(
+        'Set both CIRCLES_MEDIA_SIGNING_PUBLIC_KEY and CIRCLES_MEDIA_SIGNING_PRIVATE_KEY ' +
+          '(or neither, to deploy without attachments)',
+      );
+    }
+
+    let mediaSigningPublicKey: cloudfront.PublicKey | undefined;
+    let mediaKeyGroup: cloudfront.KeyGroup | undefined;
+    if (mediaSigningPublicKeyPem) {
+      mediaSigningPublicKey = new cloudfront.PublicKey(this, 'CirclesMediaSigningPublicKey', {
+        encodedKey: mediaSigningPublicKeyPem,
+        comment: 'Signs Circles attachment URLs (API Lambda holds the private key)',
+      });
+      mediaKeyGroup = new cloudfront.KeyGroup(this, 'CirclesMediaKeyGroup', {
+        items: [mediaSigningPublicKey],
+      });
+    }
+
+    // --- DynamoDB Table (legacy messages: familyId + createdAt) ---
+    // Kept (and retained) only as the source for Circles/migrate-messages-v2.mjs.
+    // Two posts in the same millisecond collided on this key schema.
+    const legacyMessagesTable = new dynamodb.Table(this, 'CirclesTable', {
       tableName: 'CirclesMessages',
       partitionKey: { name: 'familyId', type: dynamodb.AttributeType.STRING },
       sortKey: { name: 'createdAt', type: dynamodb.AttributeType.STRING },
       billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.RETAIN,
+    });
+
+    // --- DynamoDB Table (messages) ---
+    // SK messageKey = `${createdAt}#${messageId}`: still sorts by time, never collides.
+    const table = new dynamodb.Table(this, 'CirclesMessagesV2Table', {
+      tableName: 'CirclesMessagesV2',
+      partitionKey: { name: 'familyId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'messageKey', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.DESTROY,
+      // Feeds search-indexer.js
+      stream: dynamodb.StreamViewType.NEW_AND_OLD_IMAGES,
+    });
+
+    // Question + all its answers/replies in one query (threadId = question's messageId)
+    table.addGlobalSecondaryIndex({
+      indexName: 'ThreadIndex',
+      partitionKey: { name: 'threadId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'messageKey', type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
+    // Direct lookup by messageId (edit, delete, reactions, replies)
+    table.addGlobalSecondaryIndex({
+      indexName: 'MessageIdIndex',
+      partitionKey: { name: 'messageId', type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
+    // Sparse "work due at" index: only items with dueKind/dueAt appear
+    // (open polls with a close time, dueKind = POLL_CLOSE; event reminders,
+    // dueKind = EVENT_REMINDER)
+    table.addGlobalSecondaryIndex({
+      indexName: 'DueWorkIndex',
+      partitionKey: { name: 'dueKind', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'dueAt', type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.KEYS_ONLY,
+    });
+
+    // A circle's events by start time (calendar feed); only event items
+    // carry eventCircleId/eventStartsAt
+    table.addGlobalSecondaryIndex({
+      indexName: 'CircleEventIndex',
+      partitionKey: { name: 'eventCircleId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'eventStartsAt', type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
+    // --- Search index (search-indexer.js keeps it in sync with the messages stream) ---
+    // PK circleToken = `${circleId}#${token}`, SK messageKey (newest last)
+    const circleSearchIndexTable = new dynamodb.Table(this, 'CircleSearchIndexTable', {
+      tableName: 'CircleSearchIndex',
+      partitionKey: { name: 'circleToken', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'messageKey', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
       removalPolicy: RemovalPolicy.DESTROY,
     });
 
@@ -124,6 +232,32 @@ export class CirclesStack extends Stack {
       removalPolicy: RemovalPolicy.DESTROY, // OK for dev; consider RETAIN in prod
     });
 
+    // Per-circle invitation list (GET /api/circles/{circleId}/invitations, cleanup)
+    circlesInvitationsTable.addGlobalSecondaryIndex({
+      indexName: 'CircleIndex',
+      partitionKey: { name: 'circleId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'createdAt', type: dynamodb.AttributeType.STRING },
+      projectionType: dynamodb.ProjectionType.ALL,
+    });
+
+    // --- Join requests (share links that need an admin's approval) ---
+    const circleJoinRequestsTable = new dynamodb.Table(this, 'CircleJoinRequestsTable', {
+      tableName: 'CircleJoinRequests',
+      partitionKey: { name: 'circleId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'userId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.DESTROY,
+    });
+
+    // --- Birthdays + anniversaries (see celebration-scheduler.js) ---
+    const circleCelebrationsTable = new dynamodb.Table(this, 'CircleCelebrationsTable', {
+      tableName: 'CircleCelebrations',
+      partitionKey: { name: 'circleId', type: dynamodb.AttributeType.STRING },
+      sortKey: { name: 'celebrationId', type: dynamodb.AttributeType.STRING },
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      removalPolicy: RemovalPolicy.DESTROY,
+    });
+
     // --- DynamoDB Table ---
     const circlesTagConfigTable = new dynamodb.Table(this, 'CircleTagConfigTable', {
       tableName: 'circles-tag-config',
@@ -151,7 +285,7 @@ export class CirclesStack extends Stack {
       }
     );
 
-    // --- User notification preferences (per-user boolean flags) ---
+    // --- User notification preferences (per-circle levels + quiet hours) ---
     const circleNotificationPreferencesTable = new dynamodb.Table(
       this,
       'CircleNotificationPreferencesTable',
@@ -182,6 +316,23 @@ export class CirclesStack extends Stack {
       },
     });
 
+    // --- SQS Queue for background circle deletion (circle-cleanup.js) ---
+    const circleCleanupDlq = new sqs.Queue(this, 'CircleCleanupDlq', {
+      queueName: 'CirclesCircleCleanupDlq',
+      retentionPeriod: Duration.days(14),
+    });
+
+    const circleCleanupQueue = new sqs.Queue(this, 'CircleCleanupQueue', {
+      queueName: 'CirclesCircleCleanupQueue',
+      // Must be at least the cleanup Lambda's timeout
+      visibilityTimeout: Duration.minutes(6),
+      retentionPeriod: Duration.days(4),
+      deadLetterQueue: {
+        maxReceiveCount: 5,
+        queue: circleCleanupDlq,
+      },
+    });
+
     const vapidPublicKey = process.env.CIRCLES_VAPID_PUBLIC_KEY ?? '';
     const vapidPrivateKey = process.env.CIRCLES_VAPID_PRIVATE_KEY ?? '';
 
@@ -215,10 +366,18 @@ export class CirclesStack extends Stack {
       handler: 'circles-api-handler.handler',
       code: lambda.Code.fromAsset('../lambdas'),
       environment: {
-        TABLE_NAME: table.tableName,                       // messages
+        TABLE_NAME: table.tableName,                       // messages (v2 keys)
+        MESSAGES_THREAD_INDEX_NAME: 'ThreadIndex',
+        MESSAGES_MESSAGE_ID_INDEX_NAME: 'MessageIdIndex',
+        MESSAGES_DUE_WORK_INDEX_NAME: 'DueWorkIndex',
+        MESSAGES_EVENT_INDEX_NAME: 'CircleEventIndex',
         CIRCLES_TABLE_NAME: circlesMetaTable.tableName,   // circles metadata
         CIRCLE_MEMBERSHIPS_TABLE_NAME: circleMembershipsTable.tableName, // memberships
         INVITATIONS_TABLE_NAME: circlesInvitationsTable.tableName,
+        INVITATIONS_CIRCLE_INDEX_NAME: 'CircleIndex',
+        JOIN_REQUESTS_TABLE_NAME: circleJoinRequestsTable.tableName,
+        CELEBRATIONS_TABLE_NAME: circleCelebrationsTable.tableName,
+        SEARCH_INDEX_TABLE_NAME: circleSearchIndexTable.tableName,
         CIRCLE_TAG_CONFIG_TABLE_NAME: circlesTagConfigTable.tableName,
         CIRCLE_NOTIFICATION_SUBSCRIPTIONS_TABLE_NAME: circleNotificationSubscriptionsTable.tableName,
         CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME: circleNotificationPreferencesTable.tableName,
@@ -227,6 +386,15 @@ export class CirclesStack extends Stack {
         SES_REGION: 'us-east-1',
         BEDROCK_REGION: 'us-east-1',
         PUSH_EVENTS_QUEUE_URL: pushEventsQueue.queueUrl,
+        CIRCLE_CLEANUP_QUEUE_URL: circleCleanupQueue.queueUrl,
+        ...(mediaSigningPublicKey
+          ? {
+              MEDIA_BUCKET_NAME: mediaBucket.bucketName,
+              MEDIA_BASE_URL: `https://${circlesDomain}`,
+              MEDIA_SIGNING_KEY_PAIR_ID: mediaSigningPublicKey.publicKeyId,
+              MEDIA_SIGNING_PRIVATE_KEY: mediaSigningPrivateKey,
+            }
+          : {}),
       },
       timeout: Duration.seconds(10),
     });
@@ -236,14 +404,96 @@ export class CirclesStack extends Stack {
     circlesMetaTable.grantReadWriteData(apiLambda);
     circleMembershipsTable.grantReadWriteData(apiLambda);
     circlesInvitationsTable.grantReadWriteData(apiLambda);
+    circleJoinRequestsTable.grantReadWriteData(apiLambda);
+    circleCelebrationsTable.grantReadWriteData(apiLambda);
+    circleSearchIndexTable.grantReadData(apiLambda);
     circlesTagConfigTable.grantReadData(apiLambda);
     circleNotificationSubscriptionsTable.grantReadWriteData(apiLambda);
+    circleNotificationPreferencesTable.grantReadWriteData(apiLambda);
+    // Presigned POSTs, claiming uploads (head/copy/delete), deleting attachments
+    mediaBucket.grantReadWrite(apiLambda);
     circleNotificationSubscriptionsTable.grantReadData(pushSenderLambda);
     circleNotificationPreferencesTable.grantReadData(pushSenderLambda);
     circleMembershipsTable.grantReadData(pushSenderLambda);
 
     // Allow API Lambda to enqueue push events
     pushEventsQueue.grantSendMessages(apiLambda);
+    circleCleanupQueue.grantSendMessages(apiLambda);
+
+    // --- Lambda Function (circle deletion cleanup) ---
+    const circleCleanupLambda = new lambda.Function(this, 'CirclesCircleCleanupLambda', {
+      runtime: lambda.Runtime.NODEJS_20_X,
+      handler: 'circle-cleanup.handler',
+      code: lambda.Code.fromAsset('../lambdas'),
+      environment: {
+        TABLE_NAME: table.tableName,
+        CIRCLES_TABLE_NAME: circlesMetaTable.tableName,
+        CIRCLE_MEMBERSHIPS_TABLE_NAME: circleMembershipsTable.tableName,
+        INVITATIONS_TABLE_NAME: circlesInvitationsTable.tableName,
+        INVITATIONS_CIRCLE_INDEX_NAME: 'CircleIndex',
+        JOIN_REQUESTS_TABLE_NAME: circleJoinRequestsTable.tableName,
+        CELEBRATIONS_TABLE_NAME: circleCelebrationsTable.tableName,
+        MEDIA_BUCKET_NAME: mediaBucket.bucketName,
+        CIRCLE_CLEANUP_QUEUE_URL: circleCleanupQueue.queueUrl,
+      },
+      timeout: Duration.minutes(5),
+    });
+
+    circleCleanupLambda.addEventSource(
+      new lambdaEventSources.SqsEventSource(circleCleanupQueue, {
+        batchSize: 1, // one circle per invocation
+      })
+    );
+
+    table.grantReadWriteData(circleCleanupLambda);
+    circlesMetaTable.grantReadWriteData(circleCleanupLambda);
+    circleMembershipsTable.grantReadWriteData(circleCleanupLambda);
+    circlesInvitationsTable.grantReadWriteData(circleCleanupLambda);
+    circleJoinRequestsTable.grantReadWriteData(circleCleanupLambda);
+    circleCelebrationsTable.grantReadWriteData(circleCleanupLambda);
+    mediaBucket.grantRead(circleCleanupLambda);
+    mediaBucket.grantDelete(circleCleanupLambda);
+    // Re-enqueues itself when a large circle needs more than one run
+    circleCleanupQueue.grantSendMessages(circleCleanupLambda);
+
+    // --- Lambda Function (search index from the messages stream) ---
+    const searchIndexerLambda = new lambda.Function(this, 'CirclesSearchIndexerLambda', {
+      runtime: lambda.Runtime.NODEJS_20_X,
+      handler: 'search-indexer.handler',
+      code: lambda.Code.fromAsset('../lambdas'),
+      environment: {
+        SEARCH_INDEX_TABLE_NAME: circleSearchIndexTable.tableName,
+      },
+      timeout: Duration.seconds(60),
+    });
+
+    searchIndexerLambda.addEventSource(
+      new lambdaEventSources.DynamoEventSource(table, {
+        startingPosition: lambda.StartingPosition.TRIM_HORIZON,
+        batchSize: 100,
+        bisectBatchOnError: true,
+        retryAttempts: 5,
+      })
+    );
+
+    circleSearchIndexTable.grantReadWriteData(searchIndexerLambda);
+
+    // --- Lambda Function (attachment thumbnails) ---
+    const mediaThumbnailerLambda = new lambda.Function(this, 'CirclesMediaThumbnailerLambda', {
+      runtime: lambda.Runtime.NODEJS_20_X,
+      handler: 'media-thumbnailer.handler',
+      code: lambda.Code.fromAsset('../lambdas'),
+      timeout: Duration.seconds(60),
+      memorySize: 1024, // sharp decodes full-size photos in memory
+    });
+
+    mediaBucket.grantRead(mediaThumbnailerLambda);
+    mediaBucket.grantPut(mediaThumbnailerLambda);
+    mediaBucket.addEventNotification(
+      s3.EventType.OBJECT_CREATED,
+      new s3n.LambdaDestination(mediaThumbnailerLambda),
+      { prefix: 'media/', suffix: '/original' },
+    );
 
     apiLambda.addToRolePolicy(
       new iam.PolicyStatement({
@@ -274,6 +524,107 @@ export class CirclesStack extends Stack {
       }),
     );
 
+    // --- Lambda Function (question-of-the-day + asker rotation scheduler) ---
+    // Reuses the API handler's prompt/message helpers, so it gets the same env.
+    const questionSchedulerLambda = new lambda.Function(this, 'CirclesQuestionSchedulerLambda', {
+      runtime: lambda.Runtime.NODEJS_20_X,
+      handler: 'question-scheduler.handler',
+      code: lambda.Code.fromAsset('../lambdas'),
+      environment: {
+        TABLE_NAME: table.tableName,
+        MESSAGES_THREAD_INDEX_NAME: 'ThreadIndex',
+        MESSAGES_MESSAGE_ID_INDEX_NAME: 'MessageIdIndex',
+        MESSAGES_DUE_WORK_INDEX_NAME: 'DueWorkIndex',
+        CIRCLES_TABLE_NAME: circlesMetaTable.tableName,
+        CIRCLE_MEMBERSHIPS_TABLE_NAME: circleMembershipsTable.tableName,
+        CIRCLE_TAG_CONFIG_TABLE_NAME: circlesTagConfigTable.tableName,
+        BEDROCK_MODEL_ID: 'anthropic.claude-3-haiku-20240307-v1:0',
+        BEDROCK_REGION: 'us-east-1',
+        PUSH_EVENTS_QUEUE_URL: pushEventsQueue.queueUrl,
+      },
+      timeout: Duration.minutes(2),
+    });
+
+    table.grantReadWriteData(questionSchedulerLambda);
+    circlesMetaTable.grantReadWriteData(questionSchedulerLambda);
+    circlesTagConfigTable.grantReadData(questionSchedulerLambda);
+    circleMembershipsTable.grantReadData(questionSchedulerLambda);
+    pushEventsQueue.grantSendMessages(questionSchedulerLambda);
+    questionSchedulerLambda.addToRolePolicy(
+      new iam.PolicyStatement({
+        actions: ['bedrock:InvokeModel'],
+        resources: ['*'],
+      }),
+    );
+
+    // Schedules are "HH:MM" in the circle's time zone; 15 minutes is close enough
+    new events.Rule(this, 'CirclesQuestionSchedulerRule', {
+      schedule: events.Schedule.rate(Duration.minutes(15)),
+      targets: [new eventsTargets.LambdaFunction(questionSchedulerLambda)],
+    });
+
+    // --- Lambda Function (birthday/anniversary reminders + day-of questions) ---
+    const celebrationSchedulerLambda = new lambda.Function(this, 'CirclesCelebrationSchedulerLambda', {
+      runtime: lambda.Runtime.NODEJS_20_X,
+      handler: 'celebration-scheduler.handler',
+      code: lambda.Code.fromAsset('../lambdas'),
+      environment: {
+        TABLE_NAME: table.tableName,
+        MESSAGES_THREAD_INDEX_NAME: 'ThreadIndex',
+        MESSAGES_MESSAGE_ID_INDEX_NAME: 'MessageIdIndex',
+        CIRCLES_TABLE_NAME: circlesMetaTable.tableName,
+        CELEBRATIONS_TABLE_NAME: circleCelebrationsTable.tableName,
+        PUSH_EVENTS_QUEUE_URL: pushEventsQueue.queueUrl,
+      },
+      timeout: Duration.minutes(2),
+    });
+
+    table.grantReadWriteData(celebrationSchedulerLambda);
+    circlesMetaTable.grantReadData(celebrationSchedulerLambda);
+    circleCelebrationsTable.grantReadWriteData(celebrationSchedulerLambda);
+    pushEventsQueue.grantSendMessages(celebrationSchedulerLambda);
+
+    // Hourly; each circle is handled once its own time zone reaches the
+    // morning (celebration-scheduler.js CELEBRATION_LOCAL_HOUR)
+    new events.Rule(this, 'CirclesCelebrationSchedulerRule', {
+      schedule: events.Schedule.cron({ minute: '0' }),
+      targets: [new eventsTargets.LambdaFunction(celebrationSchedulerLambda)],
+    });
+
+    // --- Lambda Function (daily/weekly email digests) ---
+    // Reuses the API handler's membership + SES helpers.
+    const digestSenderLambda = new lambda.Function(this, 'CirclesDigestSenderLambda', {
+      runtime: lambda.Runtime.NODEJS_20_X,
+      handler: 'digest-sender.handler',
+      code: lambda.Code.fromAsset('../lambdas'),
+      environment: {
+        TABLE_NAME: table.tableName,
+        CIRCLES_TABLE_NAME: circlesMetaTable.tableName,
+        CIRCLE_MEMBERSHIPS_TABLE_NAME: circleMembershipsTable.tableName,
+        CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME: circleNotificationPreferencesTable.tableName,
+        SES_FROM_EMAIL: 'no-reply-circles-invitation@behrens-hub.com',
+        SES_REGION: 'us-east-1',
+      },
+      timeout: Duration.minutes(5),
+    });
+
+    table.grantReadData(digestSenderLambda);
+    circlesMetaTable.grantReadData(digestSenderLambda);
+    circleMembershipsTable.grantReadData(digestSenderLambda);
+    circleNotificationPreferencesTable.grantReadWriteData(digestSenderLambda);
+    digestSenderLambda.addToRolePolicy(
+      new iam.PolicyStatement({
+        actions: ['ses:SendEmail', 'ses:SendRawEmail'],
+        resources: ['*'],
+      }),
+    );
+
+    // Early morning across the US; weekly digests go out 7 days after the last
+    new events.Rule(this, 'CirclesDigestSenderRule', {
+      schedule: events.Schedule.cron({ minute: '0', hour: '12' }),
+      targets: [new eventsTargets.LambdaFunction(digestSenderLambda)],
+    });
+
     // --- API Gateway (REST API for Circles) ---
     const api = new apigateway.RestApi(this, 'CirclesApi', {
       restApiName: 'CirclesApi',
@@ -396,10 +747,150 @@ export class CirclesStack extends Stack {
     const circlesConfigResource = circlesResource.addResource('config');
     circlesConfigResource.addMethod('GET', lambdaIntegration, methodOptions);
 
-    // POST /api/circles/{circleId}/invitations  -> create invitation for a circle
+    // PATCH  /api/circles/{circleId} -> edit name/description/tags (owner/admin)
+    // DELETE /api/circles/{circleId} -> delete circle + background cleanup (owner)
     const circleIdResource = circlesResource.addResource('{circleId}');
+    circleIdResource.addMethod('PATCH', lambdaIntegration, methodOptions);
+    circleIdResource.addMethod('DELETE', lambdaIntegration, methodOptions);
+
+    // POST/DELETE /api/circles/{circleId}/archive -> archive / unarchive (owner)
+    const circleArchiveResource = circleIdResource.addResource('archive');
+    circleArchiveResource.addMethod('POST', lambdaIntegration, methodOptions);
+    circleArchiveResource.addMethod('DELETE', lambdaIntegration, methodOptions);
+
+    // GET /api/circles/{circleId}/deletion -> deletion progress
+    const circleDeletionResource = circleIdResource.addResource('deletion');
+    circleDeletionResource.addMethod('GET', lambdaIntegration, methodOptions);
+
+    // POST /api/circles/{circleId}/leave -> caller leaves the circle
+    const circleLeaveResource = circleIdResource.addResource('leave');
+    circleLeaveResource.addMethod('POST', lambdaIntegration, methodOptions);
+
+    // DELETE /api/circles/{circleId}/members/{memberUserId} -> remove a member (owner/admin)
+    const circleMembersResource = circleIdResource.addResource('members');
+    const circleMemberResource = circleMembersResource.addResource('{memberUserId}');
+    circleMemberResource.addMethod('DELETE', lambdaIntegration, methodOptions);
+
+    // GET  /api/circles/{circleId}/join-requests                 -> pending join requests (owner/admin)
+    // POST /api/circles/{circleId}/join-requests/{requestUserId} -> approve or deny
+    const circleJoinRequestsResource = circleIdResource.addResource('join-requests');
+    circleJoinRequestsResource.addMethod('GET', lambdaIntegration, methodOptions);
+    const circleJoinRequestResource = circleJoinRequestsResource.addResource('{requestUserId}');
+    circleJoinRequestResource.addMethod('POST', lambdaIntegration, methodOptions);
+
+    // GET /api/circles/{circleId}/search?q= -> full-text search (CircleSearchIndex)
+    const circleSearchResource = circleIdResource.addResource('search');
+    circleSearchResource.addMethod('GET', lambdaIntegration, methodOptions);
+
+    // GET /api/circles/{circleId}/export?format=json|markdown|html -> full history download
+    const circleExportResource = circleIdResource.addResource('export');
+    circleExportResource.addMethod('GET', lambdaIntegration, methodOptions);
+
+    // POST /api/circles/{circleId}/import -> WhatsApp chat history import (dry run by default)
+    const circleImportResource = circleIdResource.addResource('import');
+    circleImportResource.addMethod('POST', lambdaIntegration, methodOptions);
+
+    // POST /api/circles/{circleId}/attachments -> presigned upload for one photo/video
+    const circleAttachmentsResource = circleIdResource.addResource('attachments');
+    circleAttachmentsResource.addMethod('POST', lambdaIntegration, methodOptions);
+
+    // PUT /api/circles/{circleId}/members/{memberUserId}/role -> promote/demote (owner)
+    const circleMemberRoleResource = circleMemberResource.addResource('role');
+    circleMemberRoleResource.addMethod('PUT', lambdaIntegration, methodOptions);
+
+    // POST /api/circles/{circleId}/transfer-ownership -> hand ownership to another member
+    const circleTransferOwnershipResource = circleIdResource.addResource('transfer-ownership');
+    circleTransferOwnershipResource.addMethod('POST', lambdaIntegration, methodOptions);
+
+    // POST /api/circles/{circleId}/invitations  -> create invitation for a circle
+    // GET  /api/circles/{circleId}/invitations  -> list the circle's invitations
     const circleInvitationsResource = circleIdResource.addResource('invitations');
     circleInvitationsResource.addMethod('POST', lambdaIntegration, methodOptions);
+    circleInvitationsResource.addMethod('GET', lambdaIntegration, methodOptions);
+
+    // DELETE /api/circles/{circleId}/invitations/{invitationId}        -> revoke
+    // POST   /api/circles/{circleId}/invitations/{invitationId}/resend  -> email again, fresh expiry
+    // POST   /api/circles/{circleId}/invitations/{invitationId}/reissue -> revoke + new invite to another address
+    const circleInvitationResource = circleInvitationsResource.addResource('{invitationId}');
+    circleInvitationResource.addMethod('DELETE', lambdaIntegration, methodOptions);
+    const circleInvitationResendResource = circleInvitationResource.addResource('resend');
+    circleInvitationResendResource.addMethod('POST', lambdaIntegration, methodOptions);
+    const circleInvitationReissueResource = circleInvitationResource.addResource('reissue');
+    circleInvitationReissueResource.addMethod('POST', lambdaIntegration, methodOptions);
+
+    // PATCH/DELETE /api/circles/{circleId}/messages/{messageId} -> edit or tombstone a message
+    const circleMessagesResource = circleIdResource.addResource('messages');
+    const circleMessageResource = circleMessagesResource.addResource('{messageId}');
+    circleMessageResource.addMethod('PATCH', lambdaIntegration, methodOptions);
+    circleMessageResource.addMethod('DELETE', lambdaIntegration, methodOptions);
+
+    // PUT /api/circles/{circleId}/schedule -> question-of-the-day schedule
+    const circleScheduleResource = circleIdResource.addResource('schedule');
+    circleScheduleResource.addMethod('PUT', lambdaIntegration, methodOptions);
+
+    // PUT /api/circles/{circleId}/rotation -> asker-of-the-week rotation settings
+    // POST /api/circles/{circleId}/rotation/skip -> pass the turn to the next person
+    const circleRotationResource = circleIdResource.addResource('rotation');
+    circleRotationResource.addMethod('PUT', lambdaIntegration, methodOptions);
+    const circleRotationSkipResource = circleRotationResource.addResource('skip');
+    circleRotationSkipResource.addMethod('POST', lambdaIntegration, methodOptions);
+
+    // GET /api/circles/{circleId}/questions/{questionId} -> a question with all its answers
+    const circleQuestionsResource = circleIdResource.addResource('questions');
+    const circleQuestionResource = circleQuestionsResource.addResource('{questionId}');
+    circleQuestionResource.addMethod('GET', lambdaIntegration, methodOptions);
+
+    // POST/DELETE /api/circles/{circleId}/messages/{messageId}/reactions -> add/remove an emoji reaction
+    const messageReactionsResource = circleMessageResource.addResource('reactions');
+    messageReactionsResource.addMethod('POST', lambdaIntegration, methodOptions);
+    messageReactionsResource.addMethod('DELETE', lambdaIntegration, methodOptions);
+
+    // POST /api/circles/{circleId}/messages/{messageId}/votes -> vote on a poll
+    const messageVotesResource = circleMessageResource.addResource('votes');
+    messageVotesResource.addMethod('POST', lambdaIntegration, methodOptions);
+
+    // POST /api/circles/{circleId}/messages/{messageId}/close -> close a poll early
+    const messageCloseResource = circleMessageResource.addResource('close');
+    messageCloseResource.addMethod('POST', lambdaIntegration, methodOptions);
+
+    // POST /api/circles/{circleId}/messages/{messageId}/rsvp -> yes/no/maybe on an event
+    const messageRsvpResource = circleMessageResource.addResource('rsvp');
+    messageRsvpResource.addMethod('POST', lambdaIntegration, methodOptions);
+
+    // GET  /api/circles/{circleId}/calendar -> the circle's ICS feed URL
+    // POST /api/circles/{circleId}/calendar/reset -> replace the feed token (owner/admin)
+    const circleCalendarResource = circleIdResource.addResource('calendar');
+    circleCalendarResource.addMethod('GET', lambdaIntegration, methodOptions);
+    const circleCalendarResetResource = circleCalendarResource.addResource('reset');
+    circleCalendarResetResource.addMethod('POST', lambdaIntegration, methodOptions);
+
+    // GET  /api/circles/{circleId}/celebrations -> birthdays + anniversaries
+    // POST /api/circles/{circleId}/celebrations -> add one
+    const circleCelebrationsResource = circleIdResource.addResource('celebrations');
+    circleCelebrationsResource.addMethod('GET', lambdaIntegration, methodOptions);
+    circleCelebrationsResource.addMethod('POST', lambdaIntegration, methodOptions);
+
+    // PATCH/DELETE /api/circles/{circleId}/celebrations/{celebrationId}
+    const circleCelebrationResource = circleCelebrationsResource.addResource('{celebrationId}');
+    circleCelebrationResource.addMethod('PATCH', lambdaIntegration, methodOptions);
+    circleCelebrationResource.addMethod('DELETE', lambdaIntegration, methodOptions);
+
+    // GET /api/calendar/{circleId}/{feedToken} -> ICS feed for calendar apps.
+    // No Cognito here: calendar apps can't log in, the token is the secret.
+    const calendarFeedResource = apiBaseResource
+      .addResource('calendar')
+      .addResource('{circleId}')
+      .addResource('{feedToken}');
+    calendarFeedResource.addMethod('GET', lambdaIntegration);
+
+    // GET  /api/digest/unsubscribe?u=&t= -> confirmation page (link in digest emails)
+    // POST /api/digest/unsubscribe?u=&t= -> unsubscribe (page button, RFC 8058 one-click)
+    // No Cognito: the token in the link is the credential.
+    const digestUnsubscribeResource = apiBaseResource
+      .addResource('digest')
+      .addResource('unsubscribe');
+    digestUnsubscribeResource.addMethod('GET', lambdaIntegration);
+    digestUnsubscribeResource.addMethod('POST', lambdaIntegration);
 
     // POST /api/circles/invitations/accept  -> accept an invitation
     const invitationsResource = circlesResource.addResource('invitations');
@@ -429,6 +920,11 @@ export class CirclesStack extends Stack {
     const notificationsUnsubscribeResource = notificationsResource.addResource('unsubscribe');
     notificationsUnsubscribeResource.addMethod('POST', lambdaIntegration, methodOptions);
 
+    // GET/PUT /api/notifications/preferences -> per-circle levels + quiet hours
+    const notificationsPreferencesResource = notificationsResource.addResource('preferences');
+    notificationsPreferencesResource.addMethod('GET', lambdaIntegration, methodOptions);
+    notificationsPreferencesResource.addMethod('PUT', lambdaIntegration, methodOptions);
+
     // Optional: CORS for notifications (probably not strictly needed for same-origin SPA)
     notificationsResource.addCorsPreflight({
       allowOrigins: ['https://circles.behrens-hub.com'],
@@ -438,7 +934,7 @@ export class CirclesStack extends Stack {
 
     circlesResource.addCorsPreflight({
       allowOrigins: ['https://circles.behrens-hub.com'], // or '*' while experimenting
-      allowMethods: ['GET', 'POST', 'OPTIONS'],
+      allowMethods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
       allowHeaders: ['Content-Type', 'Authorization'],
     });
 
@@ -458,6 +954,7 @@ export class CirclesStack extends Stack {
     // --- CloudFront OAI for S3 ---
     const oai = new cloudfront.OriginAccessIdentity(this, 'CirclesOAI');
     siteBucket.grantRead(oai);
+    mediaBucket.grantRead(oai);
 
     // --- Cache Policies ---
     const spaCachePolicy = new cloudfront.CachePolicy(this, 'CirclesSpaCachePolicy', {
@@ -485,6 +982,10 @@ export class CirclesStack extends Stack {
       originAccessIdentity: oai,
     });
 
+    const mediaOrigin = new origins.S3Origin(mediaBucket, {
+      originAccessIdentity: oai,
+    });
+
     const apiOrigin = new origins.HttpOrigin(apiDomain, {
       originPath: `/${api.deploymentStage.stageName}`,
     });
@@ -515,6 +1016,17 @@ export class CirclesStack extends Stack {
           allowedMethods: cloudfront.AllowedMethods.ALLOW_ALL,
           originRequestPolicy: cloudfront.OriginRequestPolicy.ALL_VIEWER_EXCEPT_HOST_HEADER,
         },
+        // Attachments: only URLs signed by the API (i.e. handed to members) work
+        ...(mediaKeyGroup
+          ? {
+              'media/*': {
+                origin: mediaOrigin,
+                viewerProtocolPolicy: cloudfront.ViewerProtocolPolicy.REDIRECT_TO_HTTPS,
+                cachePolicy: cloudfront.CachePolicy.CACHING_OPTIMIZED,
+                trustedKeyGroups: [mediaKeyGroup],
+              },
+            }
+          : {}),
       },
     });
 
@@ -558,6 +1070,14 @@ export class CirclesStack extends Stack {
       value: hostedUiBaseUrl,
     });
 
+    new CfnOutput(this, 'CirclesMessagesTableName', {
+      value: table.tableName,
+    });
+
+    new CfnOutput(this, 'CirclesLegacyMessagesTableName', {
+      value: legacyMessagesTable.tableName,
+    });
+
     new CfnOutput(this, 'CirclesMetaTableName', {
       value: circlesMetaTable.tableName,
     });
@@ -566,5 +1086,9 @@ export class CirclesStack extends Stack {
       value: circleMembershipsTable.tableName,
     });
 
+    new CfnOutput(this, 'CirclesMediaBucketName', {
+      value: mediaBucket.bucketName,
+    });
+
   }
 }
@@ -0,0 +1,239 @@
+// lambdas/celebration-scheduler.js
+//
+// EventBridge-triggered (hourly):
+// - sends a CELEBRATION_REMINDER push remindDaysBefore days ahead of each
+//   birthday/anniversary (see /api/circles/{circleId}/celebrations)
+// - on the day, posts a "Share a favorite memory of ..." question into the
+//   circle and sends the usual NEW_QUESTION push event
+//
+// "Today" is the circle's date in its schedule time zone (UTC without one),
+// and nothing happens before CELEBRATION_LOCAL_HOUR there, so nobody gets a
+// push in the middle of the night.
+// lastRemindedFor / lastPostedFor record the occurrence already handled, so
+// later runs the same day do nothing twice. When posting or enqueuing fails
+// the claim is given back and the next hourly run tries again.
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  ScanCommand,
+  UpdateCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { randomUUID } = require("crypto");
+
+const {
+  getCircle,
+  createCircleMessage,
+  enqueueNewQuestionPushEvent,
+  enqueueCelebrationReminderPushEvent,
+  getLocalDateString,
+  getLocalHour,
+  addDaysToDateString,
+  getCelebrationOccurrence,
+  getCelebrationTurning,
+  buildCelebrationQuestionText,
+  getCircleTimeZone,
+} = require("./circles-api-handler");
+
+// --- Env vars ---
+const CELEBRATIONS_TABLE_NAME =
+  process.env.CELEBRATIONS_TABLE_NAME || "CircleCelebrations";
+
+// Author shown on day-of questions (no real user behind them)
+const CELEBRATIONS_AUTHOR = "Celebrations";
+const CELEBRATIONS_USER_ID = "system:celebrations";
+
+// First local hour the scheduler acts in; later runs that day catch up
+const CELEBRATION_LOCAL_HOUR = 9;
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+/**
+ * All celebrations, grouped by circleId.
+ */
+async function loadCelebrationsByCircle() {
+  const byCircle = new Map();
+  let exclusiveStartKey = undefined;
+
+  do {
+    const res = await ddb.send(
+      new ScanCommand({
+        TableName: CELEBRATIONS_TABLE_NAME,
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    for (const item of res.Items || []) {
+      if (!byCircle.has(item.circleId)) byCircle.set(item.circleId, []);
+      byCircle.get(item.circleId).push(item);
+    }
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return byCircle;
+}
+
+/**
+ * Record that `field` has been handled for `occurrence`. Returns false when
+ * an overlapping run (or an earlier one today) already did it.
+ */
+async function claimCelebration(celebration, field, occurrence) {
+  try {
+    await ddb.send(
+      new UpdateCommand({
+        TableName: CELEBRATIONS_TABLE_NAME,
+        Key: {
+          circleId: celebration.circleId,
+          celebrationId: celebration.celebrationId,
+        },
+        UpdateExpression: "SET #field = :occurrence",
+        ConditionExpression:
+          "attribute_exists(celebrationId) AND " +
+          "(attribute_not_exists(#field) OR #field <> :occurrence)",
+        ExpressionAttributeNames: { "#field": field },
+        ExpressionAttributeValues: { ":occurrence": occurrence },
+      })
+    );
+    return true;
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") return false;
+    throw err;
+  }
+}
+
+/**
+ * Undo claimCelebration after the work failed, so a later run retries it.
+ */
+async function releaseCelebration(celebration, field, occurrence) {
+  try {
+    await ddb.send(
+      new UpdateCommand({
+        TableName: CELEBRATIONS_TABLE_NAME,
+        Key: {
+          circleId: celebration.circleId,
+          celebrationId: celebration.celebrationId,
+        },
+        UpdateExpression: "REMOVE #field",
+        ConditionExpression: "#field = :occurrence",
+        ExpressionAttributeNames: { "#field": field },
+        ExpressionAttributeValues: { ":occurrence": occurrence },
+      })
+    );
+  } catch (err) {
+    // Deleted or already moved on: nothing to give back
+    if (err.name === "ConditionalCheckFailedException") return;
+    throw err;
+  }
+}
+
+async function postCelebrationQuestion(circle, celebration, occurrence, now) {
+  const circleId = circle.circleId;
+  const text = buildCelebrationQuestionText(
+    celebration,
+    Number(occurrence.slice(0, 4))
+  );
+  const messageId = `msg_${randomUUID()}`;
+
+  await createCircleMessage({
+    familyId: circleId,
+    createdAt: now.toISOString(),
+    author: CELEBRATIONS_AUTHOR,
+    authorUserId: CELEBRATIONS_USER_ID,
+    text,
+    messageId,
+    messageType: "question",
+  });
+
+  await enqueueNewQuestionPushEvent({
+    circleId,
+    circleName: circle.name || circleId,
+    questionId: messageId,
+    questionText: text,
+    actorUserId: CELEBRATIONS_USER_ID,
+  });
+
+  console.log("Posted celebration question:", {
+    circleId,
+    celebrationId: celebration.celebrationId,
+    messageId,
+  });
+}
+
+async function processCircle(circle, celebrations, now) {
+  const timeZone = getCircleTimeZone(circle);
+  if (getLocalHour(timeZone, now) < CELEBRATION_LOCAL_HOUR) return;
+
+  const today = getLocalDateString(timeZone, now);
+  const year = Number(today.slice(0, 4));
+
+  for (const celebration of celebrations) {
+    try {
+      // This year's date, or next year's when a reminder reaches across
+      // New Year's
+      const upcoming = [year, year + 1]
+        .map((y) => getCelebrationOccurrence(celebration, y))
+        .find((date) => date >= today);
+
+      if (upcoming === today) {
+        if (await claimCelebration(celebration, "lastPostedFor", today)) {
+          try {
+            await postCelebrationQuestion(circle, celebration, today, now);
+          } catch (err) {
+            await releaseCelebration(celebration, "lastPostedFor", today);
+            throw err;
+          }
+        }
+        continue;
+      }
+
+      const remindDaysBefore = celebration.remindDaysBefore || 0;
+      if (
+        remindDaysBefore > 0 &&
+        addDaysToDateString(today, remindDaysBefore) === upcoming &&
+        (await claimCelebration(celebration, "lastRemindedFor", upcoming))
+      ) {
+        try {
+          await enqueueCelebrationReminderPushEvent({
+            circleId: circle.circleId,
+            circleName: circle.name || circle.circleId,
+            celebrationId: celebration.celebrationId,
+            kind: celebration.kind,
+            name: celebration.name,
+            date: upcoming,
+            daysAway: remindDaysBefore,
+            turning: getCelebrationTurning(celebration, Number(upcoming.slice(0, 4))),
+            subjectUserId: celebration.subjectUserId || null,
+          });
+        } catch (err) {
+          await releaseCelebration(celebration, "lastRemindedFor", upcoming);
+          throw err;
+        }
+      }
+    } catch (err) {
+      console.error("Celebration failed:", {
+        circleId: circle.circleId,
+        celebrationId: celebration.celebrationId,
+        error: err,
+      });
+    }
+  }
+}
+
+exports.handler = async () => {
+  const now = new Date();
+  const byCircle = await loadCelebrationsByCircle();
+
+  console.log("Celebration scheduler: circles with celebrations =", byCircle.size);
+
+  for (const [circleId, celebrations] of byCircle) {
+    try {
+      const circle = await getCircle(circleId);
+      // Archived/deleted circles (any status) are skipped
+      if (!circle || circle.status) continue;
+
+      await processCircle(circle, celebrations, now);
+    } catch (err) {
+      console.error("Celebration scheduler failed for", circleId, err);
+    }
+  }
+};
@@ -0,0 +1,324 @@
+// lambdas/chat-import.js
+//
+// Turns a WhatsApp "Export chat" .txt file into CirclesMessagesV2 items.
+// No AWS calls in here: POST /api/circles/{circleId}/import and
+// Circles/import-whatsapp-chat.mjs both parse with it and do their own
+// writes.
+//
+// Both export flavours are understood:
+//   12/31/21, 9:41 PM - Alice: Anyone up?          (Android)
+//   [31/12/2021, 21:41:05] Alice: Anyone up?       (iOS)
+// SMS exports written in the same "date, time - Name: text" shape parse too.
+//
+// Message ids are derived from the circle + the timestamp as written in the
+// export + author + text, so importing the same (or a longer, later) export
+// again yields the same messageIds, whatever time zone it is read in, and
+// the writers can skip what's already there.
+
+const crypto = require("crypto");
+
+const DATE_ORDERS = ["MDY", "DMY", "YMD"];
+
+// Questions stay "open" for answers while the chat keeps replying to them
+const ANSWER_WINDOW_MS = 48 * 60 * 60 * 1000;
+
+const LINE_RE =
+  /^\[?(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4}),?\s+(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?\s*([ap]\.?\s?m\.?)?\]?\s*(?:-\s+)?(.*)$/i;
+
+// "Name: text"; system lines ("Alice added Bob") have no separator
+const AUTHOR_RE = /^([^:\n]{1,60}?):\s(.*)$/s;
+
+// Placeholders WhatsApp leaves behind instead of content
+const SKIPPED_TEXT_RES = [
+  /^<media omitted>$/i,
+  /^(image|video|audio|sticker|gif|document|contact card) omitted$/i,
+  /^this message was deleted\.?$/i,
+  /^you deleted this message\.?$/i,
+  /^null$/i,
+];
+
+// Invisible marks WhatsApp sprinkles through exports
+const INVISIBLE_RE = /[\u200e\u200f\u202a-\u202e\u2066-\u2069\ufeff]/g;
+
+const QUESTION_START_RE =
+  /^(who|what|when|where|why|how|which|whose|would|could|should|do|does|did|is|are|was|were|have|has|can|will|anyone|any)\b/i;
+
+// Offset (ms) of a time zone from UTC at a given instant
+function getTimeZoneOffsetMs(timeZone, date) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const asUtc = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second")
+  );
+
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+// Wall-clock time in `timeZone` (expressed as if it were UTC) -> real UTC ms
+function localToUtcMs(timeZone, wallClockMs) {
+  const guess = wallClockMs - getTimeZoneOffsetMs(timeZone, new Date(wallClockMs));
+  return wallClockMs - getTimeZoneOffsetMs(timeZone, new Date(guess));
+}
+
+// Day 0 of the next month is the last day of this one
+function getDaysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Which of the first two date fields is the day, judged from the whole file.
+ * Ambiguous files (every field <= 12) fall back to `fallback`.
+ */
+function detectDateOrder(entries, fallback) {
+  if (entries.some((e) => e.first.length === 4)) return "YMD";
+  if (entries.some((e) => Number(e.first) > 12)) return "DMY";
+  if (entries.some((e) => Number(e.second) > 12)) return "MDY";
+  return fallback;
+}
+
+/**
+ * Parse an export into [{ createdAt, stamp, author, text }], oldest first.
+ * `stamp` is the line's timestamp exactly as the export wrote it.
+ * Options: dateOrder ("auto" | "MDY" | "DMY" | "YMD"), timezone (IANA,
+ * the zone the phone was in; defaults to UTC).
+ * Returns { messages, dateOrder, skipped } or { error }.
+ */
+function parseWhatsAppExport(rawText, options = {}) {
+  const timezone = options.timezone || "UTC";
+  if (!isValidTimeZone(timezone)) {
+    return { error: "timezone must be a valid IANA time zone" };
+  }
+
+  const requestedOrder = String(options.dateOrder || "auto").toUpperCase();
+  if (requestedOrder !== "AUTO" && !DATE_ORDERS.includes(requestedOrder)) {
+    return { error: `dateOrder must be one of: auto, ${DATE_ORDERS.join(", ")}` };
+  }
+
+  // Lines first; anything that doesn't start a message continues the last one
+  const entries = [];
+  for (const rawLine of String(rawText || "").split(/\r?\n/)) {
+    const line = rawLine.replace(INVISIBLE_RE, "").replace(/[\u202f\u00a0]/g, " ");
+    const match = LINE_RE.exec(line);
+
+    if (match) {
+      entries.push({
+        stamp: line
+          .slice(0, line.length - match[8].length)
+          .replace(/\s+/g, " ")
+          .replace(/\s*-?\s*$/, ""),
+        first: match[1],
+        second: match[2],
+        third: match[3],
+        hour: Number(match[4]),
+        minute: Number(match[5]),
+        seconds: Number(match[6] || 0),
+        meridiem: match[7] ? match[7].replace(/[.\s]/g, "").toLowerCase() : null,
+        body: match[8],
+      });
+    } else if (entries.length) {
+      entries[entries.length - 1].body += `\n${line}`;
+    }
+  }
+
+  const dateOrder =
+    requestedOrder === "AUTO" ? detectDateOrder(entries, "MDY") : requestedOrder;
+
+  const messages = [];
+  let skipped = 0;
+  let lastBaseMs = null;
+  let sameTimeCount = 0;
+
+  for (const entry of entries) {
+    const authorMatch = AUTHOR_RE.exec(entry.body);
+    if (!authorMatch) {
+      skipped++;
+      continue;
+    }
+
+    const author = authorMatch[1].trim();
+    const text = authorMatch[2]
+      .replace(/\s*<This message was edited>$/i, "")
+      .trim();
+
+    if (!author || !text || SKIPPED_TEXT_RES.some((re) => re.test(text))) {
+      skipped++;
+      continue;
+    }
+
+    let year;
+    let month;
+    let day;
+    if (dateOrder === "YMD") {
+      [year, month, day] = [entry.first, entry.second, entry.third].map(Number);
+    } else if (dateOrder === "DMY") {
+      [day, month, year] = [entry.first, entry.second, entry.third].map(Number);
+    } else {
+      [month, day, year] = [entry.first, entry.second, entry.third].map(Number);
+    }
+    if (year < 100) year += 2000;
+
+    let hour = entry.hour;
+    if (entry.meridiem === "pm" && hour < 12) hour += 12;
+    if (entry.meridiem === "am" && hour === 12) hour = 0;
+
+    // Date.UTC would quietly roll 02/30 into March
+    if (
+      month < 1 ||
+      month > 12 ||
+      day < 1 ||
+      day > getDaysInMonth(year, month) ||
+      hour > 23
+    ) {
+      skipped++;
+      continue;
+    }
+
+    const baseMs = localToUtcMs(
+      timezone,
+      Date.UTC(year, month - 1, day, hour, entry.minute, entry.seconds)
+    );
+
+    // Exports only have minute (Android) or second (iOS) precision; nudge
+    // messages sharing a timestamp apart by 1ms so file order survives.
+    sameTimeCount = baseMs === lastBaseMs ? sameTimeCount + 1 : 0;
+    lastBaseMs = baseMs;
+
+    messages.push({
+      createdAt: new Date(baseMs + sameTimeCount).toISOString(),
+      stamp: entry.stamp,
+      author,
+      text,
+    });
+  }
+
+  return { messages, dateOrder, skipped };
+}
+
+/**
+ * Heuristic for "this message asks the group something".
+ */
+function isQuestionLike(text) {
+  const trimmed = String(text || "").trim();
+  if (trimmed.length < 8 || !trimmed.includes("?")) return false;
+  return trimmed.endsWith("?") || QUESTION_START_RE.test(trimmed);
+}
+
+/**
+ * Turn parsed messages into message items for `circleId`.
+ * A question-looking message opens a thread; whatever follows it becomes an
+ * answer until the chat goes quiet for ANSWER_WINDOW_MS. Everything else is
+ * imported as a standalone answer (no question), like any orphan message.
+ */
+function buildImportItems({ circleId, messages, importedByUserId, source, importedAt }) {
+  const items = [];
+  let openQuestion = null;
+  // The same text posted twice in the same minute still gets two ids
+  const seen = new Map();
+
+  for (const message of messages) {
+    const createdMs = Date.parse(message.createdAt);
+    const identity = `${circleId}|${message.stamp}|${message.author}|${message.text}`;
+    const repeat = seen.get(identity) || 0;
+    seen.set(identity, repeat + 1);
+
+    const messageId =
+      "msg_import_" +
+      crypto
+        .createHash("sha256")
+        .update(repeat ? `${identity}|${repeat}` : identity)
+        .digest("hex")
+        .slice(0, 32);
+
+    const item = {
+      familyId: circleId,
+      messageKey: `${message.createdAt}#${messageId}`,
+      createdAt: message.createdAt,
+      author: message.author,
+      text: message.text,
+      messageId,
+      importedFrom: source || "whatsapp",
+      importedAt,
+      importedByUserId: importedByUserId || null,
+    };
+
+    if (isQuestionLike(message.text)) {
+      item.messageType = "question";
+      item.threadId = messageId;
+      openQuestion = { messageId, lastActivityMs: createdMs };
+    } else if (
+      openQuestion &&
+      // Exports aren't always in time order; an earlier message doesn't answer
+      createdMs >= openQuestion.lastActivityMs &&
+      createdMs - openQuestion.lastActivityMs <= ANSWER_WINDOW_MS
+    ) {
+      item.messageType = "answer";
+      item.questionId = openQuestion.messageId;
+      item.threadId = openQuestion.messageId;
+      openQuestion.lastActivityMs = createdMs;
+    } else {
+      item.messageType = "answer";
+      openQuestion = null;
+    }
+
+    items.push(item);
+  }
+
+  return items;
+}
+
+/**
+ * Counts for a dry-run preview.
+ */
+function summarizeImportItems(items) {
+  const authors = new Map();
+  let questions = 0;
+  let answers = 0;
+
+  for (const item of items) {
+    authors.set(item.author, (authors.get(item.author) || 0) + 1);
+    if (item.messageType === "question") questions++;
+    else if (item.questionId) answers++;
+  }
+
+  return {
+    total: items.length,
+    questions,
+    answers,
+    standalone: items.length - questions - answers,
+    authors: Array.from(authors, ([name, count]) => ({ name, count })).sort(
+      (a, b) => b.count - a.count
+    ),
+    firstAt: items.length ? items[0].createdAt : null,
+    lastAt: items.length ? items[items.length - 1].createdAt : null,
+  };
+}
+
+module.exports = {
+  parseWhatsAppExport,
+  buildImportItems,
+  summarizeImportItems,
+};
@@ -0,0 +1,342 @@
+// lambdas/circle-cleanup.js
+//
+// SQS-triggered worker for DELETE /api/circles/{circleId}.
+// Removes everything that belongs to a circle, one table at a time, and
+// records progress on the Circles item (`deletion.phase` / `deletion.counts`)
+// so GET /api/circles/{circleId}/deletion can report it.
+//
+// Every step is idempotent: if we run low on time we re-enqueue the circle
+// and the next run simply picks up whatever is left.
+
+// --- Env vars ---
+const messagesTableName = process.env.TABLE_NAME;
+const circlesTableName = process.env.CIRCLES_TABLE_NAME;
+const membershipsTableName = process.env.CIRCLE_MEMBERSHIPS_TABLE_NAME;
+const invitationsTableName = process.env.INVITATIONS_TABLE_NAME;
+const invitationsCircleIndexName =
+  process.env.INVITATIONS_CIRCLE_INDEX_NAME || "CircleIndex";
+const joinRequestsTableName = process.env.JOIN_REQUESTS_TABLE_NAME;
+const celebrationsTableName = process.env.CELEBRATIONS_TABLE_NAME;
+const mediaBucketName = process.env.MEDIA_BUCKET_NAME;
+const cleanupQueueUrl = process.env.CIRCLE_CLEANUP_QUEUE_URL;
+
+// --- AWS SDK v3 clients ---
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  GetCommand,
+  QueryCommand,
+  ScanCommand,
+  UpdateCommand,
+  BatchWriteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { SQSClient, SendMessageCommand } = require("@aws-sdk/client-sqs");
+const {
+  S3Client,
+  ListObjectsV2Command,
+  DeleteObjectsCommand,
+} = require("@aws-sdk/client-s3");
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+const sqsClient = new SQSClient({});
+const s3Client = new S3Client({});
+
+// Stop starting new batches when less than this much time is left
+const TIME_BUFFER_MS = 60 * 1000;
+
+/**
+ * Lambda handler for SQS events ({ circleId } per record)
+ * @param {import('aws-lambda').SQSEvent} event
+ * @param {import('aws-lambda').Context} context
+ */
+exports.handler = async (event, context) => {
+  for (const record of event.Records) {
+    const { circleId } = JSON.parse(record.body);
+    await cleanupCircle(circleId, context);
+  }
+};
+
+/**
+ * Phases run in order. Memberships go last so other members can keep
+ * checking deletion progress until the content is gone.
+ */
+const PHASES = [
+  { name: "messages", run: deleteCircleMessages },
+  { name: "media", run: deleteCircleMedia },
+  { name: "invitations", run: deleteCircleInvitations },
+  { name: "joinRequests", run: deleteCircleJoinRequests },
+  { name: "celebrations", run: deleteCircleCelebrations },
+  { name: "memberships", run: deleteCircleMemberships },
+];
+
+async function cleanupCircle(circleId, context) {
+  const circleRes = await ddb.send(
+    new GetCommand({
+      TableName: circlesTableName,
+      Key: { circleId },
+    })
+  );
+
+  const circle = circleRes.Item;
+  if (!circle || circle.status !== "DELETING") {
+    console.log("Circle not pending deletion; nothing to do:", circleId);
+    return;
+  }
+
+  const outOfTime = () => context.getRemainingTimeInMillis() < TIME_BUFFER_MS;
+
+  for (const phase of PHASES) {
+    await setDeletionPhase(circleId, phase.name);
+
+    const finished = await phase.run(circleId, outOfTime, (count) =>
+      addDeletionCount(circleId, phase.name, count)
+    );
+
+    if (!finished) {
+      console.log("Out of time; re-enqueueing cleanup for", circleId);
+      await sqsClient.send(
+        new SendMessageCommand({
+          QueueUrl: cleanupQueueUrl,
+          MessageBody: JSON.stringify({ circleId }),
+        })
+      );
+      return;
+    }
+  }
+
+  // Keep a small tombstone so the requester can still read the final status
+  await ddb.send(
+    new UpdateCommand({
+      TableName: circlesTableName,
+      Key: { circleId },
+      UpdateExpression:
+        "SET #status = :deleted, deletion.phase = :done, deletion.completedAt = :now " +
+        "REMOVE description, tags, schedule, rotation",
+      ExpressionAttributeNames: { "#status": "status" },
+      ExpressionAttributeValues: {
+        ":deleted": "DELETED",
+        ":done": "DONE",
+        ":now": new Date().toISOString(),
+      },
+    })
+  );
+
+  console.log("Circle cleanup complete:", circleId);
+}
+
+async function setDeletionPhase(circleId, phase) {
+  await ddb.send(
+    new UpdateCommand({
+      TableName: circlesTableName,
+      Key: { circleId },
+      UpdateExpression: "SET deletion.phase = :p",
+      ExpressionAttributeValues: { ":p": phase },
+    })
+  );
+}
+
+async function addDeletionCount(circleId, phase, count) {
+  if (!count) return;
+
+  await ddb.send(
+    new UpdateCommand({
+      TableName: circlesTableName,
+      Key: { circleId },
+      // if_not_exists: deletions started before a phase was added lack its count
+      UpdateExpression:
+        "SET deletion.counts.#p = if_not_exists(deletion.counts.#p, :zero) + :n",
+      ExpressionAttributeNames: { "#p": phase },
+      ExpressionAttributeValues: { ":n": count, ":zero": 0 },
+    })
+  );
+}
+
+/**
+ * Delete keys in chunks of 25, retrying unprocessed items.
+ */
+async function batchDelete(tableName, keys) {
+  for (let i = 0; i < keys.length; i += 25) {
+    let requestItems = {
+      [tableName]: keys.slice(i, i + 25).map((Key) => ({
+        DeleteRequest: { Key },
+      })),
+    };
+
+    for (let attempt = 0; attempt < 8; attempt++) {
+      const res = await ddb.send(
+        new BatchWriteCommand({ RequestItems: requestItems })
+      );
+
+      const unprocessed = res.UnprocessedItems || {};
+      if (!unprocessed[tableName] || !unprocessed[tableName].length) {
+        break;
+      }
+
+      if (attempt === 7) {
+        throw new Error(`Unprocessed deletes left in ${tableName}`);
+      }
+
+      requestItems = unprocessed;
+      await new Promise((r) => setTimeout(r, 100 * 2 ** attempt));
+    }
+  }
+}
+
+/**
+ * Page through `send(startKey)` results, deleting each page's keys.
+ * Returns false if we stopped early because time is running out.
+ */
+async function deletePaged(tableName, send, toKey, outOfTime, onDeleted) {
+  let exclusiveStartKey = undefined;
+
+  do {
+    if (outOfTime()) return false;
+
+    const res = await send(exclusiveStartKey);
+    const keys = (res.Items || []).map(toKey);
+
+    await batchDelete(tableName, keys);
+    await onDeleted(keys.length);
+
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return true;
+}
+
+function deleteCircleMessages(circleId, outOfTime, onDeleted) {
+  return deletePaged(
+    messagesTableName,
+    (startKey) =>
+      ddb.send(
+        new QueryCommand({
+          TableName: messagesTableName,
+          KeyConditionExpression: "familyId = :f",
+          ExpressionAttributeValues: { ":f": circleId },
+          ProjectionExpression: "familyId, messageKey",
+          ExclusiveStartKey: startKey,
+        })
+      ),
+    (item) => ({ familyId: item.familyId, messageKey: item.messageKey }),
+    outOfTime,
+    onDeleted
+  );
+}
+
+/**
+ * Attachments (media/{circleId}/...) and unclaimed uploads (uploads/{circleId}/...).
+ */
+async function deleteCircleMedia(circleId, outOfTime, onDeleted) {
+  if (!mediaBucketName) return true;
+
+  for (const prefix of [`media/${circleId}/`, `uploads/${circleId}/`]) {
+    let continuationToken = undefined;
+
+    do {
+      if (outOfTime()) return false;
+
+      const res = await s3Client.send(
+        new ListObjectsV2Command({
+          Bucket: mediaBucketName,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        })
+      );
+      const objects = (res.Contents || []).map(({ Key }) => ({ Key }));
+
+      if (objects.length > 0) {
+        const deleted = await s3Client.send(
+          new DeleteObjectsCommand({
+            Bucket: mediaBucketName,
+            Delete: { Objects: objects, Quiet: true },
+          })
+        );
+        if (deleted.Errors && deleted.Errors.length) {
+          throw new Error(`Failed to delete ${deleted.Errors.length} media objects`);
+        }
+        await onDeleted(objects.length);
+      }
+
+      continuationToken = res.NextContinuationToken;
+    } while (continuationToken);
+  }
+
+  return true;
+}
+
+function deleteCircleInvitations(circleId, outOfTime, onDeleted) {
+  return deletePaged(
+    invitationsTableName,
+    (startKey) =>
+      ddb.send(
+        new QueryCommand({
+          TableName: invitationsTableName,
+          IndexName: invitationsCircleIndexName,
+          KeyConditionExpression: "circleId = :c",
+          ExpressionAttributeValues: { ":c": circleId },
+          ProjectionExpression: "invitationId",
+          ExclusiveStartKey: startKey,
+        })
+      ),
+    (item) => ({ invitationId: item.invitationId }),
+    outOfTime,
+    onDeleted
+  );
+}
+
+function deleteCircleJoinRequests(circleId, outOfTime, onDeleted) {
+  return deletePaged(
+    joinRequestsTableName,
+    (startKey) =>
+      ddb.send(
+        new QueryCommand({
+          TableName: joinRequestsTableName,
+          KeyConditionExpression: "circleId = :c",
+          ExpressionAttributeValues: { ":c": circleId },
+          ProjectionExpression: "circleId, userId",
+          ExclusiveStartKey: startKey,
+        })
+      ),
+    (item) => ({ circleId: item.circleId, userId: item.userId }),
+    outOfTime,
+    onDeleted
+  );
+}
+
+function deleteCircleCelebrations(circleId, outOfTime, onDeleted) {
+  return deletePaged(
+    celebrationsTableName,
+    (startKey) =>
+      ddb.send(
+        new QueryCommand({
+          TableName: celebrationsTableName,
+          KeyConditionExpression: "circleId = :c",
+          ExpressionAttributeValues: { ":c": circleId },
+          ProjectionExpression: "circleId, celebrationId",
+          ExclusiveStartKey: startKey,
+        })
+      ),
+    (item) => ({ circleId: item.circleId, celebrationId: item.celebrationId }),
+    outOfTime,
+    onDeleted
+  );
+}
+
+function deleteCircleMemberships(circleId, outOfTime, onDeleted) {
+  return deletePaged(
+    membershipsTableName,
+    (startKey) =>
+      ddb.send(
+        new ScanCommand({
+          TableName: membershipsTableName,
+          FilterExpression: "circleId = :c",
+          ExpressionAttributeValues: { ":c": circleId },
+          ProjectionExpression: "userId, circleId",
+          ExclusiveStartKey: startKey,
+        })
+      ),
+    (item) => ({ userId: item.userId, circleId: item.circleId }),
+    outOfTime,
+    onDeleted
+  );
+}
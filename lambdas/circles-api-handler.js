@@ -9,7 +9,9 @@ const {
   GetCommand,
   UpdateCommand,
   ScanCommand,
-  DeleteCommand, // unsubscribe
+  DeleteCommand, // unsubscribe, leave/remove member
+  TransactWriteCommand, // all-or-nothing multi-table writes
+  BatchGetCommand, // search results
 } = require("@aws-sdk/lib-dynamodb");
 
 const {
@@ -18,19 +20,63 @@ const {
 } = require("@aws-sdk/client-bedrock-runtime");
 
 // SES v3 client for sending invitation emails
-const { SESClient, SendEmailCommand } = require("@aws-sdk/client-ses");
+const {
+  SESClient,
+  SendEmailCommand,
+  SendRawEmailCommand,
+} = require("@aws-sdk/client-ses");
 const { SQSClient, SendMessageCommand } = require("@aws-sdk/client-sqs");
 
-const { randomUUID } = require("crypto");
+// Attachments: presigned uploads to the media bucket, CloudFront-signed reads
+const {
+  S3Client,
+  HeadObjectCommand,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { createPresignedPost } = require("@aws-sdk/s3-presigned-post");
+const { getSignedUrl } = require("@aws-sdk/cloudfront-signer");
+
+const { randomUUID, timingSafeEqual } = require("crypto");
+const QRCode = require("qrcode");
+
+// Shared with search-indexer.js so queries and the index agree
+const { tokenizeSearchText } = require("./search-tokens");
+
+// WhatsApp export parsing, shared with Circles/import-whatsapp-chat.mjs
+const {
+  parseWhatsAppExport,
+  buildImportItems,
+  summarizeImportItems,
+} = require("./chat-import");
 
 // CDK sets these env vars
-const TABLE_NAME = process.env.TABLE_NAME || "CirclesMessages"; // messages
+const TABLE_NAME = process.env.TABLE_NAME || "CirclesMessagesV2"; // messages
+const MESSAGES_THREAD_INDEX_NAME =
+  process.env.MESSAGES_THREAD_INDEX_NAME || "ThreadIndex"; // threadId + messageKey
+const MESSAGES_MESSAGE_ID_INDEX_NAME =
+  process.env.MESSAGES_MESSAGE_ID_INDEX_NAME || "MessageIdIndex"; // messageId
+const MESSAGES_DUE_WORK_INDEX_NAME =
+  process.env.MESSAGES_DUE_WORK_INDEX_NAME || "DueWorkIndex"; // dueKind + dueAt (sparse)
+const MESSAGES_EVENT_INDEX_NAME =
+  process.env.MESSAGES_EVENT_INDEX_NAME || "CircleEventIndex"; // eventCircleId + eventStartsAt (sparse)
 const CIRCLES_TABLE_NAME = process.env.CIRCLES_TABLE_NAME || "Circles"; // circles metadata
 const CIRCLE_MEMBERSHIPS_TABLE_NAME =
   process.env.CIRCLE_MEMBERSHIPS_TABLE_NAME || "CircleMemberships"; // memberships
 
 const INVITATIONS_TABLE_NAME =
   process.env.INVITATIONS_TABLE_NAME || "CircleInvitations"; // invitations
+const INVITATIONS_CIRCLE_INDEX_NAME =
+  process.env.INVITATIONS_CIRCLE_INDEX_NAME || "CircleIndex"; // circleId + createdAt
+const JOIN_REQUESTS_TABLE_NAME =
+  process.env.JOIN_REQUESTS_TABLE_NAME || "CircleJoinRequests"; // circleId + userId
+const CELEBRATIONS_TABLE_NAME =
+  process.env.CELEBRATIONS_TABLE_NAME || "CircleCelebrations"; // circleId + celebrationId
+
+// Maintained by search-indexer.js from the messages table's stream
+const SEARCH_INDEX_TABLE_NAME =
+  process.env.SEARCH_INDEX_TABLE_NAME || "CircleSearchIndex"; // circleId#token + messageKey
 
 // Tag config table (for approved circle tags)
 const CIRCLE_TAG_CONFIG_TABLE_NAME =
@@ -55,11 +101,25 @@ const SES_FROM_ADDRESS =
   process.env.SES_FROM_EMAIL ||
   null;
 
+// Attachments: private bucket, served through CloudFront (`media/*`) with
+// signed URLs. Without a signing key URLs come back null.
+const MEDIA_BUCKET_NAME = process.env.MEDIA_BUCKET_NAME || null;
+const MEDIA_BASE_URL = process.env.MEDIA_BASE_URL || FRONTEND_BASE_URL;
+const MEDIA_SIGNING_KEY_PAIR_ID = process.env.MEDIA_SIGNING_KEY_PAIR_ID || null;
+const MEDIA_SIGNING_PRIVATE_KEY = (
+  process.env.MEDIA_SIGNING_PRIVATE_KEY || ""
+).replace(/\\n/g, "\n");
+
+// Background cleanup for deleted circles (circle-cleanup.js)
+const CIRCLE_CLEANUP_QUEUE_URL = process.env.CIRCLE_CLEANUP_QUEUE_URL || null;
+
 // NEW: push events queue URL
 const PUSH_EVENTS_QUEUE_URL = process.env.PUSH_EVENTS_QUEUE_URL || null;
 
 const CIRCLE_NOTIFICATION_SUBSCRIPTIONS_TABLE_NAME =
   process.env.CIRCLE_NOTIFICATION_SUBSCRIPTIONS_TABLE_NAME || null;
+const CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME =
+  process.env.CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME || null;
 
 // Set up DocumentClient-style wrapper
 const ddbClient = new DynamoDBClient({});
@@ -78,6 +138,9 @@ const sesClient = new SESClient({
   region: SES_REGION,
 });
 
+// S3 client (attachments)
+const s3Client = new S3Client({});
+
 // -------------------------
 // Helpers: HTTP response
 // -------------------------
@@ -87,13 +150,45 @@ function makeResponse(statusCode, body) {
     headers: {
       "Content-Type": "application/json",
       "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
+      "Access-Control-Allow-Methods": "GET,POST,PUT,PATCH,DELETE,OPTIONS",
       "Access-Control-Allow-Headers": "Content-Type,Authorization",
     },
     body: JSON.stringify(body, null, 2),
   };
 }
 
+// Like makeResponse, but for a file download (exports)
+function makeFileResponse(body, contentType, filename) {
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${filename}"`,
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET,POST,PUT,PATCH,DELETE,OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type,Authorization",
+      "Access-Control-Expose-Headers": "Content-Disposition",
+    },
+    body,
+  };
+}
+
+// -------------------------
+// Helpers: URL tokens (calendar feeds, digest unsubscribe links)
+// -------------------------
+
+/**
+ * Constant-time check of a secret token from a URL. Compares byte lengths
+ * first: timingSafeEqual throws on a length mismatch, and a multibyte
+ * character can make equal string lengths differ in bytes.
+ */
+function isMatchingUrlToken(expected, given) {
+  if (!expected || !given) return false;
+  const a = Buffer.from(String(expected));
+  const b = Buffer.from(String(given));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
 // -------------------------
 // Helpers: user from JWT
 // -------------------------
@@ -164,303 +259,6807 @@ async function getUserMembershipCircleIds(userId) {
   return circleIds;
 }
 
-// -------------------------
-// TagConfig loader + helpers
-// -------------------------
+/**
+ * Fetch the caller's membership row for a single circle (or null).
+ */
+async function getCircleMembership(userId, circleId) {
+  if (!userId || !circleId) return null;
 
-// Cache of all active tags for this Lambda container
-let cachedTagConfig = null;
+  const res = await ddb.send(
+    new GetCommand({
+      TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
+      Key: { userId, circleId },
+    })
+  );
+
+  return res.Item || null;
+}
 
 /**
- * Load all active tag config items from the CircleTagConfig table.
- * Each item should resemble:
- *  {
- *    tagKey,
- *    displayLabel,
- *    category,       // e.g. "life_stage" | "relationship" | "support"
- *    description?,
- *    toneGuidance?,
- *    active: true
- *  }
+ * All membership rows for a circle. The table is keyed by userId, so this is
+ * a filtered Scan (fine at Circles scale, same as /api/circles/members).
  */
-async function loadAllTagConfigs() {
-  if (!CIRCLE_TAG_CONFIG_TABLE_NAME) {
-    console.warn(
-      "CIRCLE_TAG_CONFIG_TABLE_NAME is not set; returning empty tag config."
+async function listCircleMemberships(circleId) {
+  const items = [];
+  let exclusiveStartKey = undefined;
+
+  do {
+    const res = await ddb.send(
+      new ScanCommand({
+        TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
+        FilterExpression: "circleId = :c",
+        ExpressionAttributeValues: {
+          ":c": circleId,
+        },
+        ExclusiveStartKey: exclusiveStartKey,
+      })
     );
-    return [];
-  }
 
-  if (cachedTagConfig) {
-    return cachedTagConfig;
-  }
+    items.push(...(res.Items || []));
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
 
-  console.log(
-    "Scanning tag config table:",
-    CIRCLE_TAG_CONFIG_TABLE_NAME,
-    "for active tags"
-  );
+  return items;
+}
 
-  const result = await ddb.send(
-    new ScanCommand({
-      TableName: CIRCLE_TAG_CONFIG_TABLE_NAME,
-      // Only keep active tags if field exists; otherwise treat all as active
-      FilterExpression: "attribute_not_exists(active) OR #active = :true",
-      ExpressionAttributeNames: { "#active": "active" },
-      ExpressionAttributeValues: { ":true": true },
-    })
-  );
+// -------------------------
+// Helpers: roles & permissions
+// -------------------------
 
-  const items = result.Items || [];
+// What each role may do in a circle. Routes check these through
+// hasCirclePermission() instead of comparing role strings themselves.
+//   invite        -> create member invitations
+//   editCircle    -> name/description/tags, schedule, rotation settings
+//   removeMembers -> remove plain members
+//   moderate      -> edit/delete others' messages, skip or bypass rotation
+//   manageInvitations -> see, revoke and resend everyone's invitations
+//                        (members can manage the ones they sent)
+//   approveMembers -> approve or deny join requests from share links
+//   manageRoles   -> promote/demote, transfer ownership, invite admins,
+//                    remove admins
+//   manageCircle  -> archive, unarchive, delete
+const ROLE_PERMISSIONS = {
+  owner: [
+    "invite",
+    "editCircle",
+    "removeMembers",
+    "moderate",
+    "manageInvitations",
+    "approveMembers",
+    "manageRoles",
+    "manageCircle",
+  ],
+  admin: [
+    "invite",
+    "editCircle",
+    "removeMembers",
+    "moderate",
+    "manageInvitations",
+    "approveMembers",
+  ],
+  member: ["invite"],
+};
 
-  cachedTagConfig = items.map((item) => ({
-    tagKey: item.tagKey,
-    displayLabel: item.displayLabel || item.tagKey,
-    category: item.category || "uncategorized",
-    description: item.description || "",
-    toneGuidance: item.toneGuidance || "",
-    active:
-      typeof item.active === "boolean" ? item.active : true,
-  }));
+/**
+ * Normalised role for a membership row (or null if not a member). Older rows
+ * only carry `role`; newer ones also carry the isOwner/isAdmin flags.
+ */
+function getCircleRole(membership) {
+  if (!membership) return null;
+  if (membership.role === "owner" || membership.isOwner === true) return "owner";
+  if (membership.role === "admin" || membership.isAdmin === true) return "admin";
+  return "member";
+}
 
-  console.log("Loaded tag config count:", cachedTagConfig.length);
+function getRolePermissions(role) {
+  return ROLE_PERMISSIONS[role] || [];
+}
 
-  return cachedTagConfig;
+function hasCirclePermission(membership, permission) {
+  return getRolePermissions(getCircleRole(membership)).includes(permission);
 }
 
 /**
- * Given a list of tag keys, return the matching TagConfig objects.
+ * Membership attributes for a role, keeping the legacy flags in sync.
  */
-async function getTagDetails(tagKeys) {
-  if (!Array.isArray(tagKeys) || tagKeys.length === 0) {
-    return [];
+function getRoleAttributes(role) {
+  return {
+    role,
+    isOwner: role === "owner",
+    isAdmin: role === "owner" || role === "admin",
+  };
+}
+
+// -------------------------
+// Helpers: circle status (archive / delete)
+// -------------------------
+
+// Circles item `status`: absent while active, otherwise one of these
+const CIRCLE_STATUS_ARCHIVED = "ARCHIVED";
+const CIRCLE_STATUS_DELETING = "DELETING";
+const CIRCLE_STATUS_DELETED = "DELETED";
+
+async function getCircle(circleId) {
+  const res = await ddb.send(
+    new GetCommand({
+      TableName: CIRCLES_TABLE_NAME,
+      Key: { circleId },
+    })
+  );
+  return res.Item || null;
+}
+
+/**
+ * Archived circles are read-only; deleting/deleted ones are gone.
+ * Returns a ready response if the circle can't be written to, else null.
+ */
+function getCircleWriteBlockFor(circle) {
+  if (!circle || !circle.status) return null;
+
+  if (circle.status === CIRCLE_STATUS_ARCHIVED) {
+    return makeResponse(409, {
+      message: "This circle is archived and read-only",
+      code: "CIRCLE_ARCHIVED",
+      circleId: circle.circleId,
+    });
   }
 
-  const all = await loadAllTagConfigs();
-  const keySet = new Set(tagKeys);
+  return makeResponse(410, {
+    message: "This circle has been deleted",
+    code: "CIRCLE_DELETED",
+    circleId: circle.circleId,
+  });
+}
 
-  return all.filter((t) => keySet.has(t.tagKey));
+async function getCircleWriteBlock(circleId) {
+  return getCircleWriteBlockFor(await getCircle(circleId));
 }
 
 /**
- * Fetch a circle by id and resolve its tag details (if any).
+ * Deleting/deleted circles read as not found (archived ones stay readable).
+ * Like the write guard, a circle without a metadata row (older circles)
+ * is let through. Returns a ready 404 response, else null.
  */
-async function getCircleAndTagContext(circleId) {
-  if (!circleId) {
-    return { circle: null, tagKeys: [], tagDetails: [] };
+async function getCircleReadBlock(circleId) {
+  const circle = await getCircle(circleId);
+  if (
+    circle &&
+    (circle.status === CIRCLE_STATUS_DELETING ||
+      circle.status === CIRCLE_STATUS_DELETED)
+  ) {
+    return makeResponse(404, { message: "Circle not found", circleId });
   }
+  return null;
+}
 
-  let circle = null;
+// -------------------------
+// Helpers: transactions
+// -------------------------
+
+/**
+ * Run a TransactWriteCommand. When DynamoDB cancels it because of a failed
+ * condition or a concurrent transaction on the same item, nothing is
+ * written and this resolves to { ok: false, failedIndexes, conflicted }
+ * (failedIndexes = positions in transactItems whose condition failed)
+ * so callers can pick the right 409. Other errors are thrown.
+ */
+async function transactWrite(transactItems) {
   try {
-    const res = await ddb.send(
-      new GetCommand({
-        TableName: CIRCLES_TABLE_NAME,
-        Key: { circleId },
-      })
+    await ddb.send(
+      new TransactWriteCommand({ TransactItems: transactItems })
     );
-    circle = res.Item || null;
-  } catch (e) {
-    console.error("Error fetching circle for tag context:", e);
+    return { ok: true, failedIndexes: [], conflicted: false };
+  } catch (err) {
+    if (err.name !== "TransactionCanceledException") throw err;
+
+    const reasons = err.CancellationReasons || [];
+    const failedIndexes = [];
+    reasons.forEach((reason, i) => {
+      if (reason && reason.Code === "ConditionalCheckFailed") {
+        failedIndexes.push(i);
+      }
+    });
+    const conflicted = reasons.some(
+      (reason) => reason && reason.Code === "TransactionConflict"
+    );
+
+    if (failedIndexes.length === 0 && !conflicted) throw err;
+
+    console.warn("Transaction cancelled:", {
+      reasons: reasons.map((r) => (r && r.Code) || "None"),
+    });
+    return { ok: false, failedIndexes, conflicted };
   }
+}
 
-  const tagKeys =
-    circle && Array.isArray(circle.tags) ? circle.tags : [];
+// -------------------------
+// Helpers: attachments
+// -------------------------
 
-  const tagDetails = await getTagDetails(tagKeys);
+// Uploads land in `uploads/{circleId}/{userId}/{attachmentId}` (a bucket
+// lifecycle rule expires leftovers) and move to
+// `media/{circleId}/{attachmentId}/original` once a message uses them.
+// Posting an upload first writes a create-only `{upload key}.claim` marker,
+// so only one message can ever use it.
+// media-thumbnailer.js writes `thumb.jpg` next to image originals.
+const ATTACHMENT_IMAGE_MAX_BYTES = 15 * 1024 * 1024;
+const ATTACHMENT_VIDEO_MAX_BYTES = 50 * 1024 * 1024;
+const ATTACHMENT_TYPES = {
+  "image/jpeg": { kind: "image", maxBytes: ATTACHMENT_IMAGE_MAX_BYTES },
+  "image/png": { kind: "image", maxBytes: ATTACHMENT_IMAGE_MAX_BYTES },
+  "image/webp": { kind: "image", maxBytes: ATTACHMENT_IMAGE_MAX_BYTES },
+  "image/gif": { kind: "image", maxBytes: ATTACHMENT_IMAGE_MAX_BYTES },
+  "video/mp4": { kind: "video", maxBytes: ATTACHMENT_VIDEO_MAX_BYTES },
+  "video/quicktime": { kind: "video", maxBytes: ATTACHMENT_VIDEO_MAX_BYTES },
+  "video/webm": { kind: "video", maxBytes: ATTACHMENT_VIDEO_MAX_BYTES },
+};
+const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+const ATTACHMENT_UPLOAD_EXPIRES_SECONDS = 10 * 60;
+const ATTACHMENT_FILE_NAME_MAX_LENGTH = 120;
 
-  return { circle, tagKeys, tagDetails };
+function getAttachmentUploadKey(circleId, userId, attachmentId) {
+  return `uploads/${circleId}/${userId}/${attachmentId}`;
+}
+
+function getAttachmentClaimKey(circleId, userId, attachmentId) {
+  return `${getAttachmentUploadKey(circleId, userId, attachmentId)}.claim`;
+}
+
+function getAttachmentMediaKey(circleId, attachmentId, file) {
+  return `media/${circleId}/${attachmentId}/${file}`;
 }
 
 /**
- * Enqueue a "new question" push event for downstream processing.
- *
- * @param {Object} params
- * @param {string} params.circleId   // familyId in current API
- * @param {string} params.circleName // for now, same as circleId
- * @param {string} params.questionId
- * @param {string} params.questionText
- * @param {string} params.actorUserId
+ * CloudFront signed URL for a media key. The expiry is rounded to the hour
+ * so repeated loads get the same URL (and the browser cache keeps working).
  */
-async function enqueueNewQuestionPushEvent(params) {
-  if (!PUSH_EVENTS_QUEUE_URL) {
-    console.warn(
-      "PUSH_EVENTS_QUEUE_URL is not configured; skipping push event enqueue"
-    );
-    return;
-  }
+function signMediaUrl(key) {
+  if (!MEDIA_SIGNING_KEY_PAIR_ID || !MEDIA_SIGNING_PRIVATE_KEY) return null;
 
-  const preview = (params.questionText || "").slice(0, 140);
+  const hourMs = 60 * 60 * 1000;
+  const expiresAt = new Date((Math.floor(Date.now() / hourMs) + 2) * hourMs);
 
-  const messageBody = JSON.stringify({
-    type: "NEW_QUESTION",
-    circleId: params.circleId,
-    circleName: params.circleName,
-    questionId: params.questionId,
-    questionPreview: preview,
-    actorUserId: params.actorUserId,
+  return getSignedUrl({
+    url: `${MEDIA_BASE_URL}/${encodeURI(key)}`,
+    keyPairId: MEDIA_SIGNING_KEY_PAIR_ID,
+    privateKey: MEDIA_SIGNING_PRIVATE_KEY,
+    dateLessThan: expiresAt.toISOString(),
   });
+}
 
-  const cmd = new SendMessageCommand({
-    QueueUrl: PUSH_EVENTS_QUEUE_URL,
-    MessageBody: messageBody,
-  });
+/**
+ * Stored attachment -> API shape, with short-lived signed URLs.
+ * thumbnailUrl may 403 for a few seconds after posting, until the
+ * thumbnailer has run; clients fall back to `url`.
+ */
+function toClientAttachment(circleId, attachment) {
+  const { attachmentId, kind } = attachment;
+  return {
+    ...attachment,
+    url: signMediaUrl(getAttachmentMediaKey(circleId, attachmentId, "original")),
+    thumbnailUrl:
+      kind === "image"
+        ? signMediaUrl(getAttachmentMediaKey(circleId, attachmentId, "thumb.jpg"))
+        : null,
+  };
+}
 
-  try {
-    const result = await sqsClient.send(cmd);
-    console.log("Enqueued NEW_QUESTION push event", {
-      messageId: result.MessageId,
-      circleId: params.circleId,
-      questionId: params.questionId,
-    });
-  } catch (err) {
-    console.error("Failed to enqueue NEW_QUESTION push event", {
-      error: err,
-      circleId: params.circleId,
-      questionId: params.questionId,
-    });
-    // V1: do not fail the API if enqueue fails
+/**
+ * Validate `attachments` from a message body: [{ attachmentId, fileName? }].
+ * Returns { refs } or { error: message }.
+ */
+function parseAttachmentRefs(input) {
+  if (input === undefined || input === null) return { refs: [] };
+
+  if (!Array.isArray(input)) {
+    return { error: '"attachments" must be an array' };
+  }
+  if (input.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+    return {
+      error: `At most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments per message`,
+    };
+  }
+
+  const refs = [];
+  const seen = new Set();
+  for (const entry of input) {
+    const attachmentId = String((entry && entry.attachmentId) || "").trim();
+    if (!/^att_[0-9a-f-]{36}$/.test(attachmentId) || seen.has(attachmentId)) {
+      return { error: "Invalid attachmentId in \"attachments\"" };
+    }
+    seen.add(attachmentId);
+
+    const fileName = entry.fileName
+      ? String(entry.fileName).trim().slice(0, ATTACHMENT_FILE_NAME_MAX_LENGTH)
+      : null;
+    refs.push({ attachmentId, fileName });
   }
+
+  return { refs };
 }
 
-async function enqueueNewAnswerPushEvent(params) {
-  if (!PUSH_EVENTS_QUEUE_URL) {
-    console.warn(
-      "PUSH_EVENTS_QUEUE_URL is not configured; skipping push event enqueue"
-    );
-    return;
+/**
+ * Check the caller's finished uploads, claim them and copy them under media/
+ * for this circle. The uploads themselves stay until the message is written
+ * (see releaseClaimedUploads); if the write fails, unclaimUploads lets the
+ * post be retried.
+ * Returns { attachments } (what gets stored on the message) or { error }.
+ */
+async function claimUploadedAttachments(circleId, userId, refs) {
+  if (refs.length === 0) return { attachments: [] };
+
+  if (!MEDIA_BUCKET_NAME) {
+    return {
+      error: makeResponse(503, { message: "Attachments are not configured" }),
+    };
   }
 
-  const preview = (params.answerText || "").slice(0, 140);
+  const uploads = await Promise.all(
+    refs.map(async (ref) => {
+      const key = getAttachmentUploadKey(circleId, userId, ref.attachmentId);
+      try {
+        const head = await s3Client.send(
+          new HeadObjectCommand({ Bucket: MEDIA_BUCKET_NAME, Key: key })
+        );
+        return { ref, key, head };
+      } catch (err) {
+        if (err.name === "NotFound" || err.name === "NoSuchKey") {
+          return { ref, key, head: null };
+        }
+        throw err;
+      }
+    })
+  );
 
-  const messageBody = JSON.stringify({
-    type: "NEW_ANSWER",
-    circleId: params.circleId,
-    circleName: params.circleName,
-    questionId: params.questionId,   // the question this answer belongs to
-    answerId: params.answerId,       // the messageId of the answer
-    answerPreview: preview,
-    actorUserId: params.actorUserId, // the user who posted the answer
-  });
+  for (const { ref, head } of uploads) {
+    if (!head) {
+      return {
+        error: makeResponse(400, {
+          message: "Attachment has not been uploaded (or the upload expired)",
+          code: "ATTACHMENT_NOT_UPLOADED",
+          attachmentId: ref.attachmentId,
+        }),
+      };
+    }
 
-  const cmd = new SendMessageCommand({
-    QueueUrl: PUSH_EVENTS_QUEUE_URL,
-    MessageBody: messageBody,
-  });
+    // The presigned POST enforces both, but re-check what actually landed
+    const type = ATTACHMENT_TYPES[head.ContentType];
+    if (!type || head.ContentLength > type.maxBytes) {
+      return {
+        error: makeResponse(400, {
+          message: "Attachment type or size is not allowed",
+          code: "ATTACHMENT_REJECTED",
+          attachmentId: ref.attachmentId,
+        }),
+      };
+    }
+  }
+
+  // Create-only claim markers: of two posts racing for the same upload,
+  // exactly one gets past this point
+  const claimedRefs = [];
+  for (const { ref } of uploads) {
+    try {
+      await s3Client.send(
+        new PutObjectCommand({
+          Bucket: MEDIA_BUCKET_NAME,
+          Key: getAttachmentClaimKey(circleId, userId, ref.attachmentId),
+          Body: "",
+          IfNoneMatch: "*",
+        })
+      );
+      claimedRefs.push(ref);
+    } catch (err) {
+      await unclaimUploads(circleId, userId, claimedRefs);
+
+      const status = err.$metadata && err.$metadata.httpStatusCode;
+      if (
+        err.name === "PreconditionFailed" ||
+        err.name === "ConditionalRequestConflict" ||
+        status === 412 ||
+        status === 409
+      ) {
+        return {
+          error: makeResponse(409, {
+            message: "Attachment is already used by another message",
+            code: "ATTACHMENT_ALREADY_USED",
+            attachmentId: ref.attachmentId,
+          }),
+        };
+      }
+      throw err;
+    }
+  }
 
   try {
-    const result = await sqsClient.send(cmd);
-    console.log("Enqueued NEW_ANSWER push event", {
-      messageId: result.MessageId,
-      circleId: params.circleId,
-      questionId: params.questionId,
-      answerId: params.answerId,
-    });
+    await Promise.all(
+      uploads.map(({ ref, key }) =>
+        s3Client.send(
+          new CopyObjectCommand({
+            Bucket: MEDIA_BUCKET_NAME,
+            CopySource: `${MEDIA_BUCKET_NAME}/${key}`,
+            Key: getAttachmentMediaKey(circleId, ref.attachmentId, "original"),
+          })
+        )
+      )
+    );
   } catch (err) {
-    console.error("Failed to enqueue NEW_ANSWER push event", {
-      error: err,
-      circleId: params.circleId,
-      questionId: params.questionId,
-      answerId: params.answerId,
-    });
-    // Do not fail the API if enqueue fails
+    await unclaimUploads(circleId, userId, claimedRefs);
+    throw err;
+  }
+
+  return {
+    attachments: uploads.map(({ ref, head }) => ({
+      attachmentId: ref.attachmentId,
+      kind: ATTACHMENT_TYPES[head.ContentType].kind,
+      contentType: head.ContentType,
+      size: head.ContentLength,
+      fileName: ref.fileName,
+    })),
+  };
+}
+
+/**
+ * Drop the claim markers again after a post that didn't go through, so the
+ * uploads can be used on a retry. Best effort.
+ */
+async function unclaimUploads(circleId, userId, refs) {
+  for (const ref of refs) {
+    try {
+      await s3Client.send(
+        new DeleteObjectCommand({
+          Bucket: MEDIA_BUCKET_NAME,
+          Key: getAttachmentClaimKey(circleId, userId, ref.attachmentId),
+        })
+      );
+    } catch (err) {
+      console.error("Failed to delete upload claim marker:", {
+        circleId,
+        attachmentId: ref.attachmentId,
+        err,
+      });
+    }
+  }
+}
+
+/**
+ * Once the message is written: delete the uploads it claimed. The claim
+ * markers stay (the uploads/ lifecycle rule expires them), so an upload
+ * can't be claimed again. Best effort; the lifecycle rule also catches any
+ * upload left behind.
+ */
+async function releaseClaimedUploads(circleId, userId, refs) {
+  for (const ref of refs) {
+    try {
+      await s3Client.send(
+        new DeleteObjectCommand({
+          Bucket: MEDIA_BUCKET_NAME,
+          Key: getAttachmentUploadKey(circleId, userId, ref.attachmentId),
+        })
+      );
+    } catch (err) {
+      console.error("Failed to delete claimed upload:", {
+        circleId,
+        attachmentId: ref.attachmentId,
+        err,
+      });
+    }
   }
 }
 
+/**
+ * Best-effort removal of a message's media (original + thumbnail).
+ */
+async function deleteAttachmentObjects(circleId, attachments) {
+  if (!MEDIA_BUCKET_NAME || !Array.isArray(attachments)) return;
+
+  for (const { attachmentId } of attachments) {
+    for (const file of ["original", "thumb.jpg"]) {
+      try {
+        await s3Client.send(
+          new DeleteObjectCommand({
+            Bucket: MEDIA_BUCKET_NAME,
+            Key: getAttachmentMediaKey(circleId, attachmentId, file),
+          })
+        );
+      } catch (err) {
+        console.error("Failed to delete attachment object:", {
+          circleId,
+          attachmentId,
+          file,
+          err,
+        });
+      }
+    }
+  }
+}
 
 // -------------------------
-// Email helper: send invitation email via SES
+// Helpers: messages
 // -------------------------
 
-async function sendInvitationEmail({
-  toEmail,
-  inviteUrl,
-  circleName,
-  inviterName,
+// Emoji allowed as reactions (kept small so the UI can show a fixed bar)
+const REACTION_EMOJIS = ["❤️", "😂", "👍", "😮", "😢", "🙏"];
+
+/**
+ * Shape a CirclesMessages item for API responses.
+ * `reactions` is stored as { emoji: Set<userId> }; clients only get counts
+ * and whether the caller reacted.
+ */
+function toClientMessage(item, userId) {
+  if (!item) return item;
+
+  const { reactions, pollVotes, rsvps, ...rest } = item;
+
+  const reactionSummary = [];
+  if (reactions && typeof reactions === "object") {
+    for (const emoji of Object.keys(reactions)) {
+      const users = Array.from(reactions[emoji] || []);
+      if (users.length === 0) continue;
+      reactionSummary.push({
+        emoji,
+        count: users.length,
+        reactedByMe: !!userId && users.includes(userId),
+      });
+    }
+  }
+
+  const clientItem = {
+    ...rest,
+    reactions: reactionSummary,
+  };
+
+  if (Array.isArray(rest.attachments)) {
+    clientItem.attachments = rest.attachments.map((attachment) =>
+      toClientAttachment(item.familyId, attachment)
+    );
+  }
+
+  if (rest.poll && !rest.deleted) {
+    clientItem.poll = summarizePoll(item, userId);
+  }
+
+  if (rest.event && !rest.deleted) {
+    clientItem.event = summarizeEvent(item, userId);
+  }
+
+  return clientItem;
+}
+
+/**
+ * Sort key of a messages item: `${createdAt}#${messageId}`.
+ * Still sorts chronologically, but two posts in the same millisecond
+ * can no longer overwrite each other.
+ */
+function buildMessageKey(createdAt, messageId) {
+  return `${createdAt}#${messageId}`;
+}
+
+/**
+ * Questions, polls and events start threads; everything else answers one.
+ */
+function isThreadRootType(messageType) {
+  return (
+    messageType === "question" || messageType === "poll" || messageType === "event"
+  );
+}
+
+/**
+ * threadId groups a question with its answers and replies (ThreadIndex).
+ * Questions (and polls) use their own messageId; answers/replies use their
+ * questionId. Answers without a question get no threadId and stay out of
+ * the index.
+ */
+function getMessageThreadId(item) {
+  if (isThreadRootType(item.messageType)) return item.messageId;
+  return item.questionId || null;
+}
+
+/**
+ * Build and write a new message item (messageKey/threadId included).
+ * Throws ConditionalCheckFailedException if the messageKey already exists.
+ */
+async function createCircleMessage({
+  familyId,
+  createdAt,
+  author,
+  authorUserId,
+  text,
+  messageId,
+  messageType,
+  questionId,
+  parentMessageId,
+  attachments,
+  poll,
+  event,
 }) {
-  if (!SES_FROM_ADDRESS) {
-    console.warn(
-      "SES_FROM_ADDRESS is not set; skipping sending invitation email."
+  const item = {
+    familyId,
+    messageKey: buildMessageKey(createdAt, messageId),
+    createdAt,
+    author,
+    authorUserId,
+    text,
+    messageId,
+    messageType,
+  };
+
+  // Only store questionId for non-question messages
+  if (!isThreadRootType(messageType) && questionId) {
+    item.questionId = questionId;
+  }
+
+  if (poll) {
+    item.poll = poll;
+    item.pollVotes = {};
+    // Sparse DueWorkIndex entry until the poll is closed
+    if (poll.closesAt) {
+      item.dueKind = DUE_KIND_POLL_CLOSE;
+      item.dueAt = poll.closesAt;
+    }
+  }
+
+  if (event) {
+    item.event = event;
+    item.rsvps = {};
+    // Sparse CircleEventIndex entry (calendar feed)
+    item.eventCircleId = familyId;
+    item.eventStartsAt = event.startsAt;
+
+    const remindAt = getEventReminderAt(event);
+    if (remindAt && remindAt > createdAt) {
+      item.dueKind = DUE_KIND_EVENT_REMINDER;
+      item.dueAt = remindAt;
+    }
+  }
+
+  if (parentMessageId) {
+    item.parentMessageId = parentMessageId;
+  }
+
+  if (attachments && attachments.length > 0) {
+    item.attachments = attachments;
+  }
+
+  const threadId = getMessageThreadId(item);
+  if (threadId) {
+    item.threadId = threadId;
+  }
+
+  console.log("Writing item:", item, "userId:", authorUserId);
+
+  await ddb.send(
+    new PutCommand({
+      TableName: TABLE_NAME,
+      Item: item,
+      ConditionExpression: "attribute_not_exists(messageKey)",
+    })
+  );
+
+  return item;
+}
+
+/**
+ * Primary key of a messages item.
+ */
+function getMessageKey(item) {
+  return {
+    familyId: item.familyId,
+    messageKey: item.messageKey,
+  };
+}
+
+/**
+ * Opaque pagination cursor for GET /api/circles: the DynamoDB
+ * LastEvaluatedKey, JSON-encoded and base64url'd.
+ */
+function encodeMessagesCursor(lastEvaluatedKey) {
+  return Buffer.from(JSON.stringify(lastEvaluatedKey), "utf8").toString(
+    "base64url"
+  );
+}
+
+/**
+ * Decode a cursor produced by encodeMessagesCursor. Returns null if it is
+ * malformed or belongs to a different circle (so it can't be used to read
+ * another circle's partition).
+ */
+function decodeMessagesCursor(cursor, circleId) {
+  try {
+    const key = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (!key || typeof key !== "object" || key.familyId !== circleId) {
+      return null;
+    }
+    return key;
+  } catch (e) {
+    console.warn("Invalid messages cursor:", e.message);
+    return null;
+  }
+}
+
+/**
+ * Find a message in a circle by its messageId (MessageIdIndex).
+ * The familyId check keeps a messageId from another circle from matching.
+ */
+async function findCircleMessage(circleId, messageId) {
+  if (!circleId || !messageId) return null;
+
+  const res = await ddb.send(
+    new QueryCommand({
+      TableName: TABLE_NAME,
+      IndexName: MESSAGES_MESSAGE_ID_INDEX_NAME,
+      KeyConditionExpression: "messageId = :m",
+      ExpressionAttributeValues: {
+        ":m": messageId,
+      },
+    })
+  );
+
+  const items = (res.Items || []).filter((it) => it.familyId === circleId);
+  return items[0] || null;
+}
+
+/**
+ * Load a question and every answer/reply in its thread (ThreadIndex),
+ * oldest first. Returns null if the question isn't in this circle.
+ */
+async function loadQuestionThread(circleId, questionId) {
+  const items = [];
+  let exclusiveStartKey = undefined;
+
+  do {
+    const res = await ddb.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: MESSAGES_THREAD_INDEX_NAME,
+        KeyConditionExpression: "threadId = :t",
+        ExpressionAttributeValues: {
+          ":t": questionId,
+        },
+        ScanIndexForward: true,
+        ExclusiveStartKey: exclusiveStartKey,
+      })
     );
+
+    items.push(...(res.Items || []));
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  const inCircle = items.filter((it) => it.familyId === circleId);
+  const question = inCircle.find(
+    (it) => isThreadRootType(it.messageType) && it.messageId === questionId
+  );
+  if (!question) return null;
+
+  return {
+    question,
+    messages: inCircle.filter((it) => it !== question),
+  };
+}
+
+// -------------------------
+// Helpers: polls
+// -------------------------
+
+// A poll is a message with messageType "poll"; it starts a thread like a
+// question, so people can still comment under it. Stored on the item:
+//   poll: { options: [{ optionId, text }], multiSelect, closesAt?,
+//           closedAt?, closedByUserId? }
+//   pollVotes: { [userId]: [optionId, ...] }
+// While a poll with a closesAt is open it also carries dueKind/dueAt, which
+// puts it in the sparse DueWorkIndex; question-scheduler.js closes it there.
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 10;
+const POLL_OPTION_MAX_LENGTH = 80;
+const POLL_MAX_DURATION_MS = 90 * 24 * 60 * 60 * 1000;
+const DUE_KIND_POLL_CLOSE = "POLL_CLOSE";
+const POLL_CLOSER_USER_ID = "system:poll-closer";
+
+/**
+ * Validate the `poll` part of POST /api/circles.
+ * Returns { poll } or { error: message }.
+ */
+function parsePollInput(input, now = new Date()) {
+  if (!input || typeof input !== "object" || !Array.isArray(input.options)) {
+    return { error: 'Polls need a "poll" object with an "options" array' };
+  }
+
+  const options = [];
+  const seen = new Set();
+  for (const rawOption of input.options) {
+    const text = String(
+      rawOption && typeof rawOption === "object" ? rawOption.text || "" : rawOption || ""
+    ).trim();
+    if (!text) continue;
+
+    if (text.length > POLL_OPTION_MAX_LENGTH) {
+      return {
+        error: `Poll options must be at most ${POLL_OPTION_MAX_LENGTH} characters`,
+      };
+    }
+    if (seen.has(text.toLowerCase())) {
+      return { error: `Duplicate poll option "${text}"` };
+    }
+    seen.add(text.toLowerCase());
+
+    options.push({ optionId: `opt_${options.length + 1}`, text });
+  }
+
+  if (options.length < POLL_MIN_OPTIONS || options.length > POLL_MAX_OPTIONS) {
     return {
-      skipped: true,
-      reason: "SES_FROM_ADDRESS not configured",
+      error: `Polls need between ${POLL_MIN_OPTIONS} and ${POLL_MAX_OPTIONS} options`,
     };
   }
 
-  const safeCircleName = circleName || "your circle";
-  const safeInviterName = inviterName || "someone in your circle";
+  const poll = { options, multiSelect: input.multiSelect === true };
 
-  const subject = `You’ve been invited to join ${safeCircleName}`;
-  const textBody = [
-    `Hi there,`,
-    ``,
-    `${safeInviterName} has invited you to join the circle "${safeCircleName}" on Circles.`,
-    ``,
-    `Click the link below to view the invitation and join:`,
-    inviteUrl,
-    ``,
-    `If you weren’t expecting this, you can safely ignore this email.`,
-  ].join("\n");
+  if (input.closesAt) {
+    const closesAtMs = Date.parse(input.closesAt);
+    if (Number.isNaN(closesAtMs)) {
+      return { error: '"closesAt" must be an ISO date/time' };
+    }
+    if (closesAtMs <= now.getTime()) {
+      return { error: '"closesAt" must be in the future' };
+    }
+    if (closesAtMs - now.getTime() > POLL_MAX_DURATION_MS) {
+      return { error: "Polls can stay open for at most 90 days" };
+    }
+    poll.closesAt = new Date(closesAtMs).toISOString();
+  }
 
-  const htmlBody = `
-    <html>
-      <body>
-        <p>Hi there,</p>
-        <p><strong>${safeInviterName}</strong> has invited you to join the circle "<strong>${safeCircleName}</strong>" on Circles.</p>
-        <p>
-          Click the link below to view the invitation and join:
-          <br/>
-          <a href="${inviteUrl}">${inviteUrl}</a>
-        </p>
-        <p>If you weren’t expecting this, you can safely ignore this email.</p>
-      </body>
-    </html>
-  `;
+  return { poll };
+}
 
-  const params = {
-    Source: SES_FROM_ADDRESS,
-    Destination: {
-      ToAddresses: [toEmail],
-    },
-    Message: {
-      Subject: {
-        Data: subject,
-        Charset: "UTF-8",
-      },
-      Body: {
-        Text: {
-          Data: textBody,
-          Charset: "UTF-8",
-        },
-        Html: {
-          Data: htmlBody,
-          Charset: "UTF-8",
-        },
-      },
-    },
+function isPollClosed(poll, nowIso = new Date().toISOString()) {
+  return !!poll.closedAt || (!!poll.closesAt && poll.closesAt <= nowIso);
+}
+
+/**
+ * Per-option counts for clients. Who voted for what stays server-side;
+ * callers only see their own choice.
+ */
+function summarizePoll(item, userId) {
+  const votes = item.pollVotes || {};
+  const counts = new Map();
+  let totalVoters = 0;
+
+  for (const choices of Object.values(votes)) {
+    if (!Array.isArray(choices) || choices.length === 0) continue;
+    totalVoters++;
+    for (const optionId of choices) {
+      counts.set(optionId, (counts.get(optionId) || 0) + 1);
+    }
+  }
+
+  return {
+    ...item.poll,
+    options: item.poll.options.map((option) => ({
+      ...option,
+      votes: counts.get(option.optionId) || 0,
+    })),
+    totalVoters,
+    myVotes: userId && Array.isArray(votes[userId]) ? votes[userId] : [],
+    isClosed: isPollClosed(item.poll),
   };
+}
 
-  console.log("Sending SES invitation email:", {
-    toEmail,
-    subject,
-    SES_REGION,
-    SES_FROM_ADDRESS,
+/**
+ * Close a poll and enqueue the results push. Returns the closed item, or
+ * null if it was already closed (or deleted) in the meantime.
+ */
+async function closePoll(item, closedByUserId, now = new Date()) {
+  let closed;
+  try {
+    const res = await ddb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: getMessageKey(item),
+        UpdateExpression:
+          "SET #poll.closedAt = :now, #poll.closedByUserId = :u REMOVE dueKind, dueAt",
+        ConditionExpression:
+          "attribute_exists(#poll) AND attribute_not_exists(#poll.closedAt) AND attribute_not_exists(#deleted)",
+        ExpressionAttributeNames: { "#poll": "poll", "#deleted": "deleted" },
+        ExpressionAttributeValues: {
+          ":now": now.toISOString(),
+          ":u": closedByUserId,
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    closed = res.Attributes;
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") return null;
+    throw err;
+  }
+
+  const circle = await getCircle(closed.familyId);
+  const { options, totalVoters } = summarizePoll(closed, null);
+
+  await enqueuePollResultsPushEvent({
+    circleId: closed.familyId,
+    circleName: (circle && circle.name) || closed.familyId,
+    pollId: closed.messageId,
+    pollText: closed.text,
+    results: options.map(({ text, votes }) => ({ text, votes })),
+    totalVoters,
+    actorUserId: closedByUserId,
+  });
+
+  console.log("Poll closed:", {
+    circleId: closed.familyId,
+    pollId: closed.messageId,
+    closedByUserId,
+    totalVoters,
+  });
+
+  return closed;
+}
+
+/**
+ * Close every poll whose closesAt has passed (DueWorkIndex).
+ * Run by question-scheduler.js; returns how many were closed.
+ */
+async function closeDuePolls(now = new Date()) {
+  let closedCount = 0;
+  let exclusiveStartKey = undefined;
+
+  do {
+    const res = await ddb.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: MESSAGES_DUE_WORK_INDEX_NAME,
+        KeyConditionExpression: "dueKind = :k AND dueAt <= :now",
+        ExpressionAttributeValues: {
+          ":k": DUE_KIND_POLL_CLOSE,
+          ":now": now.toISOString(),
+        },
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    for (const item of res.Items || []) {
+      // One bad poll shouldn't block the rest
+      try {
+        if (await closePoll(item, POLL_CLOSER_USER_ID, now)) closedCount++;
+      } catch (err) {
+        console.error("Closing due poll failed:", getMessageKey(item), err);
+      }
+    }
+
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return closedCount;
+}
+
+// -------------------------
+// Helpers: events
+// -------------------------
+
+// An event is a message with messageType "event" ("Sunday 5pm at Mom's");
+// the text is its title and it starts a thread like a question. Stored on
+// the item:
+//   event: { startsAt, endsAt?, location?, remindMinutesBefore, reminderSentAt? }
+//   rsvps: { [userId]: { status, headcount, name, respondedAt } }
+// plus eventCircleId/eventStartsAt for the calendar feed (CircleEventIndex)
+// and, until the reminder goes out, dueKind/dueAt (DueWorkIndex).
+const EVENT_RSVP_STATUSES = ["yes", "maybe", "no"];
+const EVENT_MAX_HEADCOUNT = 20;
+const EVENT_LOCATION_MAX_LENGTH = 200;
+const EVENT_DEFAULT_REMINDER_MINUTES = 24 * 60;
+const EVENT_MAX_REMINDER_MINUTES = 7 * 24 * 60;
+const EVENT_MAX_LENGTH_MS = 14 * 24 * 60 * 60 * 1000;
+const EVENT_MAX_LEAD_MS = 2 * 365 * 24 * 60 * 60 * 1000;
+const DUE_KIND_EVENT_REMINDER = "EVENT_REMINDER";
+
+/**
+ * Validate the `event` part of POST /api/circles.
+ * Returns { event } or { error: message }.
+ */
+function parseEventInput(input, now = new Date()) {
+  if (!input || typeof input !== "object") {
+    return { error: 'Events need an "event" object with "startsAt"' };
+  }
+
+  const startsAtMs = Date.parse(input.startsAt);
+  if (!input.startsAt || Number.isNaN(startsAtMs)) {
+    return { error: '"event.startsAt" must be an ISO date/time' };
+  }
+  if (startsAtMs <= now.getTime()) {
+    return { error: '"event.startsAt" must be in the future' };
+  }
+  if (startsAtMs - now.getTime() > EVENT_MAX_LEAD_MS) {
+    return { error: "Events can be at most two years ahead" };
+  }
+
+  const event = { startsAt: new Date(startsAtMs).toISOString() };
+
+  if (input.endsAt) {
+    const endsAtMs = Date.parse(input.endsAt);
+    if (Number.isNaN(endsAtMs)) {
+      return { error: '"event.endsAt" must be an ISO date/time' };
+    }
+    if (endsAtMs <= startsAtMs || endsAtMs - startsAtMs > EVENT_MAX_LENGTH_MS) {
+      return { error: '"event.endsAt" must be after the start and within 14 days of it' };
+    }
+    event.endsAt = new Date(endsAtMs).toISOString();
+  }
+
+  const location = String(input.location || "").trim();
+  if (location.length > EVENT_LOCATION_MAX_LENGTH) {
+    return {
+      error: `"event.location" must be at most ${EVENT_LOCATION_MAX_LENGTH} characters`,
+    };
+  }
+  if (location) event.location = location;
+
+  const remindMinutesBefore =
+    input.remindMinutesBefore === undefined || input.remindMinutesBefore === null
+      ? EVENT_DEFAULT_REMINDER_MINUTES
+      : Number(input.remindMinutesBefore);
+  if (
+    !Number.isInteger(remindMinutesBefore) ||
+    remindMinutesBefore < 0 ||
+    remindMinutesBefore > EVENT_MAX_REMINDER_MINUTES
+  ) {
+    return {
+      error: `"event.remindMinutesBefore" must be a whole number from 0 (no reminder) to ${EVENT_MAX_REMINDER_MINUTES}`,
+    };
+  }
+  event.remindMinutesBefore = remindMinutesBefore;
+
+  return { event };
+}
+
+/**
+ * When the reminder push is due (ISO), or null if reminders are off.
+ */
+function getEventReminderAt(event) {
+  if (!event.remindMinutesBefore) return null;
+  return new Date(
+    Date.parse(event.startsAt) - event.remindMinutesBefore * 60 * 1000
+  ).toISOString();
+}
+
+/**
+ * RSVP counts and the list of responses for clients. Headcount totals
+ * only count "yes" answers; "maybe" headcounts are reported separately.
+ */
+function summarizeEvent(item, userId) {
+  const rsvps = item.rsvps || {};
+  const counts = { yes: 0, maybe: 0, no: 0 };
+  let headcount = 0;
+  let maybeHeadcount = 0;
+
+  const responses = Object.entries(rsvps)
+    .map(([rsvpUserId, rsvp]) => ({ userId: rsvpUserId, ...rsvp }))
+    .sort((a, b) => (a.respondedAt || "").localeCompare(b.respondedAt || ""));
+
+  for (const rsvp of responses) {
+    if (!EVENT_RSVP_STATUSES.includes(rsvp.status)) continue;
+    counts[rsvp.status]++;
+    if (rsvp.status === "yes") headcount += rsvp.headcount || 1;
+    if (rsvp.status === "maybe") maybeHeadcount += rsvp.headcount || 1;
+  }
+
+  return {
+    ...item.event,
+    counts,
+    headcount,
+    maybeHeadcount,
+    responses,
+    myRsvp: userId && rsvps[userId] ? rsvps[userId] : null,
+    hasStarted: item.event.startsAt <= new Date().toISOString(),
+  };
+}
+
+/**
+ * Send every event reminder that has come due (DueWorkIndex).
+ * Run by question-scheduler.js; returns how many were sent.
+ */
+async function sendDueEventReminders(now = new Date()) {
+  const nowIso = now.toISOString();
+  let sentCount = 0;
+  let exclusiveStartKey = undefined;
+
+  do {
+    const res = await ddb.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: MESSAGES_DUE_WORK_INDEX_NAME,
+        KeyConditionExpression: "dueKind = :k AND dueAt <= :now",
+        ExpressionAttributeValues: {
+          ":k": DUE_KIND_EVENT_REMINDER,
+          ":now": nowIso,
+        },
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    for (const key of res.Items || []) {
+      // One bad event shouldn't block the rest
+      try {
+        // Claim the reminder first so overlapping runs send it only once
+        let item;
+        try {
+          const claimed = await ddb.send(
+            new UpdateCommand({
+              TableName: TABLE_NAME,
+              Key: getMessageKey(key),
+              UpdateExpression: "SET #event.reminderSentAt = :now REMOVE dueKind, dueAt",
+              ConditionExpression:
+                "dueKind = :k AND attribute_exists(#event) AND attribute_not_exists(#deleted)",
+              ExpressionAttributeNames: { "#event": "event", "#deleted": "deleted" },
+              ExpressionAttributeValues: { ":now": nowIso, ":k": DUE_KIND_EVENT_REMINDER },
+              ReturnValues: "ALL_NEW",
+            })
+          );
+          item = claimed.Attributes;
+        } catch (err) {
+          if (err.name === "ConditionalCheckFailedException") continue;
+          throw err;
+        }
+
+        // A reminder that only comes due after the start isn't worth sending
+        if (item.event.startsAt <= nowIso) continue;
+
+        const circle = await getCircle(item.familyId);
+        if (!circle || circle.status) continue;
+
+        await enqueueEventReminderPushEvent({
+          circleId: item.familyId,
+          circleName: circle.name || item.familyId,
+          eventId: item.messageId,
+          eventTitle: item.text,
+          startsAt: item.event.startsAt,
+          location: item.event.location || null,
+          declinedUserIds: Object.entries(item.rsvps || {})
+            .filter(([, rsvp]) => rsvp.status === "no")
+            .map(([rsvpUserId]) => rsvpUserId),
+        });
+        sentCount++;
+      } catch (err) {
+        console.error("Event reminder failed:", getMessageKey(key), err);
+      }
+    }
+
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return sentCount;
+}
+
+// -------------------------
+// Helpers: question-of-the-day schedule
+// -------------------------
+
+// Stored on the Circles item as `schedule`:
+// { enabled, frequency: "daily"|"weekly", dayOfWeek (0=Sun, weekly only),
+//   timeOfDay: "HH:MM", timezone (IANA), nextRunAt (ISO, UTC), lastRunAt }
+const SCHEDULE_FREQUENCIES = ["daily", "weekly"];
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validate a schedule from a request body.
+ * Returns either { error } (a message) or { schedule } without run times.
+ */
+function parseQuestionSchedule(input) {
+  if (!input || typeof input !== "object") {
+    return { error: "schedule must be an object" };
+  }
+
+  const enabled = input.enabled !== false;
+
+  const frequency = String(input.frequency || "daily").trim().toLowerCase();
+  if (!SCHEDULE_FREQUENCIES.includes(frequency)) {
+    return { error: 'frequency must be "daily" or "weekly"' };
+  }
+
+  const timeOfDay = String(input.timeOfDay || "").trim();
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(timeOfDay)) {
+    return { error: 'timeOfDay must be "HH:MM" (24-hour)' };
+  }
+
+  const timezone = String(input.timezone || "").trim();
+  if (!timezone || !isValidTimeZone(timezone)) {
+    return { error: "timezone must be a valid IANA time zone" };
+  }
+
+  const schedule = { enabled, frequency, timeOfDay, timezone };
+
+  if (frequency === "weekly") {
+    const dayOfWeek = Number(input.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return { error: "dayOfWeek must be 0 (Sunday) to 6 (Saturday)" };
+    }
+    schedule.dayOfWeek = dayOfWeek;
+  }
+
+  return { schedule };
+}
+
+// Offset (ms) of a time zone from UTC at a given instant
+function getTimeZoneOffsetMs(timeZone, date) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const asUtc = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second")
+  );
+
+  return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Next instant (ISO, UTC) strictly after `from` at which the schedule fires,
+ * honouring the circle's time zone (including DST changes).
+ */
+function computeNextScheduledRunAt(schedule, from = new Date()) {
+  const [hour, minute] = schedule.timeOfDay.split(":").map(Number);
+
+  // Today's date as seen in the circle's time zone
+  const local = new Date(
+    from.getTime() + getTimeZoneOffsetMs(schedule.timezone, from)
+  );
+
+  for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+    const localMidnight = Date.UTC(
+      local.getUTCFullYear(),
+      local.getUTCMonth(),
+      local.getUTCDate() + dayOffset
+    );
+
+    if (
+      schedule.frequency === "weekly" &&
+      new Date(localMidnight).getUTCDay() !== schedule.dayOfWeek
+    ) {
+      continue;
+    }
+
+    const localWallClock = localMidnight + (hour * 60 + minute) * 60 * 1000;
+    let candidate =
+      localWallClock -
+      getTimeZoneOffsetMs(schedule.timezone, new Date(localWallClock));
+    // Re-check the offset at the candidate itself (DST boundary days)
+    candidate =
+      localWallClock -
+      getTimeZoneOffsetMs(schedule.timezone, new Date(candidate));
+
+    if (candidate > from.getTime()) {
+      return new Date(candidate).toISOString();
+    }
+  }
+
+  return null;
+}
+
+// -------------------------
+// Helpers: asker rotation
+// -------------------------
+
+// Stored on the Circles item as `rotation`:
+// { enabled, queue: [userId], currentUserId, currentDisplayName,
+//   turnLengthDays, turnStartedAt, nextTurnAt }
+const DEFAULT_ROTATION_TURN_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Bring a rotation queue in line with current membership: drop people who
+ * left and append newcomers (earliest joiners first).
+ */
+function syncRotationQueue(queue, memberships) {
+  const memberIds = memberships
+    .slice()
+    .sort((a, b) =>
+      String(a.joinedAt || "").localeCompare(String(b.joinedAt || ""))
+    )
+    .map((m) => m.userId)
+    .filter(Boolean);
+
+  const memberSet = new Set(memberIds);
+  const kept = (queue || []).filter((u) => memberSet.has(u));
+  const keptSet = new Set(kept);
+
+  return kept.concat(memberIds.filter((u) => !keptSet.has(u)));
+}
+
+function getMemberDisplayName(memberships, userId) {
+  const m = memberships.find((x) => x.userId === userId);
+  return (m && m.displayName) || userId;
+}
+
+/**
+ * Hand the turn to the next person in the queue and push them a reminder.
+ * The write is conditional on the turn we read, so the scheduler and a
+ * manual skip racing each other advance by one person, not two.
+ * Returns the new rotation, or null if it was already advanced.
+ */
+async function advanceCircleRotation(circle, now = new Date()) {
+  const rotation = circle.rotation || {};
+  const memberships = await listCircleMemberships(circle.circleId);
+  const queue = syncRotationQueue(rotation.queue, memberships);
+
+  if (!queue.length) {
+    console.warn("Rotation has no members to advance to:", circle.circleId);
+    return null;
+  }
+
+  // indexOf is -1 if the current asker left, which lands on queue[0]
+  const currentIndex = queue.indexOf(rotation.currentUserId);
+  const nextUserId = queue[(currentIndex + 1) % queue.length];
+  const turnLengthDays = rotation.turnLengthDays || DEFAULT_ROTATION_TURN_DAYS;
+
+  const next = {
+    ...rotation,
+    queue,
+    currentUserId: nextUserId,
+    currentDisplayName: getMemberDisplayName(memberships, nextUserId),
+    turnStartedAt: now.toISOString(),
+    nextTurnAt: new Date(now.getTime() + turnLengthDays * DAY_MS).toISOString(),
+  };
+
+  try {
+    await ddb.send(
+      new UpdateCommand({
+        TableName: CIRCLES_TABLE_NAME,
+        Key: { circleId: circle.circleId },
+        UpdateExpression: "SET #rotation = :r",
+        ConditionExpression: "#rotation.turnStartedAt = :prevStart",
+        ExpressionAttributeNames: { "#rotation": "rotation" },
+        ExpressionAttributeValues: {
+          ":r": next,
+          ":prevStart": rotation.turnStartedAt,
+        },
+      })
+    );
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") {
+      console.log("Rotation already advanced:", circle.circleId);
+      return null;
+    }
+    throw err;
+  }
+
+  await enqueueAskerTurnPushEvent({
+    circleId: circle.circleId,
+    circleName: circle.name || circle.circleId,
+    userId: nextUserId,
+    nextTurnAt: next.nextTurnAt,
+  });
+
+  return next;
+}
+
+/**
+ * While rotation is on, only the current asker (or an owner/admin) may post
+ * a question. Returns a ready 403 response, or null if the post is allowed.
+ */
+async function checkAskerTurn(circleId, userId) {
+  const circleRes = await ddb.send(
+    new GetCommand({
+      TableName: CIRCLES_TABLE_NAME,
+      Key: { circleId },
+    })
+  );
+
+  const rotation = circleRes.Item && circleRes.Item.rotation;
+  if (!rotation || !rotation.enabled || rotation.currentUserId === userId) {
+    return null;
+  }
+
+  const membership = await getCircleMembership(userId, circleId);
+  if (hasCirclePermission(membership, "moderate")) {
+    return null;
+  }
+
+  return makeResponse(403, {
+    message: "It's not your turn to ask a question in this circle",
+    code: "NOT_YOUR_TURN",
+    currentUserId: rotation.currentUserId,
+    currentDisplayName: rotation.currentDisplayName || null,
+  });
+}
+
+// -------------------------
+// TagConfig loader + helpers
+// -------------------------
+
+// Cache of all active tags for this Lambda container
+let cachedTagConfig = null;
+
+/**
+ * Load all active tag config items from the CircleTagConfig table.
+ * Each item should resemble:
+ *  {
+ *    tagKey,
+ *    displayLabel,
+ *    category,       // e.g. "life_stage" | "relationship" | "support"
+ *    description?,
+ *    toneGuidance?,
+ *    active: true
+ *  }
+ */
+async function loadAllTagConfigs() {
+  if (!CIRCLE_TAG_CONFIG_TABLE_NAME) {
+    console.warn(
+      "CIRCLE_TAG_CONFIG_TABLE_NAME is not set; returning empty tag config."
+    );
+    return [];
+  }
+
+  if (cachedTagConfig) {
+    return cachedTagConfig;
+  }
+
+  console.log(
+    "Scanning tag config table:",
+    CIRCLE_TAG_CONFIG_TABLE_NAME,
+    "for active tags"
+  );
+
+  const result = await ddb.send(
+    new ScanCommand({
+      TableName: CIRCLE_TAG_CONFIG_TABLE_NAME,
+      // Only keep active tags if field exists; otherwise treat all as active
+      FilterExpression: "attribute_not_exists(active) OR #active = :true",
+      ExpressionAttributeNames: { "#active": "active" },
+      ExpressionAttributeValues: { ":true": true },
+    })
+  );
+
+  const items = result.Items || [];
+
+  cachedTagConfig = items.map((item) => ({
+    tagKey: item.tagKey,
+    displayLabel: item.displayLabel || item.tagKey,
+    category: item.category || "uncategorized",
+    description: item.description || "",
+    toneGuidance: item.toneGuidance || "",
+    active:
+      typeof item.active === "boolean" ? item.active : true,
+  }));
+
+  console.log("Loaded tag config count:", cachedTagConfig.length);
+
+  return cachedTagConfig;
+}
+
+/**
+ * Given a list of tag keys, return the matching TagConfig objects.
+ */
+async function getTagDetails(tagKeys) {
+  if (!Array.isArray(tagKeys) || tagKeys.length === 0) {
+    return [];
+  }
+
+  const all = await loadAllTagConfigs();
+  const keySet = new Set(tagKeys);
+
+  return all.filter((t) => keySet.has(t.tagKey));
+}
+
+/**
+ * Fetch a circle by id and resolve its tag details (if any).
+ */
+async function getCircleAndTagContext(circleId) {
+  if (!circleId) {
+    return { circle: null, tagKeys: [], tagDetails: [] };
+  }
+
+  let circle = null;
+  try {
+    const res = await ddb.send(
+      new GetCommand({
+        TableName: CIRCLES_TABLE_NAME,
+        Key: { circleId },
+      })
+    );
+    circle = res.Item || null;
+  } catch (e) {
+    console.error("Error fetching circle for tag context:", e);
+  }
+
+  const tagKeys =
+    circle && Array.isArray(circle.tags) ? circle.tags : [];
+
+  const tagDetails = await getTagDetails(tagKeys);
+
+  return { circle, tagKeys, tagDetails };
+}
+
+/**
+ * Enqueue an "it's your turn to ask" push event for the rotation's asker.
+ *
+ * @param {Object} params
+ * @param {string} params.circleId
+ * @param {string} params.circleName
+ * @param {string} params.userId      // the new asker
+ * @param {string} params.nextTurnAt  // when their turn ends
+ */
+async function enqueueAskerTurnPushEvent(params) {
+  if (!PUSH_EVENTS_QUEUE_URL) {
+    console.warn(
+      "PUSH_EVENTS_QUEUE_URL is not configured; skipping push event enqueue"
+    );
+    return;
+  }
+
+  const messageBody = JSON.stringify({
+    type: "ASKER_TURN",
+    circleId: params.circleId,
+    circleName: params.circleName,
+    userId: params.userId,
+    nextTurnAt: params.nextTurnAt,
+  });
+
+  try {
+    const result = await sqsClient.send(
+      new SendMessageCommand({
+        QueueUrl: PUSH_EVENTS_QUEUE_URL,
+        MessageBody: messageBody,
+      })
+    );
+    console.log("Enqueued ASKER_TURN push event", {
+      messageId: result.MessageId,
+      circleId: params.circleId,
+      userId: params.userId,
+    });
+  } catch (err) {
+    console.error("Failed to enqueue ASKER_TURN push event", {
+      error: err,
+      circleId: params.circleId,
+      userId: params.userId,
+    });
+  }
+}
+
+/**
+ * Enqueue a "someone wants to join" push event for the circle's approvers.
+ *
+ * @param {Object} params
+ * @param {string} params.circleId
+ * @param {string} params.circleName
+ * @param {string} params.requesterUserId
+ * @param {string} params.requesterName
+ * @param {string[]} params.approverUserIds  // owners/admins to notify
+ */
+async function enqueueJoinRequestPushEvent(params) {
+  if (!PUSH_EVENTS_QUEUE_URL) {
+    console.warn(
+      "PUSH_EVENTS_QUEUE_URL is not configured; skipping push event enqueue"
+    );
+    return;
+  }
+
+  const messageBody = JSON.stringify({
+    type: "JOIN_REQUEST",
+    circleId: params.circleId,
+    circleName: params.circleName,
+    requesterUserId: params.requesterUserId,
+    requesterName: params.requesterName,
+    approverUserIds: params.approverUserIds,
+  });
+
+  try {
+    const result = await sqsClient.send(
+      new SendMessageCommand({
+        QueueUrl: PUSH_EVENTS_QUEUE_URL,
+        MessageBody: messageBody,
+      })
+    );
+    console.log("Enqueued JOIN_REQUEST push event", {
+      messageId: result.MessageId,
+      circleId: params.circleId,
+      requesterUserId: params.requesterUserId,
+    });
+  } catch (err) {
+    console.error("Failed to enqueue JOIN_REQUEST push event", {
+      error: err,
+      circleId: params.circleId,
+      requesterUserId: params.requesterUserId,
+    });
+  }
+}
+
+const MENTION_RE = /(?:^|[\s(])@([\p{L}\p{N}_'-]{1,40})/gu;
+const MENTIONS_MAX = 20;
+
+/**
+ * "@Grandma" style names in a message, lowercased, for push-sender to match
+ * against member display names (mentions get through "mentions only").
+ */
+function extractMentions(text) {
+  const mentions = new Set();
+  for (const match of String(text || "").matchAll(MENTION_RE)) {
+    mentions.add(match[1].toLowerCase());
+    if (mentions.size >= MENTIONS_MAX) break;
+  }
+  return Array.from(mentions);
+}
+
+/**
+ * Enqueue a "new question" push event for downstream processing.
+ *
+ * @param {Object} params
+ * @param {string} params.circleId   // familyId in current API
+ * @param {string} params.circleName // for now, same as circleId
+ * @param {string} params.questionId
+ * @param {string} params.questionText
+ * @param {string} params.actorUserId
+ */
+async function enqueueNewQuestionPushEvent(params) {
+  if (!PUSH_EVENTS_QUEUE_URL) {
+    console.warn(
+      "PUSH_EVENTS_QUEUE_URL is not configured; skipping push event enqueue"
+    );
+    return;
+  }
+
+  const preview = (params.questionText || "").slice(0, 140);
+
+  const messageBody = JSON.stringify({
+    type: "NEW_QUESTION",
+    circleId: params.circleId,
+    circleName: params.circleName,
+    questionId: params.questionId,
+    questionPreview: preview,
+    actorUserId: params.actorUserId,
+    mentions: extractMentions(params.questionText),
+  });
+
+  const cmd = new SendMessageCommand({
+    QueueUrl: PUSH_EVENTS_QUEUE_URL,
+    MessageBody: messageBody,
+  });
+
+  try {
+    const result = await sqsClient.send(cmd);
+    console.log("Enqueued NEW_QUESTION push event", {
+      messageId: result.MessageId,
+      circleId: params.circleId,
+      questionId: params.questionId,
+    });
+  } catch (err) {
+    console.error("Failed to enqueue NEW_QUESTION push event", {
+      error: err,
+      circleId: params.circleId,
+      questionId: params.questionId,
+    });
+    // V1: do not fail the API if enqueue fails
+  }
+}
+
+async function enqueueNewAnswerPushEvent(params) {
+  if (!PUSH_EVENTS_QUEUE_URL) {
+    console.warn(
+      "PUSH_EVENTS_QUEUE_URL is not configured; skipping push event enqueue"
+    );
+    return;
+  }
+
+  const preview = (params.answerText || "").slice(0, 140);
+
+  const messageBody = JSON.stringify({
+    type: "NEW_ANSWER",
+    circleId: params.circleId,
+    circleName: params.circleName,
+    questionId: params.questionId,   // the question this answer belongs to
+    answerId: params.answerId,       // the messageId of the answer
+    answerPreview: preview,
+    actorUserId: params.actorUserId, // the user who posted the answer
+    mentions: extractMentions(params.answerText),
+  });
+
+  const cmd = new SendMessageCommand({
+    QueueUrl: PUSH_EVENTS_QUEUE_URL,
+    MessageBody: messageBody,
+  });
+
+  try {
+    const result = await sqsClient.send(cmd);
+    console.log("Enqueued NEW_ANSWER push event", {
+      messageId: result.MessageId,
+      circleId: params.circleId,
+      questionId: params.questionId,
+      answerId: params.answerId,
+    });
+  } catch (err) {
+    console.error("Failed to enqueue NEW_ANSWER push event", {
+      error: err,
+      circleId: params.circleId,
+      questionId: params.questionId,
+      answerId: params.answerId,
+    });
+    // Do not fail the API if enqueue fails
+  }
+}
+
+/**
+ * Enqueue a "new reply" push event (a reply to a specific answer).
+ *
+ * @param {Object} params
+ * @param {string} params.circleId
+ * @param {string} params.circleName
+ * @param {string|null} params.questionId
+ * @param {string} params.parentMessageId    // the answer being replied to
+ * @param {string|null} params.parentAuthorUserId
+ * @param {string} params.replyId
+ * @param {string} params.replyText
+ * @param {string} params.actorUserId
+ */
+async function enqueueNewReplyPushEvent(params) {
+  if (!PUSH_EVENTS_QUEUE_URL) {
+    console.warn(
+      "PUSH_EVENTS_QUEUE_URL is not configured; skipping push event enqueue"
+    );
+    return;
+  }
+
+  const preview = (params.replyText || "").slice(0, 140);
+
+  const messageBody = JSON.stringify({
+    type: "NEW_REPLY",
+    circleId: params.circleId,
+    circleName: params.circleName,
+    questionId: params.questionId,
+    parentMessageId: params.parentMessageId,
+    parentAuthorUserId: params.parentAuthorUserId,
+    replyId: params.replyId,
+    replyPreview: preview,
+    actorUserId: params.actorUserId,
+    mentions: extractMentions(params.replyText),
+  });
+
+  const cmd = new SendMessageCommand({
+    QueueUrl: PUSH_EVENTS_QUEUE_URL,
+    MessageBody: messageBody,
+  });
+
+  try {
+    const result = await sqsClient.send(cmd);
+    console.log("Enqueued NEW_REPLY push event", {
+      messageId: result.MessageId,
+      circleId: params.circleId,
+      parentMessageId: params.parentMessageId,
+      replyId: params.replyId,
+    });
+  } catch (err) {
+    console.error("Failed to enqueue NEW_REPLY push event", {
+      error: err,
+      circleId: params.circleId,
+      parentMessageId: params.parentMessageId,
+      replyId: params.replyId,
+    });
+    // Do not fail the API if enqueue fails
+  }
+}
+
+/**
+ * Enqueue a "poll closed" push event with the final counts.
+ *
+ * @param {Object} params
+ * @param {string} params.circleId
+ * @param {string} params.circleName
+ * @param {string} params.pollId
+ * @param {string} params.pollText
+ * @param {{ text: string, votes: number }[]} params.results
+ * @param {number} params.totalVoters
+ * @param {string} params.actorUserId   // who closed it (or the scheduler)
+ */
+async function enqueuePollResultsPushEvent(params) {
+  if (!PUSH_EVENTS_QUEUE_URL) {
+    console.warn(
+      "PUSH_EVENTS_QUEUE_URL is not configured; skipping push event enqueue"
+    );
+    return;
+  }
+
+  const messageBody = JSON.stringify({
+    type: "POLL_RESULTS",
+    circleId: params.circleId,
+    circleName: params.circleName,
+    pollId: params.pollId,
+    pollPreview: (params.pollText || "").slice(0, 140),
+    results: params.results,
+    totalVoters: params.totalVoters,
+    actorUserId: params.actorUserId,
+  });
+
+  try {
+    const result = await sqsClient.send(
+      new SendMessageCommand({
+        QueueUrl: PUSH_EVENTS_QUEUE_URL,
+        MessageBody: messageBody,
+      })
+    );
+    console.log("Enqueued POLL_RESULTS push event", {
+      messageId: result.MessageId,
+      circleId: params.circleId,
+      pollId: params.pollId,
+    });
+  } catch (err) {
+    console.error("Failed to enqueue POLL_RESULTS push event", {
+      error: err,
+      circleId: params.circleId,
+      pollId: params.pollId,
+    });
+  }
+}
+
+/**
+ * Enqueue an "event coming up" push event.
+ *
+ * @param {Object} params
+ * @param {string} params.circleId
+ * @param {string} params.circleName
+ * @param {string} params.eventId
+ * @param {string} params.eventTitle
+ * @param {string} params.startsAt        // ISO
+ * @param {string|null} params.location
+ * @param {string[]} params.declinedUserIds  // RSVP'd "no"; not reminded
+ */
+async function enqueueEventReminderPushEvent(params) {
+  if (!PUSH_EVENTS_QUEUE_URL) {
+    console.warn(
+      "PUSH_EVENTS_QUEUE_URL is not configured; skipping push event enqueue"
+    );
+    return;
+  }
+
+  const messageBody = JSON.stringify({
+    type: "EVENT_REMINDER",
+    circleId: params.circleId,
+    circleName: params.circleName,
+    eventId: params.eventId,
+    eventPreview: (params.eventTitle || "").slice(0, 140),
+    startsAt: params.startsAt,
+    location: params.location,
+    declinedUserIds: params.declinedUserIds,
+  });
+
+  try {
+    const result = await sqsClient.send(
+      new SendMessageCommand({
+        QueueUrl: PUSH_EVENTS_QUEUE_URL,
+        MessageBody: messageBody,
+      })
+    );
+    console.log("Enqueued EVENT_REMINDER push event", {
+      messageId: result.MessageId,
+      circleId: params.circleId,
+      eventId: params.eventId,
+    });
+  } catch (err) {
+    console.error("Failed to enqueue EVENT_REMINDER push event", {
+      error: err,
+      circleId: params.circleId,
+      eventId: params.eventId,
+    });
+  }
+}
+
+/**
+ * Enqueue a "birthday/anniversary coming up" push event.
+ *
+ * @param {Object} params
+ * @param {string} params.circleId
+ * @param {string} params.circleName
+ * @param {string} params.celebrationId
+ * @param {"birthday"|"anniversary"} params.kind
+ * @param {string} params.name
+ * @param {string} params.date            // YYYY-MM-DD
+ * @param {number} params.daysAway
+ * @param {number|null} params.turning    // only when the age is shared
+ * @param {string|null} params.subjectUserId  // not told about their own day
+ *
+ * Unlike the other enqueue helpers this rethrows, so the scheduler can give
+ * the reminder back and retry it on its next run.
+ */
+async function enqueueCelebrationReminderPushEvent(params) {
+  if (!PUSH_EVENTS_QUEUE_URL) {
+    console.warn(
+      "PUSH_EVENTS_QUEUE_URL is not configured; skipping push event enqueue"
+    );
+    return;
+  }
+
+  const messageBody = JSON.stringify({
+    type: "CELEBRATION_REMINDER",
+    circleId: params.circleId,
+    circleName: params.circleName,
+    celebrationId: params.celebrationId,
+    kind: params.kind,
+    name: params.name,
+    date: params.date,
+    daysAway: params.daysAway,
+    turning: params.turning,
+    subjectUserId: params.subjectUserId,
+  });
+
+  try {
+    const result = await sqsClient.send(
+      new SendMessageCommand({
+        QueueUrl: PUSH_EVENTS_QUEUE_URL,
+        MessageBody: messageBody,
+      })
+    );
+    console.log("Enqueued CELEBRATION_REMINDER push event", {
+      messageId: result.MessageId,
+      circleId: params.circleId,
+      celebrationId: params.celebrationId,
+    });
+  } catch (err) {
+    console.error("Failed to enqueue CELEBRATION_REMINDER push event", {
+      error: err,
+      circleId: params.circleId,
+      celebrationId: params.celebrationId,
+    });
+    throw err;
+  }
+}
+
+// -------------------------
+// Email helpers: SES (invitations, digests)
+// -------------------------
+
+async function sendInvitationEmail({
+  toEmail,
+  inviteUrl,
+  circleName,
+  inviterName,
+}) {
+  const safeCircleName = circleName || "your circle";
+  const safeInviterName = inviterName || "someone in your circle";
+
+  const subject = `You’ve been invited to join ${safeCircleName}`;
+  const textBody = [
+    `Hi there,`,
+    ``,
+    `${safeInviterName} has invited you to join the circle "${safeCircleName}" on Circles.`,
+    ``,
+    `Click the link below to view the invitation and join:`,
+    inviteUrl,
+    ``,
+    `If you weren’t expecting this, you can safely ignore this email.`,
+  ].join("\n");
+
+  const htmlBody = `
+    <html>
+      <body>
+        <p>Hi there,</p>
+        <p><strong>${safeInviterName}</strong> has invited you to join the circle "<strong>${safeCircleName}</strong>" on Circles.</p>
+        <p>
+          Click the link below to view the invitation and join:
+          <br/>
+          <a href="${inviteUrl}">${inviteUrl}</a>
+        </p>
+        <p>If you weren’t expecting this, you can safely ignore this email.</p>
+      </body>
+    </html>
+  `;
+
+  return await sendEmail({
+    toEmail,
+    subject,
+    textBody,
+    htmlBody,
+    label: "invitation",
+  });
+}
+
+// Base64 body, wrapped the way MIME wants it
+function toMimeBase64(text) {
+  return (Buffer.from(text, "utf8").toString("base64").match(/.{1,76}/g) || []).join(
+    "\r\n"
+  );
+}
+
+/**
+ * A multipart/alternative message for SendRawEmail, which (unlike
+ * SendEmail) can carry extra headers such as List-Unsubscribe.
+ */
+function buildRawEmail({ toEmail, subject, textBody, htmlBody, headers }) {
+  const boundary = `circles-${randomUUID()}`;
+  // No header injection through a value
+  const clean = (value) => String(value).replace(/[\r\n]+/g, " ");
+
+  const lines = [
+    `From: ${clean(SES_FROM_ADDRESS)}`,
+    `To: ${clean(toEmail)}`,
+    `Subject: =?UTF-8?B?${Buffer.from(subject, "utf8").toString("base64")}?=`,
+    "MIME-Version: 1.0",
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${clean(value)}`),
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    "Content-Type: text/plain; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    toMimeBase64(textBody),
+    `--${boundary}`,
+    "Content-Type: text/html; charset=UTF-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    toMimeBase64(htmlBody),
+    `--${boundary}--`,
+    "",
+  ];
+
+  return lines.join("\r\n");
+}
+
+/**
+ * Send one HTML + text email from SES_FROM_ADDRESS (invitations, digests).
+ * `headers` (optional) adds extra message headers; the mail then goes out
+ * through SendRawEmail.
+ * Returns { skipped: true, reason } when SES isn't configured.
+ */
+async function sendEmail({ toEmail, subject, textBody, htmlBody, label, headers }) {
+  if (!SES_FROM_ADDRESS) {
+    console.warn(`SES_FROM_ADDRESS is not set; skipping sending ${label} email.`);
+    return {
+      skipped: true,
+      reason: "SES_FROM_ADDRESS not configured",
+    };
+  }
+
+  const params = {
+    Source: SES_FROM_ADDRESS,
+    Destination: {
+      ToAddresses: [toEmail],
+    },
+    Message: {
+      Subject: {
+        Data: subject,
+        Charset: "UTF-8",
+      },
+      Body: {
+        Text: {
+          Data: textBody,
+          Charset: "UTF-8",
+        },
+        Html: {
+          Data: htmlBody,
+          Charset: "UTF-8",
+        },
+      },
+    },
+  };
+
+  console.log(`Sending SES ${label} email:`, {
+    toEmail,
+    subject,
+    SES_REGION,
+    SES_FROM_ADDRESS,
+  });
+
+  const result = headers
+    ? await sesClient.send(
+        new SendRawEmailCommand({
+          RawMessage: {
+            Data: Buffer.from(
+              buildRawEmail({ toEmail, subject, textBody, htmlBody, headers })
+            ),
+          },
+        })
+      )
+    : await sesClient.send(new SendEmailCommand(params));
+  console.log("SES SendEmail result:", result);
+
+  return {
+    skipped: false,
+    messageId: result.MessageId,
+  };
+}
+
+// -------------------------
+// Helpers: invitations
+// -------------------------
+const INVITATION_STATUS_PENDING = "PENDING";
+const INVITATION_STATUS_ACCEPTED = "ACCEPTED"; // every use taken
+const INVITATION_STATUS_REVOKED = "REVOKED";
+const INVITATION_TYPE_EMAIL = "email";
+const INVITATION_TYPE_LINK = "link";
+const DEFAULT_INVITATION_EXPIRY_DAYS = 7;
+const MAX_INVITATION_EXPIRY_DAYS = 30;
+const DEFAULT_LINK_INVITATION_MAX_USES = 10;
+const MAX_LINK_INVITATION_USES = 200;
+
+// Per-circle policy for email invites accepted by a different address:
+// strict rejects, warn accepts but flags the invitation, off ignores it.
+const INVITE_EMAIL_POLICY_STRICT = "strict";
+const INVITE_EMAIL_POLICY_WARN = "warn";
+const INVITE_EMAIL_POLICY_OFF = "off";
+const INVITE_EMAIL_POLICIES = [
+  INVITE_EMAIL_POLICY_STRICT,
+  INVITE_EMAIL_POLICY_WARN,
+  INVITE_EMAIL_POLICY_OFF,
+];
+
+function getInviteEmailPolicy(circle) {
+  const policy = circle && circle.inviteEmailPolicy;
+  return INVITE_EMAIL_POLICIES.includes(policy)
+    ? policy
+    : INVITE_EMAIL_POLICY_WARN;
+}
+
+/**
+ * Lower-cased email from the token, or null if there is none or the IdP
+ * says it is unverified (an unverified address proves nothing).
+ */
+function getVerifiedEmailFromClaims(jwtClaims) {
+  if (!jwtClaims || !jwtClaims.email) return null;
+  const verified = jwtClaims.email_verified;
+  if (verified === false || verified === "false") return null;
+  return String(jwtClaims.email).trim().toLowerCase();
+}
+
+// "j***@example.com" - enough for the invitee to recognise the address
+function maskEmail(email) {
+  const [local, domain] = String(email || "").split("@");
+  if (!local || !domain) return null;
+  return `${local.slice(0, 1)}***@${domain}`;
+}
+
+function buildInviteUrl(invitationId) {
+  return `${FRONTEND_BASE_URL}/?invite=${encodeURIComponent(invitationId)}`;
+}
+
+/**
+ * PNG data URL for the invite link, or null if generation fails (the link
+ * itself still works).
+ */
+async function buildInviteQrCode(inviteUrl) {
+  try {
+    return await QRCode.toDataURL(inviteUrl, { margin: 1, width: 256 });
+  } catch (err) {
+    console.error("Failed to generate invite QR code:", err);
+    return null;
+  }
+}
+
+/**
+ * sendInvitationEmail, but an SES failure becomes a skipped result so
+ * the invitation change that was already saved still succeeds.
+ */
+async function trySendInvitationEmail(params) {
+  try {
+    return await sendInvitationEmail(params);
+  } catch (e) {
+    console.error("Error sending invitation email via SES:", e);
+    return {
+      skipped: true,
+      reason: `SES error: ${e.message || String(e)}`,
+    };
+  }
+}
+
+// Outcomes of redeemInvitation
+const REDEEM_OK = "REDEEMED";
+const REDEEM_TARGET_EXISTS = "TARGET_EXISTS";
+const REDEEM_USED_UP = "USED_UP";
+const REDEEM_BUSY = "BUSY";
+const MAX_REDEEM_ATTEMPTS = 3;
+
+async function getInvitation(invitationId) {
+  const res = await ddb.send(
+    new GetCommand({
+      TableName: INVITATIONS_TABLE_NAME,
+      Key: { invitationId },
+    })
+  );
+  return res.Item || null;
+}
+
+function hasInvitationUseLeft(invitation, nowSeconds) {
+  if (!invitation) return false;
+  if (invitation.status && invitation.status !== INVITATION_STATUS_PENDING) {
+    return false;
+  }
+  if (
+    typeof invitation.expiresAt === "number" &&
+    invitation.expiresAt <= nowSeconds
+  ) {
+    return false;
+  }
+  return !(
+    typeof invitation.maxUses === "number" &&
+    (invitation.usesCount || 0) >= invitation.maxUses
+  );
+}
+
+/**
+ * Take one use of an invitation and write `put` (the new membership or
+ * join request) in a single transaction, so neither happens without the
+ * other. The invitation update is conditioned on the usesCount we read:
+ * of two concurrent redemptions only one wins, and the other re-reads and
+ * tries again while uses remain. The last use also flips the status to
+ * ACCEPTED in the same write.
+ *
+ * Returns REDEEM_OK, REDEEM_TARGET_EXISTS (put's condition failed, e.g. a
+ * double click already joined), REDEEM_USED_UP or REDEEM_BUSY.
+ * `mismatchedEmail` records who accepted an email invite from another
+ * address (the "warn" policy).
+ */
+async function redeemInvitation({ invitation, userId, now, put, mismatchedEmail }) {
+  const nowIso = now.toISOString();
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  let current = invitation;
+
+  for (let attempt = 1; ; attempt++) {
+    if (!hasInvitationUseLeft(current, nowSeconds)) {
+      return REDEEM_USED_UP;
+    }
+
+    const seenUses = current.usesCount || 0;
+    const nextUses = seenUses + 1;
+
+    const setParts = [
+      "usesCount = :nextUses",
+      "acceptedByUserId = :u",
+      "acceptedAt = :now",
+    ];
+    const values = {
+      ":seenUses": seenUses,
+      ":nextUses": nextUses,
+      ":u": userId,
+      ":uset": new Set([userId]),
+      ":now": nowIso,
+      ":pending": INVITATION_STATUS_PENDING,
+      ":nowSeconds": nowSeconds,
+    };
+    if (typeof current.maxUses === "number" && nextUses >= current.maxUses) {
+      setParts.push("#status = :accepted");
+      values[":accepted"] = INVITATION_STATUS_ACCEPTED;
+    }
+    if (mismatchedEmail !== undefined) {
+      setParts.push("emailMismatch = :true", "acceptedEmail = :acceptedEmail");
+      values[":true"] = true;
+      values[":acceptedEmail"] = mismatchedEmail;
+    }
+
+    const result = await transactWrite([
+      {
+        Update: {
+          TableName: INVITATIONS_TABLE_NAME,
+          Key: { invitationId: current.invitationId },
+          UpdateExpression: `SET ${setParts.join(", ")} ADD acceptedByUserIds :uset`,
+          ConditionExpression:
+            "#status = :pending AND " +
+            "(attribute_not_exists(expiresAt) OR expiresAt > :nowSeconds) AND " +
+            (seenUses === 0
+              ? "(attribute_not_exists(usesCount) OR usesCount = :seenUses)"
+              : "usesCount = :seenUses"),
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: values,
+        },
+      },
+      { Put: put },
+    ]);
+
+    if (result.ok) return REDEEM_OK;
+    if (result.failedIndexes.includes(1)) return REDEEM_TARGET_EXISTS;
+
+    console.warn("Invitation changed while redeeming:", {
+      invitationId: current.invitationId,
+      attempt,
+    });
+    if (attempt >= MAX_REDEEM_ATTEMPTS) return REDEEM_BUSY;
+
+    current = await getInvitation(current.invitationId);
+  }
+}
+
+/**
+ * 409 for a redemption that didn't go through (REDEEM_USED_UP / REDEEM_BUSY).
+ */
+function makeRedeemConflictResponse(outcome) {
+  if (outcome === REDEEM_BUSY) {
+    return makeResponse(409, {
+      message: "Lots of people are using this invitation right now. Please try again.",
+      code: "INVITATION_BUSY",
+    });
+  }
+  return makeResponse(409, {
+    message: "Invitation has already been used",
+    code: "INVITATION_USED_UP",
+  });
+}
+
+// -------------------------
+// Invitation: create
+// -------------------------
+async function handleCreateInvitation(event, context) {
+  const { userId, jwtAuthor, jwtClaims, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const circleId =
+    event.pathParameters && event.pathParameters.circleId
+      ? event.pathParameters.circleId
+      : null;
+
+  if (!circleId) {
+    return makeResponse(400, { message: "Missing circleId in path" });
+  }
+
+  // Require caller to already be a member of the circle
+  if (!userCircleSet.has(circleId)) {
+    console.warn(
+      "Forbidden createInvitation for circleId:",
+      circleId,
+      "userId:",
+      userId
+    );
+    return makeResponse(403, {
+      message:
+        "Forbidden: user is not a member of this circle (cannot create invites)",
+      circleId,
+    });
+  }
+
+  const circleWriteBlock = await getCircleWriteBlock(circleId);
+  if (circleWriteBlock) {
+    return circleWriteBlock;
+  }
+
+  if (!event.body) {
+    return makeResponse(400, { message: "Request body is required" });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.body);
+  } catch (e) {
+    console.error("Invalid JSON body for createInvitation:", e);
+    return makeResponse(400, { message: "Invalid JSON body" });
+  }
+
+  // "email" invites go to one address; "link" invites are shareable
+  // (QR code, group chat) and redeemable by anyone signed in.
+  const type = payload.type === INVITATION_TYPE_LINK
+    ? INVITATION_TYPE_LINK
+    : INVITATION_TYPE_EMAIL;
+
+  const email = payload.email && String(payload.email).trim();
+  if (type === INVITATION_TYPE_EMAIL && !email) {
+    return makeResponse(400, { message: 'Field "email" is required' });
+  }
+
+  // Owners are only made by transferring ownership, never by invitation
+  const role = payload.role || "member";
+  if (role !== "member" && role !== "admin") {
+    return makeResponse(400, {
+      message: 'Field "role" must be "member" or "admin"',
+    });
+  }
+  if (type === INVITATION_TYPE_LINK && role !== "member") {
+    return makeResponse(400, {
+      message: "Share links can only invite members",
+    });
+  }
+
+  const membership = await getCircleMembership(userId, circleId);
+  const requiredPermission =
+    role === "admin"
+      ? "manageRoles"
+      : type === INVITATION_TYPE_LINK
+        ? "manageInvitations"
+        : "invite";
+  if (!hasCirclePermission(membership, requiredPermission)) {
+    console.warn("Forbidden createInvitation: missing permission", {
+      circleId,
+      userId,
+      role,
+      type,
+    });
+    return makeResponse(403, {
+      message:
+        role === "admin"
+          ? "Forbidden: only a circle owner can invite admins"
+          : type === INVITATION_TYPE_LINK
+            ? "Forbidden: only circle owners and admins can create share links"
+            : "Forbidden: your role cannot invite people to this circle",
+      circleId,
+    });
+  }
+
+  const expiresInDays =
+    payload.expiresInDays !== undefined
+      ? Number(payload.expiresInDays)
+      : DEFAULT_INVITATION_EXPIRY_DAYS;
+  if (
+    !Number.isFinite(expiresInDays) ||
+    expiresInDays <= 0 ||
+    expiresInDays > MAX_INVITATION_EXPIRY_DAYS
+  ) {
+    return makeResponse(400, {
+      message: `"expiresInDays" must be more than 0 and at most ${MAX_INVITATION_EXPIRY_DAYS}`,
+    });
+  }
+
+  // Email invites are single-use; links default to a family-sized batch
+  const maxUses =
+    type === INVITATION_TYPE_EMAIL
+      ? 1
+      : payload.maxUses !== undefined
+        ? Number(payload.maxUses)
+        : DEFAULT_LINK_INVITATION_MAX_USES;
+  if (
+    !Number.isInteger(maxUses) ||
+    maxUses < 1 ||
+    maxUses > MAX_LINK_INVITATION_USES
+  ) {
+    return makeResponse(400, {
+      message: `"maxUses" must be a whole number from 1 to ${MAX_LINK_INVITATION_USES}`,
+    });
+  }
+
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  const ttlSeconds = nowSeconds + Math.round(expiresInDays * 24 * 3600);
+
+  const invitationId = randomUUID();
+
+  const item = {
+    invitationId,
+    circleId,
+    type,
+    requiresApproval:
+      type === INVITATION_TYPE_LINK && payload.requiresApproval === true,
+    role,
+    createdByUserId: userId,
+    createdByDisplayName: jwtAuthor || userId,
+    createdAt: nowIso,
+    expiresAt: ttlSeconds,
+    status: INVITATION_STATUS_PENDING,
+    maxUses,
+    usesCount: 0,
+  };
+  if (email) {
+    item.invitedEmail = email;
+    item.lastSentAt = nowIso;
+  }
+
+  console.log("Creating invitation item:", item);
+
+  await ddb.send(
+    new PutCommand({
+      TableName: INVITATIONS_TABLE_NAME,
+      Item: item,
+      // Optionally enforce no overwrite:
+      ConditionExpression: "attribute_not_exists(invitationId)",
+    })
+  );
+
+  const inviteUrl = buildInviteUrl(invitationId);
+  const qrCodeDataUrl = await buildInviteQrCode(inviteUrl);
+
+  if (type === INVITATION_TYPE_LINK) {
+    return makeResponse(201, {
+      message: "Share link created",
+      invitationId,
+      inviteUrl,
+      qrCodeDataUrl,
+      invitation: item,
+      user: {
+        userId,
+        author: jwtAuthor,
+        claims: jwtClaims || undefined,
+      },
+    });
+  }
+
+  // Optionally look up circle name for nicer email subject/body
+  let circleName = circleId;
+  try {
+    const circleRes = await ddb.send(
+      new GetCommand({
+        TableName: CIRCLES_TABLE_NAME,
+        Key: { circleId },
+      })
+    );
+    if (circleRes.Item && circleRes.Item.name) {
+      circleName = circleRes.Item.name;
+    }
+  } catch (e) {
+    console.error("Error fetching circle metadata for invitation email:", e);
+  }
+
+  // Attempt to send email, but don't fail the whole request if SES errors
+  let emailResult = {
+    skipped: true,
+    reason: "Not attempted",
+  };
+
+  try {
+    emailResult = await sendInvitationEmail({
+      toEmail: email,
+      inviteUrl,
+      circleName,
+      inviterName: jwtAuthor || userId || "A circle member",
+    });
+  } catch (e) {
+    console.error("Error sending invitation email via SES:", e);
+    emailResult = {
+      skipped: true,
+      reason: `SES error: ${e.message || String(e)}`,
+    };
+  }
+
+  return makeResponse(201, {
+    message: "Invitation created",
+    invitationId,
+    inviteUrl,
+    qrCodeDataUrl,
+    invitation: item,
+    email: emailResult,
+    user: {
+      userId,
+      author: jwtAuthor,
+      claims: jwtClaims || undefined,
+    },
+  });
+}
+
+// -------------------------
+// Invitation: accept
+// -------------------------
+async function handleAcceptInvitation(event, context) {
+  const { userId, jwtAuthor, jwtClaims } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  if (!event.body) {
+    return makeResponse(400, { message: "Request body is required" });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.body);
+  } catch (e) {
+    console.error("Invalid JSON body for acceptInvitation:", e);
+    return makeResponse(400, { message: "Invalid JSON body" });
+  }
+
+  const invitationId =
+    payload.invitationId && String(payload.invitationId).trim();
+  if (!invitationId) {
+    return makeResponse(400, { message: 'Field "invitationId" is required' });
+  }
+
+  console.log("Accepting invitation:", invitationId, "for userId:", userId);
+
+  const invitationRes = await ddb.send(
+    new GetCommand({
+      TableName: INVITATIONS_TABLE_NAME,
+      Key: { invitationId },
+    })
+  );
+
+  const invitation = invitationRes.Item;
+  if (!invitation) {
+    return makeResponse(404, { message: "Invitation not found" });
+  }
+
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+
+  if (invitation.expiresAt && invitation.expiresAt <= nowSeconds) {
+    console.warn("Invitation expired:", invitationId);
+    return makeResponse(410, { message: "Invitation has expired" });
+  }
+
+  if (invitation.status === INVITATION_STATUS_REVOKED) {
+    console.warn("Invitation revoked:", invitationId);
+    return makeResponse(410, {
+      message: "This invitation was cancelled by the circle",
+      code: "INVITATION_REVOKED",
+    });
+  }
+
+  const circleId = invitation.circleId;
+  if (!circleId) {
+    console.error("Invitation missing circleId:", invitationId);
+    return makeResponse(500, {
+      message: "Invitation is invalid (missing circleId)",
+    });
+  }
+
+  const circle = await getCircle(circleId);
+  const circleWriteBlock = getCircleWriteBlockFor(circle);
+  if (circleWriteBlock) {
+    return circleWriteBlock;
+  }
+
+  // Existing members (e.g. re-scanning a share link) keep their role and
+  // don't use up the invitation.
+  const existingMembership = await getCircleMembership(userId, circleId);
+  let alreadyMember = !!existingMembership;
+
+  // Checked after the membership lookup so a double click on a single-use
+  // invite sees "already a member" rather than an error.
+  if (!alreadyMember && !hasInvitationUseLeft(invitation, nowSeconds)) {
+    console.warn("Invitation has no uses left:", {
+      invitationId,
+      status: invitation.status,
+      usesCount: invitation.usesCount,
+    });
+    return makeRedeemConflictResponse(REDEEM_USED_UP);
+  }
+
+  // Email invites are meant for one address; the circle's policy decides
+  // what happens when someone else (e.g. via a forwarded email) accepts.
+  const inviteEmailPolicy = getInviteEmailPolicy(circle);
+  const userEmail = getVerifiedEmailFromClaims(jwtClaims);
+  const emailMismatch =
+    !alreadyMember &&
+    !!invitation.invitedEmail &&
+    inviteEmailPolicy !== INVITE_EMAIL_POLICY_OFF &&
+    invitation.invitedEmail.toLowerCase() !== userEmail;
+
+  if (emailMismatch) {
+    console.warn("Email mismatch on invitation accept:", {
+      invitationId,
+      circleId,
+      policy: inviteEmailPolicy,
+      invitedEmail: invitation.invitedEmail,
+      userEmail,
+    });
+
+    if (inviteEmailPolicy === INVITE_EMAIL_POLICY_STRICT) {
+      return makeResponse(403, {
+        message: userEmail
+          ? "This invitation was sent to a different email address"
+          : "This invitation requires a verified email address",
+        code: "INVITE_EMAIL_MISMATCH",
+        invitedEmailHint: maskEmail(invitation.invitedEmail),
+        circleId,
+      });
+    }
+  }
+
+  // Approval links queue a request instead; only approval adds the member
+  if (!alreadyMember && invitation.requiresApproval) {
+    return await createJoinRequest({
+      invitation,
+      circleId,
+      userId,
+      jwtAuthor,
+      jwtClaims,
+      now,
+    });
+  }
+
+  if (!alreadyMember) {
+    // Invitations only grant member/admin
+    const membershipItem = {
+      userId,
+      circleId,
+      ...getRoleAttributes(invitation.role === "admin" ? "admin" : "member"),
+      joinedAt: nowIso,
+      displayName: jwtAuthor || userId, 
+    };
+
+    console.log("Creating membership:", membershipItem);
+
+    const outcome = await redeemInvitation({
+      invitation,
+      userId,
+      now,
+      mismatchedEmail: emailMismatch ? userEmail : undefined,
+      put: {
+        TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
+        Item: membershipItem,
+        ConditionExpression: "attribute_not_exists(userId)",
+      },
+    });
+
+    if (outcome === REDEEM_TARGET_EXISTS) {
+      // A second click raced the first one in; nothing was used up
+      alreadyMember = true;
+    } else if (outcome !== REDEEM_OK) {
+      return makeRedeemConflictResponse(outcome);
+    }
+  }
+
+  return makeResponse(200, {
+    message: alreadyMember
+      ? "You are already a member of this circle"
+      : "Invitation accepted",
+    circleId,
+    circleName: (circle && circle.name) || circleId,
+    emailMismatch: emailMismatch || undefined,
+    user: {
+      userId,
+      author: jwtAuthor,
+      claims: jwtClaims || undefined,
+    },
+  });
+}
+
+// -------------------------
+// Invitation: list / revoke / resend / reissue
+// GET    /api/circles/{circleId}/invitations[?status=PENDING]
+// DELETE /api/circles/{circleId}/invitations/{invitationId}
+// POST   /api/circles/{circleId}/invitations/{invitationId}/resend
+// POST   /api/circles/{circleId}/invitations/{invitationId}/reissue  -> { email }
+// -------------------------
+/**
+ * Shape an invitation for the client. Pending invites past their expiry are
+ * reported as EXPIRED (TTL removes them from the table eventually).
+ */
+function toClientInvitation(item, nowSeconds) {
+  const expired =
+    item.status === INVITATION_STATUS_PENDING &&
+    typeof item.expiresAt === "number" &&
+    item.expiresAt <= nowSeconds;
+
+  return {
+    invitationId: item.invitationId,
+    type: item.type || INVITATION_TYPE_EMAIL,
+    requiresApproval: item.requiresApproval === true,
+    invitedEmail: item.invitedEmail || null,
+    role: item.role || "member",
+    status: expired ? "EXPIRED" : item.status || INVITATION_STATUS_PENDING,
+    createdByUserId: item.createdByUserId || null,
+    createdByDisplayName: item.createdByDisplayName || item.createdByUserId || null,
+    createdAt: item.createdAt || null,
+    lastSentAt: item.lastSentAt || item.createdAt || null,
+    expiresAt:
+      typeof item.expiresAt === "number"
+        ? new Date(item.expiresAt * 1000).toISOString()
+        : null,
+    usesCount: item.usesCount || 0,
+    maxUses: item.maxUses || null,
+    emailMismatch: item.emailMismatch === true,
+    acceptedEmail: item.acceptedEmail || null,
+    reissuedAsInvitationId: item.reissuedAsInvitationId || null,
+  };
+}
+
+async function listCircleInvitations(circleId) {
+  const items = [];
+  let exclusiveStartKey = undefined;
+
+  do {
+    const res = await ddb.send(
+      new QueryCommand({
+        TableName: INVITATIONS_TABLE_NAME,
+        IndexName: INVITATIONS_CIRCLE_INDEX_NAME,
+        KeyConditionExpression: "circleId = :c",
+        ExpressionAttributeValues: { ":c": circleId },
+        ScanIndexForward: false, // newest first
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    items.push(...(res.Items || []));
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return items;
+}
+
+/**
+ * Resolve circleId/invitationId from the path and check the caller may
+ * manage the invitation (whoever sent it, or manageInvitations).
+ * Returns either { error } (a ready response) or { circleId, invitation }.
+ */
+async function loadManageableInvitation(event, context, actionLabel) {
+  const { userId, userCircleSet } = context;
+
+  if (!userId) {
+    return {
+      error: makeResponse(401, {
+        message: "Unauthorized: no userId in token",
+      }),
+    };
+  }
+
+  const pathParams = event.pathParameters || {};
+  const circleId = pathParams.circleId || null;
+  const invitationId = pathParams.invitationId || null;
+
+  if (!circleId || !invitationId) {
+    return {
+      error: makeResponse(400, {
+        message: "Missing circleId or invitationId in path",
+      }),
+    };
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    return {
+      error: makeResponse(403, {
+        message: "Forbidden: user is not a member of this circle",
+        circleId,
+      }),
+    };
+  }
+
+  const invitationRes = await ddb.send(
+    new GetCommand({
+      TableName: INVITATIONS_TABLE_NAME,
+      Key: { invitationId },
+    })
+  );
+
+  const invitation = invitationRes.Item;
+  if (!invitation || invitation.circleId !== circleId) {
+    return {
+      error: makeResponse(404, {
+        message: "Invitation not found",
+        invitationId,
+      }),
+    };
+  }
+
+  if (invitation.createdByUserId !== userId) {
+    const membership = await getCircleMembership(userId, circleId);
+    if (!hasCirclePermission(membership, "manageInvitations")) {
+      console.warn(`Forbidden ${actionLabel} invitation`, {
+        circleId,
+        invitationId,
+        userId,
+      });
+      return {
+        error: makeResponse(403, {
+          message: `Forbidden: only the sender or a circle owner/admin can ${actionLabel} this invitation`,
+          invitationId,
+        }),
+      };
+    }
+  }
+
+  return { circleId, invitation };
+}
+
+async function handleListInvitations(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const circleId =
+    event.pathParameters && event.pathParameters.circleId
+      ? event.pathParameters.circleId
+      : null;
+
+  if (!circleId) {
+    return makeResponse(400, { message: "Missing circleId in path" });
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
+
+  const qs = event.queryStringParameters || {};
+  const statusFilter = qs.status ? String(qs.status).toUpperCase() : null;
+
+  // Members only see the invitations they sent themselves
+  const membership = await getCircleMembership(userId, circleId);
+  const seeAll = hasCirclePermission(membership, "manageInvitations");
+
+  const nowSeconds = Math.floor(Date.now() / 1000);
+  const invitations = (await listCircleInvitations(circleId))
+    .filter((item) => seeAll || item.createdByUserId === userId)
+    .map((item) => toClientInvitation(item, nowSeconds))
+    .filter((inv) => !statusFilter || inv.status === statusFilter);
+
+  // Pending share links carry their URL + QR code so they can be shown again
+  for (const inv of invitations) {
+    if (inv.type === INVITATION_TYPE_LINK && inv.status === INVITATION_STATUS_PENDING) {
+      inv.inviteUrl = buildInviteUrl(inv.invitationId);
+      inv.qrCodeDataUrl = await buildInviteQrCode(inv.inviteUrl);
+    }
+  }
+
+  return makeResponse(200, {
+    circleId,
+    invitations,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+async function handleRevokeInvitation(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadManageableInvitation(event, context, "revoke");
+  if (loaded.error) return loaded.error;
+
+  const { circleId, invitation } = loaded;
+  const { invitationId } = invitation;
+  const nowIso = new Date().toISOString();
+
+  let updated;
+  try {
+    const res = await ddb.send(
+      new UpdateCommand({
+        TableName: INVITATIONS_TABLE_NAME,
+        Key: { invitationId },
+        UpdateExpression:
+          "SET #status = :revoked, revokedAt = :now, revokedByUserId = :u",
+        ConditionExpression: "#status = :pending",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":revoked": INVITATION_STATUS_REVOKED,
+          ":pending": INVITATION_STATUS_PENDING,
+          ":now": nowIso,
+          ":u": userId,
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    updated = res.Attributes;
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") {
+      return makeResponse(409, {
+        message: "Only pending invitations can be revoked",
+        invitationId,
+        status: invitation.status || null,
+      });
+    }
+    throw err;
+  }
+
+  console.log("Invitation revoked:", { circleId, invitationId, userId });
+
+  return makeResponse(200, {
+    message: "Invitation revoked",
+    circleId,
+    invitation: toClientInvitation(updated, Math.floor(Date.now() / 1000)),
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+async function handleResendInvitation(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadManageableInvitation(event, context, "resend");
+  if (loaded.error) return loaded.error;
+
+  const { circleId, invitation } = loaded;
+  const { invitationId } = invitation;
+
+  if (!invitation.invitedEmail) {
+    return makeResponse(400, {
+      message: "This invitation has no email address to send to",
+      invitationId,
+    });
+  }
+
+  const circle = await getCircle(circleId);
+  const circleWriteBlock = getCircleWriteBlockFor(circle);
+  if (circleWriteBlock) {
+    return circleWriteBlock;
+  }
+
+  let payload = {};
+  try {
+    payload = event.body ? JSON.parse(event.body) : {};
+  } catch (e) {
+    return makeResponse(400, { message: "Invalid JSON body" });
+  }
+
+  const expiresInDays =
+    payload.expiresInDays !== undefined
+      ? Number(payload.expiresInDays)
+      : DEFAULT_INVITATION_EXPIRY_DAYS;
+  if (
+    !Number.isFinite(expiresInDays) ||
+    expiresInDays < 1 ||
+    expiresInDays > MAX_INVITATION_EXPIRY_DAYS
+  ) {
+    return makeResponse(400, {
+      message: `"expiresInDays" must be between 1 and ${MAX_INVITATION_EXPIRY_DAYS}`,
+    });
+  }
+
+  const now = new Date();
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+
+  let updated;
+  try {
+    const res = await ddb.send(
+      new UpdateCommand({
+        TableName: INVITATIONS_TABLE_NAME,
+        Key: { invitationId },
+        UpdateExpression:
+          "SET expiresAt = :exp, lastSentAt = :now, sendCount = if_not_exists(sendCount, :one) + :one",
+        ConditionExpression: "#status = :pending",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":exp": nowSeconds + Math.round(expiresInDays * 24 * 3600),
+          ":now": now.toISOString(),
+          ":one": 1,
+          ":pending": INVITATION_STATUS_PENDING,
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    updated = res.Attributes;
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") {
+      return makeResponse(409, {
+        message: "Only pending invitations can be resent",
+        invitationId,
+        status: invitation.status || null,
+      });
+    }
+    throw err;
+  }
+
+  const inviteUrl = buildInviteUrl(invitationId);
+
+  const emailResult = await trySendInvitationEmail({
+    toEmail: invitation.invitedEmail,
+    inviteUrl,
+    circleName: (circle && circle.name) || circleId,
+    inviterName: jwtAuthor || userId || "A circle member",
+  });
+
+  console.log("Invitation resent:", { circleId, invitationId, userId });
+
+  return makeResponse(200, {
+    message: "Invitation resent",
+    circleId,
+    inviteUrl,
+    invitation: toClientInvitation(updated, nowSeconds),
+    email: emailResult,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+/**
+ * Replace an email invitation with a fresh one to a corrected address:
+ * the old invite is revoked (so a forwarded copy stops working) and a new
+ * one with the same role is created and emailed.
+ */
+async function handleReissueInvitation(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadManageableInvitation(event, context, "reissue");
+  if (loaded.error) return loaded.error;
+
+  const { circleId, invitation } = loaded;
+  const { invitationId } = invitation;
+
+  if ((invitation.type || INVITATION_TYPE_EMAIL) !== INVITATION_TYPE_EMAIL) {
+    return makeResponse(400, {
+      message: "Only email invitations can be reissued",
+      invitationId,
+    });
+  }
+
+  const circle = await getCircle(circleId);
+  const circleWriteBlock = getCircleWriteBlockFor(circle);
+  if (circleWriteBlock) {
+    return circleWriteBlock;
+  }
+
+  let payload;
+  try {
+    payload = event.body ? JSON.parse(event.body) : {};
+  } catch (e) {
+    return makeResponse(400, { message: "Invalid JSON body" });
+  }
+
+  const email = payload.email && String(payload.email).trim();
+  if (!email) {
+    return makeResponse(400, { message: 'Field "email" is required' });
+  }
+
+  const expiresInDays =
+    payload.expiresInDays !== undefined
+      ? Number(payload.expiresInDays)
+      : DEFAULT_INVITATION_EXPIRY_DAYS;
+  if (
+    !Number.isFinite(expiresInDays) ||
+    expiresInDays < 1 ||
+    expiresInDays > MAX_INVITATION_EXPIRY_DAYS
+  ) {
+    return makeResponse(400, {
+      message: `"expiresInDays" must be between 1 and ${MAX_INVITATION_EXPIRY_DAYS}`,
+    });
+  }
+
+  // Same rule as creating one: only owners hand out admin invites
+  const role = invitation.role === "admin" ? "admin" : "member";
+  if (role === "admin") {
+    const membership = await getCircleMembership(userId, circleId);
+    if (!hasCirclePermission(membership, "manageRoles")) {
+      return makeResponse(403, {
+        message: "Forbidden: only a circle owner can invite admins",
+        circleId,
+      });
+    }
+  }
+
+  const now = new Date();
+  const nowIso = now.toISOString();
+  const nowSeconds = Math.floor(now.getTime() / 1000);
+  const newInvitationId = randomUUID();
+
+  const item = {
+    invitationId: newInvitationId,
+    circleId,
+    type: INVITATION_TYPE_EMAIL,
+    requiresApproval: false,
+    role,
+    invitedEmail: email,
+    createdByUserId: userId,
+    createdByDisplayName: jwtAuthor || userId,
+    createdAt: nowIso,
+    lastSentAt: nowIso,
+    expiresAt: nowSeconds + Math.round(expiresInDays * 24 * 3600),
+    status: INVITATION_STATUS_PENDING,
+    maxUses: 1,
+    usesCount: 0,
+    reissuedFromInvitationId: invitationId,
+  };
+
+  // Revoke + replace together, so the invitee is never left without a
+  // valid invitation. Expired invites are still PENDING until TTL removes
+  // them, so they can be reissued too.
+  const result = await transactWrite([
+    {
+      Update: {
+        TableName: INVITATIONS_TABLE_NAME,
+        Key: { invitationId },
+        UpdateExpression:
+          "SET #status = :revoked, revokedAt = :now, revokedByUserId = :u, reissuedAsInvitationId = :newId",
+        ConditionExpression: "#status = :pending",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":revoked": INVITATION_STATUS_REVOKED,
+          ":pending": INVITATION_STATUS_PENDING,
+          ":now": nowIso,
+          ":u": userId,
+          ":newId": newInvitationId,
+        },
+      },
+    },
+    {
+      Put: {
+        TableName: INVITATIONS_TABLE_NAME,
+        Item: item,
+        ConditionExpression: "attribute_not_exists(invitationId)",
+      },
+    },
+  ]);
+
+  if (!result.ok) {
+    if (result.failedIndexes.includes(0)) {
+      return makeResponse(409, {
+        message: "Only pending invitations can be reissued",
+        invitationId,
+        status: invitation.status || null,
+      });
+    }
+    return makeResponse(409, {
+      message: "This invitation changed while reissuing it. Please try again.",
+      code: "INVITATION_BUSY",
+      invitationId,
+    });
+  }
+
+  const revoked = {
+    ...invitation,
+    status: INVITATION_STATUS_REVOKED,
+    revokedAt: nowIso,
+    revokedByUserId: userId,
+    reissuedAsInvitationId: newInvitationId,
+  };
+
+  const inviteUrl = buildInviteUrl(newInvitationId);
+  const qrCodeDataUrl = await buildInviteQrCode(inviteUrl);
+
+  const emailResult = await trySendInvitationEmail({
+    toEmail: email,
+    inviteUrl,
+    circleName: (circle && circle.name) || circleId,
+    inviterName: jwtAuthor || userId || "A circle member",
+  });
+
+  console.log("Invitation reissued:", {
+    circleId,
+    invitationId,
+    newInvitationId,
+    userId,
+  });
+
+  return makeResponse(201, {
+    message: "Invitation reissued",
+    circleId,
+    invitationId: newInvitationId,
+    inviteUrl,
+    qrCodeDataUrl,
+    invitation: toClientInvitation(item, nowSeconds),
+    previousInvitation: toClientInvitation(revoked, nowSeconds),
+    email: emailResult,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Join requests (share links with approval)
+// GET  /api/circles/{circleId}/join-requests
+// POST /api/circles/{circleId}/join-requests/{requestUserId}  -> { decision: "approve" | "deny" }
+// -------------------------
+const JOIN_REQUEST_STATUS_PENDING = "PENDING";
+const JOIN_REQUEST_STATUS_APPROVED = "APPROVED";
+const JOIN_REQUEST_STATUS_DENIED = "DENIED";
+
+async function getJoinRequest(circleId, userId) {
+  const res = await ddb.send(
+    new GetCommand({
+      TableName: JOIN_REQUESTS_TABLE_NAME,
+      Key: { circleId, userId },
+    })
+  );
+  return res.Item || null;
+}
+
+function toClientJoinRequest(item) {
+  return {
+    userId: item.userId,
+    displayName: item.displayName || item.userId,
+    email: item.email || null,
+    status: item.status,
+    invitationId: item.invitationId || null,
+    requestedAt: item.requestedAt || null,
+    decidedAt: item.decidedAt || null,
+  };
+}
+
+/**
+ * Called from handleAcceptInvitation for approval links. Takes one use of
+ * the invitation, records a PENDING request and pings the circle's approvers.
+ * Redeeming the link again while pending just returns the same 202.
+ */
+async function createJoinRequest({
+  invitation,
+  circleId,
+  userId,
+  jwtAuthor,
+  jwtClaims,
+  now,
+}) {
+  const circle = await getCircle(circleId);
+  const circleName = (circle && circle.name) || circleId;
+  const pendingResponse = makeResponse(202, {
+    message: "Your request to join was sent. An admin needs to approve it.",
+    code: "JOIN_REQUEST_PENDING",
+    circleId,
+    circleName,
+  });
+
+  const existing = await getJoinRequest(circleId, userId);
+  if (existing && existing.status === JOIN_REQUEST_STATUS_PENDING) {
+    return pendingResponse;
+  }
+  if (existing && existing.status === JOIN_REQUEST_STATUS_DENIED) {
+    return makeResponse(403, {
+      message: "Your request to join this circle was declined",
+      code: "JOIN_REQUEST_DENIED",
+      circleId,
+    });
+  }
+
+  const displayName = jwtAuthor || userId;
+  const email = (jwtClaims && jwtClaims.email) || null;
+
+  const outcome = await redeemInvitation({
+    invitation,
+    userId,
+    now,
+    put: {
+      TableName: JOIN_REQUESTS_TABLE_NAME,
+      Item: {
+        circleId,
+        userId,
+        displayName,
+        email,
+        invitationId: invitation.invitationId,
+        role: "member",
+        status: JOIN_REQUEST_STATUS_PENDING,
+        requestedAt: now.toISOString(),
+      },
+      // An approved request whose member has since left can be re-opened
+      ConditionExpression:
+        "attribute_not_exists(userId) OR #status = :approved",
+      ExpressionAttributeNames: { "#status": "status" },
+      ExpressionAttributeValues: { ":approved": JOIN_REQUEST_STATUS_APPROVED },
+    },
+  });
+
+  // A double click raced us; the other request is already pending
+  if (outcome === REDEEM_TARGET_EXISTS) {
+    return pendingResponse;
+  }
+  if (outcome !== REDEEM_OK) {
+    return makeRedeemConflictResponse(outcome);
+  }
+
+  const approverUserIds = (await listCircleMemberships(circleId))
+    .filter((m) => hasCirclePermission(m, "approveMembers"))
+    .map((m) => m.userId);
+
+  await enqueueJoinRequestPushEvent({
+    circleId,
+    circleName,
+    requesterUserId: userId,
+    requesterName: displayName,
+    approverUserIds,
+  });
+
+  console.log("Join request created:", { circleId, userId });
+
+  return pendingResponse;
+}
+
+/**
+ * Resolve circleId from the path and require approveMembers.
+ * Returns either { error } (a ready response) or { circleId }.
+ */
+async function loadJoinRequestApprover(event, context) {
+  const { userId, userCircleSet } = context;
+
+  if (!userId) {
+    return {
+      error: makeResponse(401, {
+        message: "Unauthorized: no userId in token",
+      }),
+    };
+  }
+
+  const circleId =
+    event.pathParameters && event.pathParameters.circleId
+      ? event.pathParameters.circleId
+      : null;
+
+  if (!circleId) {
+    return {
+      error: makeResponse(400, { message: "Missing circleId in path" }),
+    };
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    return {
+      error: makeResponse(403, {
+        message: "Forbidden: user is not a member of this circle",
+        circleId,
+      }),
+    };
+  }
+
+  const membership = await getCircleMembership(userId, circleId);
+  if (!hasCirclePermission(membership, "approveMembers")) {
+    return {
+      error: makeResponse(403, {
+        message: "Forbidden: only circle owners and admins can review join requests",
+        circleId,
+      }),
+    };
+  }
+
+  return { circleId };
+}
+
+async function handleListJoinRequests(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadJoinRequestApprover(event, context);
+  if (loaded.error) return loaded.error;
+
+  const { circleId } = loaded;
+  const items = [];
+  let exclusiveStartKey = undefined;
+
+  do {
+    const res = await ddb.send(
+      new QueryCommand({
+        TableName: JOIN_REQUESTS_TABLE_NAME,
+        KeyConditionExpression: "circleId = :c",
+        FilterExpression: "#status = :pending",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":c": circleId,
+          ":pending": JOIN_REQUEST_STATUS_PENDING,
+        },
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    items.push(...(res.Items || []));
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  items.sort((a, b) => (a.requestedAt || "").localeCompare(b.requestedAt || ""));
+
+  return makeResponse(200, {
+    circleId,
+    joinRequests: items.map(toClientJoinRequest),
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+async function handleDecideJoinRequest(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadJoinRequestApprover(event, context);
+  if (loaded.error) return loaded.error;
+
+  const { circleId } = loaded;
+  const requestUserId = event.pathParameters.requestUserId;
+
+  let payload;
+  try {
+    payload = event.body ? JSON.parse(event.body) : {};
+  } catch (e) {
+    return makeResponse(400, { message: "Invalid JSON body" });
+  }
+
+  const decision = payload.decision;
+  if (decision !== "approve" && decision !== "deny") {
+    return makeResponse(400, {
+      message: 'Field "decision" must be "approve" or "deny"',
+    });
+  }
+
+  if (decision === "approve") {
+    const circleWriteBlock = await getCircleWriteBlock(circleId);
+    if (circleWriteBlock) return circleWriteBlock;
+  }
+
+  const notPendingResponse = makeResponse(409, {
+    message: "This join request is no longer pending",
+    circleId,
+    requestUserId,
+  });
+
+  const existing = await getJoinRequest(circleId, requestUserId);
+  if (!existing || existing.status !== JOIN_REQUEST_STATUS_PENDING) {
+    return notPendingResponse;
+  }
+
+  const nowIso = new Date().toISOString();
+  const status =
+    decision === "approve"
+      ? JOIN_REQUEST_STATUS_APPROVED
+      : JOIN_REQUEST_STATUS_DENIED;
+
+  const decisionUpdate = {
+    TableName: JOIN_REQUESTS_TABLE_NAME,
+    Key: { circleId, userId: requestUserId },
+    UpdateExpression:
+      "SET #status = :status, decidedAt = :now, decidedByUserId = :u",
+    ConditionExpression: "#status = :pending",
+    ExpressionAttributeNames: { "#status": "status" },
+    ExpressionAttributeValues: {
+      ":status": status,
+      ":pending": JOIN_REQUEST_STATUS_PENDING,
+      ":now": nowIso,
+      ":u": userId,
+    },
+  };
+
+  // Approval marks the request and adds the membership together, so a
+  // failure can't leave an APPROVED request without a member.
+  let recordDecisionOnly = decision !== "approve";
+  if (!recordDecisionOnly) {
+    const result = await transactWrite([
+      { Update: decisionUpdate },
+      {
+        Put: {
+          TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
+          Item: {
+            userId: requestUserId,
+            circleId,
+            ...getRoleAttributes("member"),
+            joinedAt: nowIso,
+            displayName: existing.displayName || requestUserId,
+            approvedByUserId: userId,
+          },
+          ConditionExpression: "attribute_not_exists(userId)",
+        },
+      },
+    ]);
+
+    if (!result.ok) {
+      if (result.conflicted || result.failedIndexes.includes(0)) {
+        return notPendingResponse;
+      }
+      // Already a member some other way; just record the decision
+      recordDecisionOnly = true;
+    }
+  }
+
+  if (recordDecisionOnly) {
+    try {
+      await ddb.send(new UpdateCommand(decisionUpdate));
+    } catch (err) {
+      if (err.name === "ConditionalCheckFailedException") {
+        return notPendingResponse;
+      }
+      throw err;
+    }
+  }
+
+  const request = {
+    ...existing,
+    status,
+    decidedAt: nowIso,
+    decidedByUserId: userId,
+  };
+
+  console.log("Join request decided:", {
+    circleId,
+    requestUserId,
+    decision,
+    decidedByUserId: userId,
+  });
+
+  return makeResponse(200, {
+    message: decision === "approve" ? "Join request approved" : "Join request denied",
+    circleId,
+    joinRequest: toClientJoinRequest(request),
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Stats: circles & users
+// -------------------------
+async function handleGetStats() {
+  console.log("Handling GET /api/stats");
+
+  // Scan Circles to count circles
+  const circlesScan = await ddb.send(
+    new ScanCommand({
+      TableName: CIRCLES_TABLE_NAME,
+    })
+  );
+  const circleItems = circlesScan.Items || [];
+  const totalCircles = circleItems.length;
+
+  // Scan CircleMemberships to count members
+  const membershipsScan = await ddb.send(
+    new ScanCommand({
+      TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
+    })
+  );
+  const membershipItems = membershipsScan.Items || [];
+
+  // Unique user count
+  const userIdSet = new Set();
+  // Members per circle
+  const membersByCircleMap = new Map();
+
+  for (const m of membershipItems) {
+    if (!m) continue;
+    const u = m.userId;
+    const c = m.circleId;
+    if (u) {
+      userIdSet.add(u);
+    }
+    if (c) {
+      if (!membersByCircleMap.has(c)) {
+        membersByCircleMap.set(c, new Set());
+      }
+      membersByCircleMap.get(c).add(u);
+    }
+  }
+
+  const totalMembers = userIdSet.size;
+
+  const membersByCircle = [];
+  for (const [circleId, userSet] of membersByCircleMap.entries()) {
+    membersByCircle.push({
+      circleId,
+      memberCount: userSet.size,
+    });
+  }
+
+  // Sort for stable UI
+  membersByCircle.sort((a, b) => a.circleId.localeCompare(b.circleId));
+
+  return makeResponse(200, {
+    totalCircles,
+    totalMemberships: membershipItems.length,
+    totalMembers,
+    membersByCircle,
+  });
+}
+
+// -------------------------
+// Circle members: list who’s in a circle
+// GET /api/circles/members?familyId=... (or circleId=...)
+// -------------------------
+async function handleGetCircleMembers(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const qs = event.queryStringParameters || {};
+  // Stay consistent with existing API that uses familyId as the circle key,
+  // but also accept circleId as an alias.
+  const circleId = qs.familyId || qs.circleId;
+
+  if (!circleId) {
+    return makeResponse(400, {
+      message: 'Missing required query parameter "familyId" (or "circleId")',
+    });
+  }
+
+  // Zero-trust: caller must already be a member of this circle
+  if (!userCircleSet.has(circleId)) {
+    console.warn(
+      "Forbidden GET /api/circles/members for circleId:",
+      circleId,
+      "userId:",
+      userId
+    );
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
+
+  const circleReadBlock = await getCircleReadBlock(circleId);
+  if (circleReadBlock) {
+    return circleReadBlock;
+  }
+
+  console.log(
+    "Fetching members for circleId:",
+    circleId,
+    "requested by userId:",
+    userId
+  );
+
+  const membershipItems = await listCircleMemberships(circleId);
+
+  const members = membershipItems.map((m) => ({
+
+    userId: m.userId,
+    role: getCircleRole(m),
+    joinedAt: m.joinedAt || null,
+    displayName: m.displayName || m.userId, 
+  }));
+
+  return makeResponse(200, {
+    circleId,
+    members,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Circle members: leave / remove
+// POST   /api/circles/{circleId}/leave                  -> caller leaves
+// DELETE /api/circles/{circleId}/members/{memberUserId}  -> owner/admin removes
+// -------------------------
+
+// removeCircleMembership outcomes
+const REMOVE_OK = "ok";
+const REMOVE_NOT_MEMBER = "not_member";
+const REMOVE_OWNER_GONE = "owner_gone";
+const REMOVE_BUSY = "busy";
+
+/**
+ * Transaction item that only passes while memberUserId is still an owner.
+ * Written alongside anything that takes an owner away, so two owners leaving
+ * (or removing each other) at the same time can't leave the circle with none.
+ */
+function buildOwnerConditionCheck(circleId, memberUserId) {
+  return {
+    ConditionCheck: {
+      TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
+      Key: { userId: memberUserId, circleId },
+      ConditionExpression: "#role = :owner OR isOwner = :true",
+      ExpressionAttributeNames: { "#role": "role" },
+      ExpressionAttributeValues: { ":owner": "owner", ":true": true },
+    },
+  };
+}
+
+/**
+ * Delete a membership row and tidy up anything that points at the member.
+ * Every route re-reads CircleMemberships per request, so access ends here.
+ * With keepOwnerUserId, the delete only goes through while that user is
+ * still an owner. Returns REMOVE_OK, REMOVE_NOT_MEMBER, REMOVE_OWNER_GONE or
+ * REMOVE_BUSY (a concurrent write to either row; nothing was changed).
+ */
+async function removeCircleMembership(circleId, memberUserId, keepOwnerUserId) {
+  const transactItems = [
+    {
+      Delete: {
+        TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
+        Key: { userId: memberUserId, circleId },
+        ConditionExpression: "attribute_exists(userId)",
+      },
+    },
+  ];
+  if (keepOwnerUserId) {
+    transactItems.push(buildOwnerConditionCheck(circleId, keepOwnerUserId));
+  }
+
+  const result = await transactWrite(transactItems);
+  if (!result.ok) {
+    if (result.failedIndexes.includes(0)) return REMOVE_NOT_MEMBER;
+    if (result.failedIndexes.includes(1)) return REMOVE_OWNER_GONE;
+    return REMOVE_BUSY;
+  }
+
+  // Don't leave the circle waiting on an asker who is gone
+  const circle = await getCircle(circleId);
+  const rotation = circle && circle.rotation;
+  if (rotation && rotation.enabled && rotation.currentUserId === memberUserId) {
+    try {
+      await advanceCircleRotation(circle);
+    } catch (err) {
+      console.error("Failed to advance rotation after member left:", err);
+    }
+  }
+
+  return REMOVE_OK;
+}
+
+/**
+ * Another owner of the circle besides memberUserId (their userId), or null.
+ */
+async function findOtherOwner(circleId, memberUserId) {
+  const memberships = await listCircleMemberships(circleId);
+  const other = memberships.find(
+    (m) => m.userId !== memberUserId && getCircleRole(m) === "owner"
+  );
+  return other ? other.userId : null;
+}
+
+function makeLastOwnerResponse(circleId) {
+  return makeResponse(409, {
+    message:
+      "You are the last owner of this circle. Transfer ownership before leaving.",
+    code: "LAST_OWNER",
+    circleId,
+  });
+}
+
+function makeMembershipBusyResponse(circleId) {
+  return makeResponse(409, {
+    message: "Circle membership changed at the same time. Please try again.",
+    code: "MEMBERSHIP_BUSY",
+    circleId,
+  });
+}
+
+async function handleLeaveCircle(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const circleId =
+    event.pathParameters && event.pathParameters.circleId
+      ? event.pathParameters.circleId
+      : null;
+
+  if (!circleId) {
+    return makeResponse(400, { message: "Missing circleId in path" });
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    return makeResponse(404, {
+      message: "You are not a member of this circle",
+      circleId,
+    });
+  }
+
+  // An owner can only leave while someone else still owns the circle
+  const membership = await getCircleMembership(userId, circleId);
+  let otherOwnerUserId = null;
+  if (getCircleRole(membership) === "owner") {
+    otherOwnerUserId = await findOtherOwner(circleId, userId);
+    if (!otherOwnerUserId) {
+      return makeLastOwnerResponse(circleId);
+    }
+  }
+
+  const outcome = await removeCircleMembership(circleId, userId, otherOwnerUserId);
+  if (outcome === REMOVE_NOT_MEMBER) {
+    return makeResponse(404, {
+      message: "You are not a member of this circle",
+      circleId,
+    });
+  }
+  if (outcome === REMOVE_OWNER_GONE) {
+    return makeLastOwnerResponse(circleId);
+  }
+  if (outcome === REMOVE_BUSY) {
+    return makeMembershipBusyResponse(circleId);
+  }
+
+  console.log("User left circle:", { circleId, userId });
+
+  return makeResponse(200, {
+    message: "You left the circle",
+    circleId,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+async function handleRemoveCircleMember(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const pathParams = event.pathParameters || {};
+  const circleId = pathParams.circleId || null;
+  const memberUserId = pathParams.memberUserId || null;
+
+  if (!circleId || !memberUserId) {
+    return makeResponse(400, {
+      message: "Missing circleId or memberUserId in path",
+    });
+  }
+
+  if (memberUserId === userId) {
+    return makeResponse(400, {
+      message: "Use POST /api/circles/{circleId}/leave to leave a circle",
+      circleId,
+    });
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
+
+  const membership = await getCircleMembership(userId, circleId);
+  if (!hasCirclePermission(membership, "removeMembers")) {
+    console.warn("Forbidden remove member: not owner/admin", {
+      circleId,
+      userId,
+    });
+    return makeResponse(403, {
+      message: "Forbidden: only circle owners and admins can remove members",
+      circleId,
+    });
+  }
+
+  const blocked = await getCircleWriteBlock(circleId);
+  if (blocked) return blocked;
+
+  const target = await getCircleMembership(memberUserId, circleId);
+  if (!target) {
+    return makeResponse(404, {
+      message: "That user is not a member of this circle",
+      circleId,
+      memberUserId,
+    });
+  }
+
+  // Admins can remove members; only owners can remove admins or owners
+  if (
+    getCircleRole(target) !== "member" &&
+    !hasCirclePermission(membership, "manageRoles")
+  ) {
+    return makeResponse(403, {
+      message: "Forbidden: only a circle owner can remove an owner or admin",
+      circleId,
+      memberUserId,
+    });
+  }
+
+  // Removing an owner needs the caller (also an owner) to still be one
+  const outcome = await removeCircleMembership(
+    circleId,
+    memberUserId,
+    getCircleRole(target) === "owner" ? userId : null
+  );
+  if (outcome === REMOVE_NOT_MEMBER) {
+    return makeResponse(404, {
+      message: "That user is not a member of this circle",
+      circleId,
+      memberUserId,
+    });
+  }
+  if (outcome === REMOVE_OWNER_GONE) {
+    return makeResponse(409, {
+      message: "You are no longer an owner of this circle",
+      code: "NOT_OWNER",
+      circleId,
+      memberUserId,
+    });
+  }
+  if (outcome === REMOVE_BUSY) {
+    return makeMembershipBusyResponse(circleId);
+  }
+
+  console.log("Member removed from circle:", {
+    circleId,
+    memberUserId,
+    removedByUserId: userId,
+  });
+
+  return makeResponse(200, {
+    message: "Member removed",
+    circleId,
+    memberUserId,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Circle members: roles (owner only)
+// PUT  /api/circles/{circleId}/members/{memberUserId}/role  -> { role: "admin" | "member" }
+// POST /api/circles/{circleId}/transfer-ownership           -> { userId }
+// -------------------------
+
+/**
+ * Resolve the circle from the path and require the manageRoles permission.
+ * Returns either { error } (a ready response) or { circleId, payload }.
+ */
+async function loadRoleChange(event, context, actionLabel) {
+  const { userId, userCircleSet } = context;
+
+  if (!userId) {
+    return {
+      error: makeResponse(401, {
+        message: "Unauthorized: no userId in token",
+      }),
+    };
+  }
+
+  const circleId =
+    event.pathParameters && event.pathParameters.circleId
+      ? event.pathParameters.circleId
+      : null;
+
+  if (!circleId) {
+    return {
+      error: makeResponse(400, { message: "Missing circleId in path" }),
+    };
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    return {
+      error: makeResponse(403, {
+        message: "Forbidden: user is not a member of this circle",
+        circleId,
+      }),
+    };
+  }
+
+  const membership = await getCircleMembership(userId, circleId);
+  if (!hasCirclePermission(membership, "manageRoles")) {
+    console.warn(`Forbidden ${actionLabel}: not owner`, { circleId, userId });
+    return {
+      error: makeResponse(403, {
+        message: `Forbidden: only a circle owner can ${actionLabel}`,
+        circleId,
+      }),
+    };
+  }
+
+  const circleWriteBlock = await getCircleWriteBlock(circleId);
+  if (circleWriteBlock) {
+    return { error: circleWriteBlock };
+  }
+
+  let payload;
+  try {
+    payload = event.body ? JSON.parse(event.body) : {};
+  } catch (e) {
+    return { error: makeResponse(400, { message: "Invalid JSON body" }) };
+  }
+
+  return { circleId, payload };
+}
+
+// Condition that a membership row still has the role getCircleRole() read
+// from it, legacy isOwner/isAdmin flags included
+const ROLE_IS_OWNER_CONDITION = "(#role = :ownerRole OR isOwner = :true)";
+const ROLE_IS_ADMIN_CONDITION = "(#role = :adminRole OR isAdmin = :true)";
+const ROLE_CONDITIONS = {
+  owner: ROLE_IS_OWNER_CONDITION,
+  admin: `NOT ${ROLE_IS_OWNER_CONDITION} AND ${ROLE_IS_ADMIN_CONDITION}`,
+  member: `NOT ${ROLE_IS_OWNER_CONDITION} AND NOT ${ROLE_IS_ADMIN_CONDITION}`,
+};
+
+/**
+ * Update params that set a member's role (only while the row exists, and
+ * with `expectedRole`, only while the member still has that role).
+ */
+function buildSetRoleUpdate(circleId, memberUserId, role, expectedRole = null) {
+  const attrs = getRoleAttributes(role);
+
+  const update = {
+    TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
+    Key: { userId: memberUserId, circleId },
+    UpdateExpression:
+      "SET #role = :role, isOwner = :isOwner, isAdmin = :isAdmin, roleUpdatedAt = :now",
+    ConditionExpression: "attribute_exists(userId)",
+    ExpressionAttributeNames: { "#role": "role" },
+    ExpressionAttributeValues: {
+      ":role": attrs.role,
+      ":isOwner": attrs.isOwner,
+      ":isAdmin": attrs.isAdmin,
+      ":now": new Date().toISOString(),
+    },
+  };
+
+  if (expectedRole) {
+    update.ConditionExpression += ` AND ${ROLE_CONDITIONS[expectedRole]}`;
+    Object.assign(update.ExpressionAttributeValues, {
+      ":ownerRole": "owner",
+      ":adminRole": "admin",
+      ":true": true,
+    });
+  }
+
+  return update;
+}
+
+/**
+ * Set a member's role. Fails with ConditionalCheckFailedException if the
+ * membership row has gone away (or no longer has `expectedRole`) in the
+ * meantime.
+ */
+async function setCircleMemberRole(circleId, memberUserId, role, expectedRole = null) {
+  await ddb.send(
+    new UpdateCommand(
+      buildSetRoleUpdate(circleId, memberUserId, role, expectedRole)
+    )
+  );
+}
+
+async function handleUpdateMemberRole(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadRoleChange(event, context, "change member roles");
+  if (loaded.error) return loaded.error;
+
+  const { circleId, payload } = loaded;
+  const memberUserId = event.pathParameters.memberUserId;
+  const role = payload.role;
+
+  if (role !== "admin" && role !== "member") {
+    return makeResponse(400, {
+      message:
+        'Field "role" must be "admin" or "member" (use transfer-ownership for owners)',
+    });
+  }
+
+  if (memberUserId === userId) {
+    return makeResponse(400, {
+      message: "You can't change your own role; transfer ownership instead",
+      circleId,
+    });
+  }
+
+  const target = await getCircleMembership(memberUserId, circleId);
+  if (!target) {
+    return makeResponse(404, {
+      message: "That user is not a member of this circle",
+      circleId,
+      memberUserId,
+    });
+  }
+
+  const currentRole = getCircleRole(target);
+  if (currentRole === "owner") {
+    return makeResponse(409, {
+      message: "That user is an owner; owners can only step down by transferring ownership",
+      circleId,
+      memberUserId,
+    });
+  }
+
+  // Only while the role is still the one just read: an ownership transfer
+  // to this member in between must not be undone by a demotion
+  try {
+    await setCircleMemberRole(circleId, memberUserId, role, currentRole);
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+
+    if (!(await getCircleMembership(memberUserId, circleId))) {
+      return makeResponse(404, {
+        message: "That user is not a member of this circle",
+        circleId,
+        memberUserId,
+      });
+    }
+    return makeResponse(409, {
+      message: "That member's role changed in the meantime; reload and try again",
+      code: "ROLE_CHANGED",
+      circleId,
+      memberUserId,
+    });
+  }
+
+  console.log("Member role changed:", {
+    circleId,
+    memberUserId,
+    role,
+    changedByUserId: userId,
+  });
+
+  return makeResponse(200, {
+    message: role === "admin" ? "Member promoted to admin" : "Admin demoted to member",
+    circleId,
+    memberUserId,
+    role,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+async function handleTransferOwnership(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadRoleChange(event, context, "transfer ownership");
+  if (loaded.error) return loaded.error;
+
+  const { circleId, payload } = loaded;
+  const newOwnerUserId = payload.userId && String(payload.userId);
+
+  if (!newOwnerUserId) {
+    return makeResponse(400, { message: 'Field "userId" is required' });
+  }
+
+  if (newOwnerUserId === userId) {
+    return makeResponse(400, {
+      message: "You already own this circle",
+      circleId,
+    });
+  }
+
+  const target = await getCircleMembership(newOwnerUserId, circleId);
+  if (!target) {
+    return makeResponse(404, {
+      message: "That user is not a member of this circle",
+      circleId,
+      memberUserId: newOwnerUserId,
+    });
+  }
+
+  // Promote first, then step down: a failure in between leaves two owners,
+  // never none.
+  try {
+    await setCircleMemberRole(circleId, newOwnerUserId, "owner");
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") {
+      return makeResponse(404, {
+        message: "That user is not a member of this circle",
+        circleId,
+        memberUserId: newOwnerUserId,
+      });
+    }
+    throw err;
+  }
+
+  // Step down only while the new owner still is one (they could have left
+  // in between)
+  const stepDown = await transactWrite([
+    { Update: buildSetRoleUpdate(circleId, userId, "admin") },
+    buildOwnerConditionCheck(circleId, newOwnerUserId),
+  ]);
+  if (!stepDown.ok) {
+    console.warn("Ownership transfer: kept owner role", {
+      circleId,
+      userId,
+      newOwnerUserId,
+    });
+    return makeResponse(409, {
+      message:
+        "The new owner left or changed role before you stepped down. You are still an owner.",
+      code: "OWNERSHIP_TRANSFER_INCOMPLETE",
+      circleId,
+      ownerUserId: newOwnerUserId,
+    });
+  }
+
+  console.log("Circle ownership transferred:", {
+    circleId,
+    fromUserId: userId,
+    toUserId: newOwnerUserId,
+  });
+
+  return makeResponse(200, {
+    message: "Ownership transferred",
+    circleId,
+    ownerUserId: newOwnerUserId,
+    role: "admin",
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Bedrock: generate conversation prompts
+// POST /api/prompts
+// -------------------------
+async function handleGeneratePrompts(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, { message: "Unauthorized: no userId in token" });
+  }
+
+  let payload = {};
+  if (event.body) {
+    try {
+      payload = JSON.parse(event.body);
+    } catch (e) {
+      console.warn("Invalid JSON body for /api/prompts, using defaults");
+    }
+  }
+
+  // Allow caller to pass circleId/familyId so we can use tags
+  const circleId = payload.familyId || payload.circleId || null;
+
+  // Enforce that user is in the circle if one is provided
+  if (circleId && !userCircleSet.has(circleId)) {
+    console.warn(
+      "Forbidden POST /api/prompts for circleId:",
+      circleId,
+      "userId:",
+      userId
+    );
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
+
+  // Allow caller to tweak count later; for now default 4, clipped 1–8.
+  const countRaw = Number(payload.count || 4);
+  const count = Math.min(Math.max(countRaw || 4, 1), 8);
+
+  const result = await generateConversationPrompts({ circleId, count, userId });
+  if (result.error) {
+    return result.error;
+  }
+
+  return makeResponse(200, {
+    message: "Prompts generated",
+    prompts: result.prompts,
+    modelId: BEDROCK_MODEL_ID,
+    region: BEDROCK_REGION,
+    circleId: circleId || null,
+    tagsUsed: result.tagDetails.map((t) => t.tagKey),
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+/**
+ * Ask Bedrock for conversation prompts tailored to a circle's name and tags.
+ * Shared by POST /api/prompts and the question-of-the-day scheduler.
+ * Returns either { error } (a ready response) or { prompts, tagDetails }.
+ */
+async function generateConversationPrompts({ circleId, count, userId }) {
+  // -------------------------
+  // Build tag-aware instructions
+  // -------------------------
+
+  let tagDetails = [];
+  let circleNameForContext = null;
+
+  if (circleId) {
+    try {
+      const res = await getCircleAndTagContext(circleId);
+      tagDetails = res.tagDetails || [];
+      circleNameForContext =
+        (res.circle && res.circle.name) || circleId || null;
+    } catch (e) {
+      console.error("Error getting circle tag context:", e);
+    }
+  }
+
+  const supportTags = tagDetails
+    .filter((t) => t.category === "support")
+    .map((t) => t.displayLabel);
+
+  const nonSupportLabels = tagDetails
+    .filter((t) => t.category !== "support")
+    .map((t) => t.displayLabel);
+
+  let tagContextLines = [];
+
+  if (circleNameForContext) {
+    tagContextLines.push(
+      `The circle is called "${circleNameForContext}".`
+    );
+  }
+
+  if (tagDetails.length > 0) {
+    const allLabels = tagDetails.map((t) => t.displayLabel);
+    tagContextLines.push(
+      `This circle is described with the following tags: ${allLabels.join(
+        ", "
+      )}.`
+    );
+  }
+
+  if (supportTags.length > 0) {
+    tagContextLines.push(
+      "Treat this as a support-oriented context. Be especially gentle and validating. Avoid giving medical or mental-health advice, and avoid anything that could reopen trauma or pressure people to share more than they want."
+    );
+  }
+
+  if (nonSupportLabels.length > 0 && supportTags.length === 0) {
+    tagContextLines.push(
+      "Use these tags to tailor the tone and topics so prompts feel relevant and emotionally safe for this group."
+    );
+  }
+
+  const tagContextInstruction =
+    tagContextLines.length > 0
+      ? tagContextLines.join(" ") + "\n\n"
+      : "";
+
+  const baseInstruction = `
+Generate ${count} short, engaging conversation prompts for this private circle of families or close friends.
+
+Each prompt must:
+- Be 1–2 sentences maximum.
+- Feel warm, curious, natural, easy, inviting.
+- Be suitable for older kids and adults (late PG-13).
+- Favor light preferences, interests, fun memories, everyday moments, simple hypotheticals, trivia-style questions, or gentle check-ins.
+- Favor concrete, everyday, low-stakes questions drawn from daily life, habits, preferences, and simple memories.
+- Avoid cheesy, preachy, clever, emotionally heavy, deeply reflective
+- Avoid time-consuming questions unless explicitly instructed otherwise by tone tags.
+- Avoid questions that would reasonably take more than 30 seconds to think about before responding.
+- Avoid aspirational or idealized questions (such as dream vacations, bucket lists, or future goals).
+- Avoid sensitive topics (politics, explicit content, traumatic events) unless the tags clearly indicate a political or support context; in those cases, keep prompts gentle, respectful, and always optional.
+- avoid anything that feels like journaling, self-analysis, or emotional processing
+
+Style reference:
+- Prompts should resemble classic "get to know you" question lists that circulated via email or early social media—simple, friendly, everyday questions that people can answer instantly without overthinking.
+
+Tone guidance:
+- Default to lighthearted, low-effort prompts that can be answered quickly.
+- Only generate deep or emotionally reflective prompts if the "deep_thought" tone tag is explicitly present.
+- When in doubt, choose simplicity and ease over depth.
+
+Return ONLY a JSON array of strings.
+For example:
+["Prompt one...", "Prompt two...", "..."]
+
+Do not include any extra text before or after the JSON.
+`.trim();
+
+  const userInstruction = `${tagContextInstruction}${baseInstruction}`;
+
+  const nativeRequest = {
+    anthropic_version: "bedrock-2023-05-31",
+    max_tokens: 512,
+    temperature: 0.7,
+    top_p: 0.9,
+    messages: [
+      {
+        role: "user",
+        content: [
+          {
+            type: "text",
+            text: userInstruction,
+          },
+        ],
+      },
+    ],
+  };
+
+  console.log(
+    "Invoking Bedrock model:",
+    BEDROCK_MODEL_ID,
+    "in region:",
+    BEDROCK_REGION,
+    "for userId:",
+    userId,
+    "circleId:",
+    circleId,
+    "tagCount:",
+    tagDetails.length
+  );
+
+  try {
+    const command = new InvokeModelCommand({
+      modelId: BEDROCK_MODEL_ID,
+      contentType: "application/json",
+      accept: "application/json",
+      body: JSON.stringify(nativeRequest),
+    });
+
+    const response = await bedrockClient.send(command);
+
+    // In the JS v3 client, body is typically a Uint8Array
+    const raw =
+      response.body instanceof Uint8Array
+        ? Buffer.from(response.body).toString("utf8")
+        : String(response.body);
+
+    let modelResult;
+    try {
+      modelResult = JSON.parse(raw);
+    } catch (e) {
+      console.error("Failed to parse Bedrock JSON response:", e, raw);
+      return {
+        error: makeResponse(502, {
+          message: "Failed to parse Bedrock response",
+          raw,
+        }),
+      };
+    }
+
+    const textBlock =
+      modelResult &&
+      modelResult.content &&
+      modelResult.content[0] &&
+      modelResult.content[0].text
+        ? String(modelResult.content[0].text).trim()
+        : "";
+
+    if (!textBlock) {
+      console.warn("Empty text content from Bedrock:", modelResult);
+      return {
+        error: makeResponse(502, {
+          message: "Empty response from Bedrock",
+        }),
+      };
+    }
+
+    let prompts = [];
+    try {
+      const parsed = JSON.parse(textBlock);
+      if (Array.isArray(parsed)) {
+        prompts = parsed
+          .map((p) => (typeof p === "string" ? p.trim() : ""))
+          .filter(Boolean);
+      }
+    } catch (e) {
+      // Fallback: split on newlines if model ignored JSON instruction.
+      console.warn(
+        "Bedrock did not return clean JSON array, falling back to line split"
+      );
+      prompts = textBlock
+        .split("\n")
+        .map((line) => line.replace(/^[-*]\s*/, "").trim())
+        .filter(Boolean);
+    }
+
+    // If somehow still empty, bail
+    if (!prompts || prompts.length === 0) {
+      return {
+        error: makeResponse(502, {
+          message: "No prompts generated",
+        }),
+      };
+    }
+
+    // Truncate to requested count in case the model overshoots
+    if (prompts.length > count) {
+      prompts = prompts.slice(0, count);
+    }
+
+    return { prompts, tagDetails };
+  } catch (err) {
+    console.error("Error invoking Bedrock:", {
+      name: err.name,
+      message: err.message,
+      stack: err.stack,
+      metadata: err.$metadata,
+    });
+
+    return {
+      error: makeResponse(502, {
+        message: "Error invoking Bedrock",
+        error: err.message || String(err),
+        code: err.name || undefined,
+      }),
+    };
+  }
+}
+
+// -------------------------
+// Circle: create
+// POST /api/circles with { action: "createCircle", ... }
+// -------------------------
+async function handleCreateCircle(payload, context) {
+  const { userId, jwtAuthor, jwtClaims } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const now = new Date();
+  const nowIso = now.toISOString();
+
+  const rawName = payload.name ?? payload.circleName;
+  const name = rawName && String(rawName).trim();
+
+  if (!name) {
+    return makeResponse(400, {
+      message: 'Field "name" (or "circleName") is required',
+    });
+  }
+
+  const description =
+    payload.description && String(payload.description).trim()
+      ? String(payload.description).trim()
+      : "";
+
+  // Tags: expect an array of tag keys, filter to strings
+  let tags = [];
+  if (Array.isArray(payload.tags)) {
+    tags = payload.tags
+      .map((t) => String(t).trim())
+      .filter((t) => t.length > 0);
+  }
+
+  // Optionally, validate tags against tag config (best-effort; non-fatal)
+  if (tags.length > 0) {
+    try {
+      const validTagDetails = await getTagDetails(tags);
+      const validKeys = new Set(validTagDetails.map((t) => t.tagKey));
+      tags = tags.filter((t) => validKeys.has(t));
+    } catch (e) {
+      console.warn(
+        "Error validating tags while creating circle; proceeding with raw tags",
+        e
+      );
+    }
+  }
+
+  // Generate a circleId (random UUID-based)
+  const circleId = `circle_${randomUUID()}`;
+
+  const circleItem = {
+    circleId,
+    name,
+    description,
+    tags,
+    createdAt: nowIso,
+    createdByUserId: userId,
+  };
+
+  console.log("Creating circle:", circleItem);
+
+  // Create creator membership with rich role info
+  const membershipItem = {
+    userId,
+    circleId,
+    role: "owner", // primary role
+    joinedAt: nowIso,
+    // additional flags so we can evolve roles later
+    isCreator: true,
+    isOwner: true,
+    isAdmin: true,
+    isMember: true,
+    displayName: jwtAuthor || userId, 
+  };
+
+  console.log("Creating creator membership:", membershipItem);
+
+  // One transaction so a circle never exists without its owner
+  // (and fail if circleId somehow exists)
+  const result = await transactWrite([
+    {
+      Put: {
+        TableName: CIRCLES_TABLE_NAME,
+        Item: circleItem,
+        ConditionExpression: "attribute_not_exists(circleId)",
+      },
+    },
+    {
+      Put: {
+        TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
+        Item: membershipItem,
+        ConditionExpression: "attribute_not_exists(userId)",
+      },
+    },
+  ]);
+
+  if (!result.ok) {
+    return makeResponse(409, {
+      message: "Could not create the circle, please try again",
+      code: "CIRCLE_CREATE_CONFLICT",
+    });
+  }
+
+  return makeResponse(201, {
+    message: "Circle created",
+    circle: circleItem,
+    membership: membershipItem,
+    user: {
+      userId,
+      author: jwtAuthor,
+      claims: jwtClaims || undefined,
+    },
+  });
+}
+
+// -------------------------
+// Circle: update name / description / tags
+// PATCH /api/circles/{circleId}
+// -------------------------
+const CIRCLE_NAME_MAX_LENGTH = 80;
+
+async function handleUpdateCircle(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const circleId =
+    event.pathParameters && event.pathParameters.circleId
+      ? event.pathParameters.circleId
+      : null;
+
+  if (!circleId) {
+    return makeResponse(400, { message: "Missing circleId in path" });
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
+
+  const membership = await getCircleMembership(userId, circleId);
+  if (!hasCirclePermission(membership, "editCircle")) {
+    console.warn("Forbidden circle update: not owner/admin", {
+      circleId,
+      userId,
+    });
+    return makeResponse(403, {
+      message: "Forbidden: only a circle owner/admin can edit this circle",
+      circleId,
+    });
+  }
+
+  const circleWriteBlock = await getCircleWriteBlock(circleId);
+  if (circleWriteBlock) {
+    return circleWriteBlock;
+  }
+
+  let payload;
+  try {
+    payload = event.body ? JSON.parse(event.body) : {};
+  } catch (e) {
+    return makeResponse(400, { message: "Invalid JSON body" });
+  }
+
+  // Only fields present in the body are changed
+  const setParts = [];
+  const names = {};
+  const values = {};
+
+  if (payload.name !== undefined) {
+    const name = String(payload.name || "").trim();
+    if (!name) {
+      return makeResponse(400, { message: 'Field "name" cannot be empty' });
+    }
+    if (name.length > CIRCLE_NAME_MAX_LENGTH) {
+      return makeResponse(400, {
+        message: `Field "name" must be at most ${CIRCLE_NAME_MAX_LENGTH} characters`,
+      });
+    }
+    setParts.push("#name = :name");
+    names["#name"] = "name";
+    values[":name"] = name;
+  }
+
+  if (payload.description !== undefined) {
+    setParts.push("description = :description");
+    values[":description"] = String(payload.description || "").trim();
+  }
+
+  if (payload.tags !== undefined) {
+    if (!Array.isArray(payload.tags)) {
+      return makeResponse(400, { message: 'Field "tags" must be an array' });
+    }
+
+    const tags = Array.from(
+      new Set(payload.tags.map((t) => String(t).trim()).filter(Boolean))
+    );
+
+    // Unlike create, an explicit edit rejects unknown tags instead of
+    // silently dropping them.
+    let tagDetails = await getTagDetails(tags);
+    if (tagDetails.length < tags.length) {
+      // The tag config may be newer than this container's cache
+      cachedTagConfig = null;
+      tagDetails = await getTagDetails(tags);
+    }
+
+    const validKeys = new Set(tagDetails.map((t) => t.tagKey));
+    const unknownTags = tags.filter((t) => !validKeys.has(t));
+    if (unknownTags.length > 0) {
+      return makeResponse(400, {
+        message: "Unknown or inactive tags",
+        unknownTags,
+      });
+    }
+
+    setParts.push("tags = :tags");
+    values[":tags"] = tags;
+  }
+
+  if (payload.inviteEmailPolicy !== undefined) {
+    if (!INVITE_EMAIL_POLICIES.includes(payload.inviteEmailPolicy)) {
+      return makeResponse(400, {
+        message: `Field "inviteEmailPolicy" must be one of: ${INVITE_EMAIL_POLICIES.join(", ")}`,
+      });
+    }
+    setParts.push("inviteEmailPolicy = :inviteEmailPolicy");
+    values[":inviteEmailPolicy"] = payload.inviteEmailPolicy;
+  }
+
+  if (setParts.length === 0) {
+    return makeResponse(400, {
+      message:
+        'Nothing to update: send "name", "description", "tags" and/or "inviteEmailPolicy"',
+    });
+  }
+
+  setParts.push("updatedAt = :updatedAt", "updatedByUserId = :updatedBy");
+  values[":updatedAt"] = new Date().toISOString();
+  values[":updatedBy"] = userId;
+
+  let updated;
+  try {
+    const res = await ddb.send(
+      new UpdateCommand({
+        TableName: CIRCLES_TABLE_NAME,
+        Key: { circleId },
+        UpdateExpression: "SET " + setParts.join(", "),
+        ConditionExpression: "attribute_exists(circleId)",
+        ExpressionAttributeNames:
+          Object.keys(names).length > 0 ? names : undefined,
+        ExpressionAttributeValues: values,
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    updated = res.Attributes;
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") {
+      return makeResponse(404, { message: "Circle not found", circleId });
+    }
+    throw err;
+  }
+
+  console.log("Circle updated:", {
+    circleId,
+    userId,
+    fields: Object.keys(values),
+  });
+
+  return makeResponse(200, {
+    message: "Circle updated",
+    circle: {
+      circleId,
+      name: updated.name || circleId,
+      description: updated.description || "",
+      tags: Array.isArray(updated.tags) ? updated.tags : [],
+      inviteEmailPolicy: getInviteEmailPolicy(updated),
+      updatedAt: updated.updatedAt,
+    },
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Circle: archive / delete (owner only)
+// POST   /api/circles/{circleId}/archive   -> archive (read-only, hidden)
+// DELETE /api/circles/{circleId}/archive   -> unarchive
+// DELETE /api/circles/{circleId}           -> delete for good (background)
+// GET    /api/circles/{circleId}/deletion  -> deletion progress
+// -------------------------
+
+/**
+ * Resolve the circle from the path and require the caller to own it.
+ * Returns either { error } (a ready response) or { circleId, circle }.
+ */
+async function loadOwnedCircle(event, context, actionLabel) {
+  const { userId, userCircleSet } = context;
+
+  if (!userId) {
+    return {
+      error: makeResponse(401, {
+        message: "Unauthorized: no userId in token",
+      }),
+    };
+  }
+
+  const circleId =
+    event.pathParameters && event.pathParameters.circleId
+      ? event.pathParameters.circleId
+      : null;
+
+  if (!circleId) {
+    return {
+      error: makeResponse(400, { message: "Missing circleId in path" }),
+    };
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    return {
+      error: makeResponse(403, {
+        message: "Forbidden: user is not a member of this circle",
+        circleId,
+      }),
+    };
+  }
+
+  const membership = await getCircleMembership(userId, circleId);
+  if (!hasCirclePermission(membership, "manageCircle")) {
+    console.warn(`Forbidden ${actionLabel}: not owner`, { circleId, userId });
+    return {
+      error: makeResponse(403, {
+        message: `Forbidden: only a circle owner can ${actionLabel} this circle`,
+        circleId,
+      }),
+    };
+  }
+
+  const circle = await getCircle(circleId);
+  if (!circle) {
+    return {
+      error: makeResponse(404, { message: "Circle not found", circleId }),
+    };
+  }
+
+  return { circleId, circle };
+}
+
+async function handleArchiveCircle(event, context) {
+  const { userId, jwtAuthor } = context;
+  const archive = event.httpMethod === "POST";
+
+  const loaded = await loadOwnedCircle(
+    event,
+    context,
+    archive ? "archive" : "unarchive"
+  );
+  if (loaded.error) return loaded.error;
+
+  const { circleId } = loaded;
+  const nowIso = new Date().toISOString();
+
+  try {
+    if (archive) {
+      await ddb.send(
+        new UpdateCommand({
+          TableName: CIRCLES_TABLE_NAME,
+          Key: { circleId },
+          UpdateExpression:
+            "SET #status = :archived, archivedAt = :now, archivedByUserId = :u",
+          ConditionExpression: "attribute_not_exists(#status)",
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: {
+            ":archived": CIRCLE_STATUS_ARCHIVED,
+            ":now": nowIso,
+            ":u": userId,
+          },
+        })
+      );
+    } else {
+      await ddb.send(
+        new UpdateCommand({
+          TableName: CIRCLES_TABLE_NAME,
+          Key: { circleId },
+          UpdateExpression: "REMOVE #status, archivedAt, archivedByUserId",
+          ConditionExpression: "#status = :archived",
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: { ":archived": CIRCLE_STATUS_ARCHIVED },
+        })
+      );
+    }
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") {
+      return makeResponse(409, {
+        message: archive
+          ? "Circle is already archived or being deleted"
+          : "Circle is not archived",
+        circleId,
+        status: loaded.circle.status || null,
+      });
+    }
+    throw err;
+  }
+
+  console.log(archive ? "Circle archived:" : "Circle unarchived:", {
+    circleId,
+    userId,
+  });
+
+  return makeResponse(200, {
+    message: archive ? "Circle archived" : "Circle unarchived",
+    circleId,
+    archived: archive,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+async function handleDeleteCircle(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadOwnedCircle(event, context, "delete");
+  if (loaded.error) return loaded.error;
+
+  const { circleId, circle } = loaded;
+
+  if (!CIRCLE_CLEANUP_QUEUE_URL) {
+    console.error("CIRCLE_CLEANUP_QUEUE_URL is not configured; cannot delete");
+    return makeResponse(503, {
+      message: "Circle deletion is not available right now",
+    });
+  }
+
+  const deletion = {
+    requestedAt: new Date().toISOString(),
+    requestedByUserId: userId,
+    phase: "QUEUED",
+    counts: {
+      messages: 0,
+      media: 0,
+      invitations: 0,
+      joinRequests: 0,
+      celebrations: 0,
+      memberships: 0,
+    },
+    completedAt: null,
+  };
+
+  try {
+    await ddb.send(
+      new UpdateCommand({
+        TableName: CIRCLES_TABLE_NAME,
+        Key: { circleId },
+        UpdateExpression: "SET #status = :deleting, deletion = :d",
+        // Active or archived circles can be deleted, but only once
+        ConditionExpression:
+          "attribute_not_exists(#status) OR #status = :archived",
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":deleting": CIRCLE_STATUS_DELETING,
+          ":archived": CIRCLE_STATUS_ARCHIVED,
+          ":d": deletion,
+        },
+      })
+    );
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") {
+      return makeResponse(409, {
+        message: "Circle is already being deleted",
+        circleId,
+        deletion: circle.deletion || null,
+      });
+    }
+    throw err;
+  }
+
+  // The item is now DELETING (hidden + read-only); the worker does the rest
+  await sqsClient.send(
+    new SendMessageCommand({
+      QueueUrl: CIRCLE_CLEANUP_QUEUE_URL,
+      MessageBody: JSON.stringify({ circleId }),
+    })
+  );
+
+  console.log("Circle deletion queued:", { circleId, userId });
+
+  return makeResponse(202, {
+    message: "Circle deletion started",
+    circleId,
+    deletion,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+async function handleGetCircleDeletion(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const circleId =
+    event.pathParameters && event.pathParameters.circleId
+      ? event.pathParameters.circleId
+      : null;
+
+  if (!circleId) {
+    return makeResponse(400, { message: "Missing circleId in path" });
+  }
+
+  const circle = await getCircle(circleId);
+  const deletion = circle && circle.deletion;
+
+  // Memberships are removed during cleanup, so the requester keeps access
+  const isRequester = !!deletion && deletion.requestedByUserId === userId;
+  if (!userCircleSet.has(circleId) && !isRequester) {
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
+
+  if (!deletion) {
+    return makeResponse(404, {
+      message: "This circle is not being deleted",
+      circleId,
+    });
+  }
+
+  return makeResponse(200, {
+    circleId,
+    status: circle.status,
+    deletion,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Circle: question-of-the-day schedule
+// PUT /api/circles/{circleId}/schedule
+// -------------------------
+async function handleUpdateQuestionSchedule(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const circleId =
+    event.pathParameters && event.pathParameters.circleId
+      ? event.pathParameters.circleId
+      : null;
+
+  if (!circleId) {
+    return makeResponse(400, { message: "Missing circleId in path" });
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
+
+  const membership = await getCircleMembership(userId, circleId);
+  if (!hasCirclePermission(membership, "editCircle")) {
+    return makeResponse(403, {
+      message: "Forbidden: only a circle owner/admin can change the schedule",
+      circleId,
+    });
+  }
+
+  let payload;
+  try {
+    payload = event.body ? JSON.parse(event.body) : {};
+  } catch (e) {
+    return makeResponse(400, { message: "Invalid JSON body" });
+  }
+
+  const parsed = parseQuestionSchedule(payload);
+  if (parsed.error) {
+    return makeResponse(400, { message: parsed.error });
+  }
+
+  const circleRes = await ddb.send(
+    new GetCommand({
+      TableName: CIRCLES_TABLE_NAME,
+      Key: { circleId },
+    })
+  );
+
+  if (!circleRes.Item) {
+    return makeResponse(404, { message: "Circle not found", circleId });
+  }
+
+  const circleWriteBlock = getCircleWriteBlockFor(circleRes.Item);
+  if (circleWriteBlock) {
+    return circleWriteBlock;
+  }
+
+  const previous = circleRes.Item.schedule || {};
+  const schedule = {
+    ...parsed.schedule,
+    nextRunAt: parsed.schedule.enabled
+      ? computeNextScheduledRunAt(parsed.schedule)
+      : null,
+    lastRunAt: previous.lastRunAt || null,
+    updatedAt: new Date().toISOString(),
+    updatedByUserId: userId,
+  };
+
+  await ddb.send(
+    new UpdateCommand({
+      TableName: CIRCLES_TABLE_NAME,
+      Key: { circleId },
+      UpdateExpression: "SET #schedule = :s",
+      ConditionExpression: "attribute_exists(circleId)",
+      ExpressionAttributeNames: { "#schedule": "schedule" },
+      ExpressionAttributeValues: { ":s": schedule },
+    })
+  );
+
+  console.log("Question schedule updated:", { circleId, schedule });
+
+  return makeResponse(200, {
+    message: "Schedule updated",
+    circleId,
+    schedule,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Circle: asker rotation
+// PUT  /api/circles/{circleId}/rotation       (owner/admin)
+// POST /api/circles/{circleId}/rotation/skip  (owner/admin or current asker)
+// -------------------------
+async function loadCircleForRotation(event, context) {
+  const { userId, userCircleSet } = context;
+
+  if (!userId) {
+    return {
+      error: makeResponse(401, {
+        message: "Unauthorized: no userId in token",
+      }),
+    };
+  }
+
+  const circleId =
+    event.pathParameters && event.pathParameters.circleId
+      ? event.pathParameters.circleId
+      : null;
+
+  if (!circleId) {
+    return {
+      error: makeResponse(400, { message: "Missing circleId in path" }),
+    };
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    return {
+      error: makeResponse(403, {
+        message: "Forbidden: user is not a member of this circle",
+        circleId,
+      }),
+    };
+  }
+
+  const circleRes = await ddb.send(
+    new GetCommand({
+      TableName: CIRCLES_TABLE_NAME,
+      Key: { circleId },
+    })
+  );
+
+  if (!circleRes.Item) {
+    return {
+      error: makeResponse(404, { message: "Circle not found", circleId }),
+    };
+  }
+
+  const circleWriteBlock = getCircleWriteBlockFor(circleRes.Item);
+  if (circleWriteBlock) {
+    return { error: circleWriteBlock };
+  }
+
+  const membership = await getCircleMembership(userId, circleId);
+
+  return {
+    circleId,
+    circle: circleRes.Item,
+    membership,
+  };
+}
+
+async function handleUpdateRotation(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadCircleForRotation(event, context);
+  if (loaded.error) return loaded.error;
+
+  const { circleId, circle, membership } = loaded;
+  if (!hasCirclePermission(membership, "editCircle")) {
+    return makeResponse(403, {
+      message: "Forbidden: only a circle owner/admin can change the rotation",
+      circleId,
+    });
+  }
+
+  let payload;
+  try {
+    payload = event.body ? JSON.parse(event.body) : {};
+  } catch (e) {
+    return makeResponse(400, { message: "Invalid JSON body" });
+  }
+
+  const previous = circle.rotation || {};
+  const enabled = payload.enabled !== false;
+
+  const turnLengthDays =
+    payload.turnLengthDays !== undefined
+      ? Number(payload.turnLengthDays)
+      : previous.turnLengthDays || DEFAULT_ROTATION_TURN_DAYS;
+  if (!Number.isInteger(turnLengthDays) || turnLengthDays < 1 || turnLengthDays > 31) {
+    return makeResponse(400, {
+      message: "turnLengthDays must be a whole number from 1 to 31",
+    });
+  }
+
+  const memberships = await listCircleMemberships(circleId);
+  const memberIds = new Set(memberships.map((m) => m.userId));
+
+  // Optional explicit order; anyone missing is appended by syncRotationQueue
+  let requestedQueue = previous.queue;
+  if (payload.queue !== undefined) {
+    if (
+      !Array.isArray(payload.queue) ||
+      new Set(payload.queue).size !== payload.queue.length ||
+      !payload.queue.every((u) => memberIds.has(u))
+    ) {
+      return makeResponse(400, {
+        message: "queue must be a list of distinct member userIds",
+      });
+    }
+    requestedQueue = payload.queue;
+  }
+
+  const queue = syncRotationQueue(requestedQueue, memberships);
+  const nowIso = new Date().toISOString();
+
+  let rotation;
+  let turnChanged = false;
+
+  if (!enabled) {
+    rotation = {
+      ...previous,
+      enabled: false,
+      queue,
+      turnLengthDays,
+      nextTurnAt: null,
+    };
+  } else {
+    if (!queue.length) {
+      return makeResponse(400, { message: "Circle has no members to rotate" });
+    }
+
+    // Keep the current turn if rotation was already running
+    const keepTurn =
+      previous.enabled === true && queue.includes(previous.currentUserId);
+    const currentUserId = keepTurn ? previous.currentUserId : queue[0];
+    const turnStartedAt = keepTurn ? previous.turnStartedAt : nowIso;
+    turnChanged = !keepTurn;
+
+    rotation = {
+      enabled: true,
+      queue,
+      turnLengthDays,
+      currentUserId,
+      currentDisplayName: getMemberDisplayName(memberships, currentUserId),
+      turnStartedAt,
+      nextTurnAt: new Date(
+        new Date(turnStartedAt).getTime() + turnLengthDays * DAY_MS
+      ).toISOString(),
+    };
+  }
+
+  rotation.updatedAt = nowIso;
+  rotation.updatedByUserId = userId;
+
+  await ddb.send(
+    new UpdateCommand({
+      TableName: CIRCLES_TABLE_NAME,
+      Key: { circleId },
+      UpdateExpression: "SET #rotation = :r",
+      ConditionExpression: "attribute_exists(circleId)",
+      ExpressionAttributeNames: { "#rotation": "rotation" },
+      ExpressionAttributeValues: { ":r": rotation },
+    })
+  );
+
+  console.log("Rotation updated:", { circleId, rotation });
+
+  if (turnChanged) {
+    await enqueueAskerTurnPushEvent({
+      circleId,
+      circleName: circle.name || circleId,
+      userId: rotation.currentUserId,
+      nextTurnAt: rotation.nextTurnAt,
+    });
+  }
+
+  return makeResponse(200, {
+    message: "Rotation updated",
+    circleId,
+    rotation,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+async function handleSkipRotationTurn(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadCircleForRotation(event, context);
+  if (loaded.error) return loaded.error;
+
+  const { circleId, circle, membership } = loaded;
+  const rotation = circle.rotation;
+
+  if (!rotation || !rotation.enabled) {
+    return makeResponse(409, {
+      message: "Rotation is not enabled for this circle",
+      circleId,
+    });
+  }
+
+  // Skipping someone else's turn is moderation
+  if (
+    !hasCirclePermission(membership, "moderate") &&
+    rotation.currentUserId !== userId
+  ) {
+    return makeResponse(403, {
+      message: "Forbidden: only the current asker or an owner/admin can skip",
+      circleId,
+    });
+  }
+
+  const next = await advanceCircleRotation(circle);
+  if (!next) {
+    return makeResponse(409, {
+      message: "The turn already changed; reload and try again",
+      circleId,
+    });
+  }
+
+  return makeResponse(200, {
+    message: "Turn skipped",
+    circleId,
+    rotation: next,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Messages: edit + delete
+// PATCH  /api/circles/{circleId}/messages/{messageId}
+// DELETE /api/circles/{circleId}/messages/{messageId}
+// -------------------------
+
+/**
+ * Resolve circleId/messageId from the path and check that the caller may
+ * modify the message (its author, or an owner/admin of the circle).
+ * Returns either { error } (a ready response) or { circleId, message }.
+ */
+async function loadModifiableMessage(event, context, actionLabel) {
+  const { userId, userCircleSet } = context;
+
+  if (!userId) {
+    return {
+      error: makeResponse(401, {
+        message: "Unauthorized: no userId in token",
+      }),
+    };
+  }
+
+  const pathParams = event.pathParameters || {};
+  const circleId = pathParams.circleId || null;
+  const messageId = pathParams.messageId || null;
+
+  if (!circleId || !messageId) {
+    return {
+      error: makeResponse(400, {
+        message: "Missing circleId or messageId in path",
+      }),
+    };
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    console.warn(
+      `Forbidden ${actionLabel} for circleId:`,
+      circleId,
+      "userId:",
+      userId
+    );
+    return {
+      error: makeResponse(403, {
+        message: "Forbidden: user is not a member of this circle",
+        circleId,
+      }),
+    };
+  }
+
+  const circleWriteBlock = await getCircleWriteBlock(circleId);
+  if (circleWriteBlock) {
+    return { error: circleWriteBlock };
+  }
+
+  const message = await findCircleMessage(circleId, messageId);
+  if (!message) {
+    return {
+      error: makeResponse(404, { message: "Message not found", messageId }),
+    };
+  }
+
+  const isAuthor = !!message.authorUserId && message.authorUserId === userId;
+  if (!isAuthor) {
+    const membership = await getCircleMembership(userId, circleId);
+    if (!hasCirclePermission(membership, "moderate")) {
+      console.warn(
+        `Forbidden ${actionLabel}: not author/owner/admin`,
+        { circleId, messageId, userId }
+      );
+      return {
+        error: makeResponse(403, {
+          message:
+            "Forbidden: only the author or a circle owner/admin can change this message",
+          messageId,
+        }),
+      };
+    }
+  }
+
+  return { circleId, message };
+}
+
+async function handleUpdateMessage(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadModifiableMessage(event, context, "updateMessage");
+  if (loaded.error) return loaded.error;
+
+  const { circleId, message } = loaded;
+
+  if (message.deleted) {
+    return makeResponse(409, {
+      message: "Message has been deleted and can no longer be edited",
+      messageId: message.messageId,
+    });
+  }
+
+  if (!event.body) {
+    return makeResponse(400, { message: "Request body is required" });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(event.body);
+  } catch (e) {
+    console.error("Invalid JSON body for updateMessage:", e);
+    return makeResponse(400, { message: "Invalid JSON body" });
+  }
+
+  const text = payload.text && String(payload.text).trim();
+  if (!text) {
+    return makeResponse(400, { message: 'Field "text" is required' });
+  }
+
+  if (text === message.text) {
+    return makeResponse(200, {
+      message: "Message unchanged",
+      item: toClientMessage(message, userId),
+    });
+  }
+
+  const nowIso = new Date().toISOString();
+
+  // Keep the version being replaced so edits stay auditable
+  const previousVersion = {
+    text: message.text || "",
+    savedAt: message.editedAt || message.createdAt,
+    replacedAt: nowIso,
+    replacedByUserId: userId,
+  };
+
+  console.log("Editing message:", {
+    circleId,
+    messageId: message.messageId,
+    userId,
+  });
+
+  let updated;
+  try {
+    const res = await ddb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: getMessageKey(message),
+        UpdateExpression:
+          "SET #text = :t, editedAt = :now, editedByUserId = :u, editHistory = list_append(if_not_exists(editHistory, :empty), :prev)",
+        ConditionExpression:
+          "attribute_exists(messageId) AND attribute_not_exists(#deleted)",
+        ExpressionAttributeNames: {
+          "#text": "text",
+          "#deleted": "deleted",
+        },
+        ExpressionAttributeValues: {
+          ":t": text,
+          ":now": nowIso,
+          ":u": userId,
+          ":empty": [],
+          ":prev": [previousVersion],
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    updated = res.Attributes;
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") {
+      return makeResponse(409, {
+        message: "Message was deleted before the edit could be saved",
+        messageId: message.messageId,
+      });
+    }
+    throw err;
+  }
+
+  return makeResponse(200, {
+    message: "Message updated",
+    item: toClientMessage(updated, userId),
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+async function handleDeleteMessage(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadModifiableMessage(event, context, "deleteMessage");
+  if (loaded.error) return loaded.error;
+
+  const { circleId, message } = loaded;
+
+  if (message.deleted) {
+    return makeResponse(200, {
+      message: "Message already deleted",
+      item: toClientMessage(message, userId),
+    });
+  }
+
+  const nowIso = new Date().toISOString();
+
+  console.log("Deleting message (tombstone):", {
+    circleId,
+    messageId: message.messageId,
+    userId,
+  });
+
+  // Tombstone instead of DeleteCommand: the item keeps its messageId,
+  // messageType and questionId so question → answer links stay intact.
+  const res = await ddb.send(
+    new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: getMessageKey(message),
+      UpdateExpression:
+        "SET #deleted = :true, deletedAt = :now, deletedByUserId = :u REMOVE #text, editHistory, attachments, dueKind, dueAt, eventCircleId, eventStartsAt",
+      ConditionExpression: "attribute_exists(messageId)",
+      ExpressionAttributeNames: {
+        "#text": "text",
+        "#deleted": "deleted",
+      },
+      ExpressionAttributeValues: {
+        ":true": true,
+        ":now": nowIso,
+        ":u": userId,
+      },
+      ReturnValues: "ALL_NEW",
+    })
+  );
+
+  await deleteAttachmentObjects(circleId, message.attachments);
+
+  return makeResponse(200, {
+    message: "Message deleted",
+    item: toClientMessage(res.Attributes, userId),
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Messages: reactions
+// POST   /api/circles/{circleId}/messages/{messageId}/reactions  { emoji }
+// DELETE /api/circles/{circleId}/messages/{messageId}/reactions?emoji=...
+// -------------------------
+async function handleMessageReaction(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+  const method = event.httpMethod;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const pathParams = event.pathParameters || {};
+  const circleId = pathParams.circleId || null;
+  const messageId = pathParams.messageId || null;
+
+  if (!circleId || !messageId) {
+    return makeResponse(400, {
+      message: "Missing circleId or messageId in path",
+    });
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    console.warn(
+      "Forbidden reaction for circleId:",
+      circleId,
+      "userId:",
+      userId
+    );
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
+
+  const circleWriteBlock = await getCircleWriteBlock(circleId);
+  if (circleWriteBlock) {
+    return circleWriteBlock;
+  }
+
+  let emoji = null;
+  if (method === "DELETE") {
+    const qs = event.queryStringParameters || {};
+    emoji = qs.emoji ? String(qs.emoji).trim() : null;
+  } else {
+    let payload = {};
+    if (event.body) {
+      try {
+        payload = JSON.parse(event.body);
+      } catch (e) {
+        console.error("Invalid JSON body for reaction:", e);
+        return makeResponse(400, { message: "Invalid JSON body" });
+      }
+    }
+    emoji = payload.emoji ? String(payload.emoji).trim() : null;
+  }
+
+  if (!emoji || !REACTION_EMOJIS.includes(emoji)) {
+    return makeResponse(400, {
+      message: 'Field "emoji" must be one of the supported reactions',
+      allowed: REACTION_EMOJIS,
+    });
+  }
+
+  const message = await findCircleMessage(circleId, messageId);
+  if (!message) {
+    return makeResponse(404, { message: "Message not found", messageId });
+  }
+
+  if (method === "DELETE") {
+    const existing = message.reactions && message.reactions[emoji];
+    if (!existing || !existing.has(userId)) {
+      return makeResponse(200, {
+        message: "Reaction not present",
+        item: toClientMessage(message, userId),
+      });
+    }
+
+    // Removing the last userId from a set drops the attribute entirely
+    const res = await ddb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: getMessageKey(message),
+        UpdateExpression: "DELETE reactions.#e :u",
+        ExpressionAttributeNames: { "#e": emoji },
+        ExpressionAttributeValues: { ":u": new Set([userId]) },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+
+    return makeResponse(200, {
+      message: "Reaction removed",
+      item: toClientMessage(res.Attributes, userId),
+    });
+  }
+
+  if (message.deleted) {
+    return makeResponse(409, {
+      message: "Cannot react to a deleted message",
+      messageId,
+    });
+  }
+
+  // ADD on a nested path requires the parent map to exist first
+  if (!message.reactions) {
+    await ddb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: getMessageKey(message),
+        UpdateExpression: "SET reactions = if_not_exists(reactions, :empty)",
+        ExpressionAttributeValues: { ":empty": {} },
+      })
+    );
+  }
+
+  // String-set ADD is idempotent: one reaction per emoji per user
+  const res = await ddb.send(
+    new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: getMessageKey(message),
+      UpdateExpression: "ADD reactions.#e :u",
+      ExpressionAttributeNames: { "#e": emoji },
+      ExpressionAttributeValues: { ":u": new Set([userId]) },
+      ReturnValues: "ALL_NEW",
+    })
+  );
+
+  console.log("Reaction added:", { circleId, messageId, emoji, userId });
+
+  return makeResponse(200, {
+    message: "Reaction added",
+    item: toClientMessage(res.Attributes, userId),
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Polls: vote + close
+// POST /api/circles/{circleId}/messages/{messageId}/votes  { optionIds }
+// POST /api/circles/{circleId}/messages/{messageId}/close
+// -------------------------
+async function handlePollVote(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const pathParams = event.pathParameters || {};
+  const circleId = pathParams.circleId || null;
+  const messageId = pathParams.messageId || null;
+
+  if (!circleId || !messageId) {
+    return makeResponse(400, {
+      message: "Missing circleId or messageId in path",
+    });
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    console.warn("Forbidden poll vote for circleId:", circleId, "userId:", userId);
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
+
+  const circleWriteBlock = await getCircleWriteBlock(circleId);
+  if (circleWriteBlock) {
+    return circleWriteBlock;
+  }
+
+  let payload = {};
+  if (event.body) {
+    try {
+      payload = JSON.parse(event.body);
+    } catch (e) {
+      console.error("Invalid JSON body for poll vote:", e);
+      return makeResponse(400, { message: "Invalid JSON body" });
+    }
+  }
+
+  if (!Array.isArray(payload.optionIds)) {
+    return makeResponse(400, {
+      message: 'Field "optionIds" must be an array (empty to withdraw your vote)',
+    });
+  }
+
+  const message = await findCircleMessage(circleId, messageId);
+  if (!message) {
+    return makeResponse(404, { message: "Message not found", messageId });
+  }
+
+  if (message.messageType !== "poll" || !message.poll) {
+    return makeResponse(400, {
+      code: "NOT_A_POLL",
+      message: "This message is not a poll",
+      messageId,
+    });
+  }
+
+  if (message.deleted) {
+    return makeResponse(409, {
+      message: "Cannot vote on a deleted poll",
+      messageId,
+    });
+  }
+
+  const validOptionIds = new Set(message.poll.options.map((o) => o.optionId));
+  const optionIds = Array.from(new Set(payload.optionIds.map(String)));
+
+  const unknown = optionIds.filter((id) => !validOptionIds.has(id));
+  if (unknown.length > 0) {
+    return makeResponse(400, {
+      message: "Unknown poll option",
+      optionIds: unknown,
+    });
+  }
+
+  if (!message.poll.multiSelect && optionIds.length > 1) {
+    return makeResponse(400, {
+      message: "This poll allows only one choice",
+    });
+  }
+
+  const nowIso = new Date().toISOString();
+
+  // The condition re-checks "still open" so a vote can't land after closing
+  let res;
+  try {
+    res = await ddb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: getMessageKey(message),
+        UpdateExpression:
+          optionIds.length > 0 ? "SET pollVotes.#u = :choices" : "REMOVE pollVotes.#u",
+        ConditionExpression:
+          "attribute_exists(pollVotes) AND attribute_not_exists(#poll.closedAt) AND " +
+          "(attribute_not_exists(#poll.closesAt) OR #poll.closesAt > :now) AND " +
+          "attribute_not_exists(#deleted)",
+        ExpressionAttributeNames: {
+          "#u": userId,
+          "#poll": "poll",
+          "#deleted": "deleted",
+        },
+        ExpressionAttributeValues: {
+          ":now": nowIso,
+          ...(optionIds.length > 0 ? { ":choices": optionIds } : {}),
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") {
+      return makeResponse(409, {
+        code: "POLL_CLOSED",
+        message: "This poll is closed",
+        messageId,
+      });
+    }
+    throw err;
+  }
+
+  console.log("Poll vote:", { circleId, messageId, userId, optionIds });
+
+  return makeResponse(200, {
+    message: optionIds.length > 0 ? "Vote saved" : "Vote withdrawn",
+    item: toClientMessage(res.Attributes, userId),
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+async function handleClosePoll(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadModifiableMessage(event, context, "closePoll");
+  if (loaded.error) return loaded.error;
+
+  const { message } = loaded;
+
+  if (message.messageType !== "poll" || !message.poll) {
+    return makeResponse(400, {
+      code: "NOT_A_POLL",
+      message: "This message is not a poll",
+      messageId: message.messageId,
+    });
+  }
+
+  if (message.deleted) {
+    return makeResponse(409, {
+      message: "Cannot close a deleted poll",
+      messageId: message.messageId,
+    });
+  }
+
+  if (message.poll.closedAt) {
+    return makeResponse(200, {
+      message: "Poll already closed",
+      item: toClientMessage(message, userId),
+    });
+  }
+
+  const closed = await closePoll(message, userId);
+  if (!closed) {
+    // Closed (or deleted) concurrently; return what's there now
+    const current = await findCircleMessage(message.familyId, message.messageId);
+    return makeResponse(200, {
+      message: "Poll already closed",
+      item: toClientMessage(current || message, userId),
+    });
+  }
+
+  return makeResponse(200, {
+    message: "Poll closed",
+    item: toClientMessage(closed, userId),
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Events: RSVP
+// POST /api/circles/{circleId}/messages/{messageId}/rsvp  { status, headcount }
+// -------------------------
+async function handleEventRsvp(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const pathParams = event.pathParameters || {};
+  const circleId = pathParams.circleId || null;
+  const messageId = pathParams.messageId || null;
+
+  if (!circleId || !messageId) {
+    return makeResponse(400, {
+      message: "Missing circleId or messageId in path",
+    });
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    console.warn("Forbidden RSVP for circleId:", circleId, "userId:", userId);
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
+
+  const circleWriteBlock = await getCircleWriteBlock(circleId);
+  if (circleWriteBlock) {
+    return circleWriteBlock;
+  }
+
+  let payload = {};
+  if (event.body) {
+    try {
+      payload = JSON.parse(event.body);
+    } catch (e) {
+      console.error("Invalid JSON body for RSVP:", e);
+      return makeResponse(400, { message: "Invalid JSON body" });
+    }
+  }
+
+  const status = String(payload.status || "").trim().toLowerCase();
+  if (!EVENT_RSVP_STATUSES.includes(status)) {
+    return makeResponse(400, {
+      message: `Field "status" must be one of: ${EVENT_RSVP_STATUSES.join(", ")}`,
+    });
+  }
+
+  // How many people the answer covers (e.g. "yes, the 4 of us")
+  const headcount =
+    status === "no"
+      ? 0
+      : payload.headcount === undefined || payload.headcount === null
+        ? 1
+        : Number(payload.headcount);
+  if (
+    status !== "no" &&
+    (!Number.isInteger(headcount) || headcount < 1 || headcount > EVENT_MAX_HEADCOUNT)
+  ) {
+    return makeResponse(400, {
+      message: `Field "headcount" must be a whole number from 1 to ${EVENT_MAX_HEADCOUNT}`,
+    });
+  }
+
+  const message = await findCircleMessage(circleId, messageId);
+  if (!message) {
+    return makeResponse(404, { message: "Message not found", messageId });
+  }
+
+  if (message.messageType !== "event" || !message.event) {
+    return makeResponse(400, {
+      code: "NOT_AN_EVENT",
+      message: "This message is not an event",
+      messageId,
+    });
+  }
+
+  if (message.deleted) {
+    return makeResponse(409, {
+      message: "Cannot RSVP to a deleted event",
+      messageId,
+    });
+  }
+
+  const nowIso = new Date().toISOString();
+
+  let res;
+  try {
+    res = await ddb.send(
+      new UpdateCommand({
+        TableName: TABLE_NAME,
+        Key: getMessageKey(message),
+        UpdateExpression: "SET rsvps.#u = :rsvp",
+        ConditionExpression:
+          "attribute_exists(rsvps) AND #event.startsAt > :now AND attribute_not_exists(#deleted)",
+        ExpressionAttributeNames: {
+          "#u": userId,
+          "#event": "event",
+          "#deleted": "deleted",
+        },
+        ExpressionAttributeValues: {
+          ":now": nowIso,
+          ":rsvp": {
+            status,
+            headcount,
+            name: jwtAuthor || "Unknown",
+            respondedAt: nowIso,
+          },
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") {
+      return makeResponse(409, {
+        code: "EVENT_STARTED",
+        message: "This event has already started",
+        messageId,
+      });
+    }
+    throw err;
+  }
+
+  console.log("Event RSVP:", { circleId, messageId, userId, status, headcount });
+
+  return makeResponse(200, {
+    message: "RSVP saved",
+    item: toClientMessage(res.Attributes, userId),
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Questions: one thread
+// GET /api/circles/{circleId}/questions/{questionId}
+// -------------------------
+async function handleGetQuestionThread(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const pathParams = event.pathParameters || {};
+  const circleId = pathParams.circleId || null;
+  const questionId = pathParams.questionId || null;
+
+  if (!circleId || !questionId) {
+    return makeResponse(400, {
+      message: "Missing circleId or questionId in path",
+    });
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    console.warn(
+      "Forbidden question thread for circleId:",
+      circleId,
+      "userId:",
+      userId
+    );
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
+
+  const circleReadBlock = await getCircleReadBlock(circleId);
+  if (circleReadBlock) {
+    return circleReadBlock;
+  }
+
+  const thread = await loadQuestionThread(circleId, questionId);
+  if (!thread) {
+    return makeResponse(404, { message: "Question not found", questionId });
+  }
+
+  const items = thread.messages.map((it) => toClientMessage(it, userId));
+
+  return makeResponse(200, {
+    message: "OK",
+    circleId,
+    question: toClientMessage(thread.question, userId),
+    count: items.length,
+    items, // answers + replies, oldest first
+    reactionEmojis: REACTION_EMOJIS,
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Search
+// GET /api/circles/{circleId}/search?q=first+car&limit=20
+// -------------------------
+
+const SEARCH_MAX_QUERY_TOKENS = 8;
+const SEARCH_PAGE_SIZE = 500;
+// Index rows read for the driving word before giving up on an exact total
+const SEARCH_MAX_SCANNED_KEYS = 5000;
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+
+/**
+ * One page of messageKeys of the circle's messages containing `token`,
+ * newest first. Returns { keys, lastKey } (lastKey null on the last page).
+ */
+async function querySearchTokenPage(circleId, token, exclusiveStartKey) {
+  const res = await ddb.send(
+    new QueryCommand({
+      TableName: SEARCH_INDEX_TABLE_NAME,
+      KeyConditionExpression: "circleToken = :ct",
+      ExpressionAttributeValues: { ":ct": `${circleId}#${token}` },
+      ProjectionExpression: "messageKey",
+      ScanIndexForward: false,
+      Limit: SEARCH_PAGE_SIZE,
+      ExclusiveStartKey: exclusiveStartKey,
+    })
+  );
+
+  return {
+    keys: (res.Items || []).map((item) => item.messageKey),
+    lastKey: res.LastEvaluatedKey || null,
+  };
+}
+
+/**
+ * The messageKeys that also contain `token` (point lookups on the index).
+ */
+async function filterKeysWithSearchToken(circleId, token, messageKeys) {
+  const circleToken = `${circleId}#${token}`;
+  const rows = await batchGetAll(
+    SEARCH_INDEX_TABLE_NAME,
+    messageKeys.map((messageKey) => ({ circleToken, messageKey }))
+  );
+  const found = new Set(rows.map((row) => row.messageKey));
+  return messageKeys.filter((key) => found.has(key));
+}
+
+/**
+ * messageKeys of messages containing every token (AND), newest first.
+ * Pages through the rarest-looking token and checks each page against the
+ * others, so a common word next to a rare one can't drop older matches.
+ * Returns { keys, truncated }; truncated means the scan stopped at
+ * SEARCH_MAX_SCANNED_KEYS and there may be more (older) matches.
+ */
+async function findSearchMatches(circleId, tokens) {
+  const firstPages = await Promise.all(
+    tokens.map((token) => querySearchTokenPage(circleId, token))
+  );
+
+  // A token that fits in one page is known exactly; among the rest, a
+  // smaller first page only means a rarer word when it was cut short
+  const order = tokens
+    .map((token, i) => i)
+    .sort(
+      (a, b) =>
+        (firstPages[a].lastKey ? 1 : 0) - (firstPages[b].lastKey ? 1 : 0) ||
+        firstPages[a].keys.length - firstPages[b].keys.length
+    );
+  const [driver, ...others] = order;
+
+  // Tokens read in full already can be checked in memory
+  const completeSets = new Map(
+    others
+      .filter((i) => !firstPages[i].lastKey)
+      .map((i) => [i, new Set(firstPages[i].keys)])
+  );
+
+  const matched = [];
+  let page = firstPages[driver];
+  let scanned = 0;
+
+  for (;;) {
+    let keys = page.keys;
+    scanned += keys.length;
+
+    for (const i of others) {
+      if (keys.length === 0) break;
+      keys = completeSets.has(i)
+        ? keys.filter((key) => completeSets.get(i).has(key))
+        : await filterKeysWithSearchToken(circleId, tokens[i], keys);
+    }
+    matched.push(...keys);
+
+    if (!page.lastKey) return { keys: matched, truncated: false };
+    if (scanned >= SEARCH_MAX_SCANNED_KEYS) return { keys: matched, truncated: true };
+
+    page = await querySearchTokenPage(circleId, tokens[driver], page.lastKey);
+  }
+}
+
+/**
+ * BatchGet every key (100 per request, unprocessed keys retried).
+ */
+async function batchGetAll(tableName, keys) {
+  const items = [];
+
+  for (let i = 0; i < keys.length; i += 100) {
+    let requestItems = {
+      [tableName]: { Keys: keys.slice(i, i + 100) },
+    };
+
+    for (let attempt = 0; attempt < 5 && requestItems; attempt++) {
+      if (attempt > 0) {
+        await new Promise((r) => setTimeout(r, 50 * 2 ** attempt));
+      }
+
+      const res = await ddb.send(
+        new BatchGetCommand({ RequestItems: requestItems })
+      );
+      items.push(...((res.Responses && res.Responses[tableName]) || []));
+
+      const unprocessed = res.UnprocessedKeys || {};
+      requestItems =
+        unprocessed[tableName] && unprocessed[tableName].Keys.length
+          ? unprocessed
+          : null;
+    }
+  }
+
+  return items;
+}
+
+async function batchGetMessages(circleId, messageKeys) {
+  return batchGetAll(
+    TABLE_NAME,
+    messageKeys.map((messageKey) => ({ familyId: circleId, messageKey }))
+  );
+}
+
+async function handleSearchCircle(event, context) {
+  const { userId, jwtAuthor, userCircleSet } = context;
+
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
+
+  const circleId = event.pathParameters && event.pathParameters.circleId;
+  if (!circleId) {
+    return makeResponse(400, { message: "Missing circleId in path" });
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    console.warn("Forbidden search for circleId:", circleId, "userId:", userId);
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
+
+  const circleReadBlock = await getCircleReadBlock(circleId);
+  if (circleReadBlock) {
+    return circleReadBlock;
+  }
+
+  const qs = event.queryStringParameters || {};
+  const query = String(qs.q || "").trim();
+  const tokens = tokenizeSearchText(query).slice(0, SEARCH_MAX_QUERY_TOKENS);
+  if (tokens.length === 0) {
+    return makeResponse(400, {
+      message: 'Query "q" needs at least one word to search for',
+    });
+  }
+
+  let limit = SEARCH_DEFAULT_LIMIT;
+  if (qs.limit !== undefined) {
+    limit = parseInt(qs.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > SEARCH_MAX_LIMIT) {
+      return makeResponse(400, {
+        message: `"limit" must be between 1 and ${SEARCH_MAX_LIMIT}`,
+      });
+    }
+  }
+
+  // Every word has to match (AND). messageKey starts with createdAt, so
+  // the keys come back newest first.
+  const { keys: matchedKeys, truncated } = await findSearchMatches(
+    circleId,
+    tokens
+  );
+
+  // The index can briefly lag edits/deletes; re-check against the messages
+  const items = (await batchGetMessages(circleId, matchedKeys.slice(0, limit)))
+    .filter((item) => !item.deleted)
+    .sort((a, b) => b.messageKey.localeCompare(a.messageKey));
+
+  console.log("Circle search:", {
+    circleId,
+    tokens,
+    matches: matchedKeys.length,
+    truncated,
+  });
+
+  return makeResponse(200, {
+    circleId,
+    query,
+    tokens,
+    total: matchedKeys.length,
+    truncated,
+    results: items.map((item) => toClientMessage(item, userId)),
+    user: {
+      userId,
+      author: jwtAuthor,
+    },
+  });
+}
+
+// -------------------------
+// Export: whole circle history
+// GET /api/circles/{circleId}/export?format=json|markdown|html
+// -------------------------
+const EXPORT_FORMATS = {
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  markdown: { contentType: "text/markdown; charset=utf-8", extension: "md" },
+  html: { contentType: "text/html; charset=utf-8", extension: "html" },
+};
+
+// Lambda responses are capped at 6 MB; leave room for headers/encoding
+const EXPORT_MAX_BYTES = 5.5 * 1024 * 1024;
+
+/**
+ * Every message of a circle, oldest first.
+ */
+async function listAllCircleMessages(circleId) {
+  const items = [];
+  let exclusiveStartKey = undefined;
+
+  do {
+    const res = await ddb.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: "familyId = :f",
+        ExpressionAttributeValues: { ":f": circleId },
+        ScanIndexForward: true,
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    items.push(...(res.Items || []));
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return items;
+}
+
+function toExportMessage(item) {
+  const reactions = toClientMessage(item).reactions.map(({ emoji, count }) => ({
+    emoji,
+    count,
+  }));
+
+  return {
+    messageId: item.messageId,
+    author: item.author || "Unknown",
+    text: item.deleted ? null : item.text || "",
+    createdAt: item.createdAt,
+    editedAt: item.editedAt || undefined,
+    deleted: item.deleted === true || undefined,
+    reactions: reactions.length > 0 ? reactions : undefined,
+    poll:
+      item.poll && !item.deleted
+        ? {
+            multiSelect: item.poll.multiSelect,
+            closedAt: item.poll.closedAt || item.poll.closesAt || undefined,
+            options: summarizePoll(item, null).options.map(({ text, votes }) => ({
+              text,
+              votes,
+            })),
+          }
+        : undefined,
+    event:
+      item.event && !item.deleted
+        ? (({ startsAt, endsAt, location, counts, headcount }) => ({
+            startsAt,
+            endsAt,
+            location,
+            rsvps: counts,
+            headcount,
+          }))(summarizeEvent(item, null))
+        : undefined,
+    // Metadata only: media URLs are signed and would expire inside the file
+    attachments:
+      !item.deleted && Array.isArray(item.attachments) && item.attachments.length
+        ? item.attachments.map(({ kind, contentType, fileName }) => ({
+            kind,
+            contentType,
+            fileName,
+          }))
+        : undefined,
+  };
+}
+
+/**
+ * Group a circle's messages into questions → answers → replies, oldest
+ * first. Deleted answers/replies are dropped; a deleted question is kept
+ * (without its text) if anyone answered it. Answers whose question is
+ * gone end up in `otherMessages`.
+ */
+function buildCircleExport(circle, items) {
+  const questions = [];
+  const questionsById = new Map();
+  const answersById = new Map();
+  const otherMessages = [];
+
+  for (const item of items) {
+    if (isThreadRootType(item.messageType)) {
+      const question = { ...toExportMessage(item), answers: [] };
+      questions.push(question);
+      questionsById.set(item.messageId, question);
+    }
+  }
+
+  for (const item of items) {
+    const messageType = item.messageType || "answer";
+    if (isThreadRootType(messageType) || item.deleted) continue;
+
+    if (messageType === "reply") {
+      const answer = answersById.get(item.parentMessageId);
+      if (answer) {
+        answer.replies.push(toExportMessage(item));
+        continue;
+      }
+    } else {
+      const question = questionsById.get(item.questionId);
+      if (question) {
+        const answer = { ...toExportMessage(item), replies: [] };
+        question.answers.push(answer);
+        answersById.set(item.messageId, answer);
+        continue;
+      }
+    }
+
+    otherMessages.push(toExportMessage(item));
+  }
+
+  return {
+    circle: {
+      circleId: circle.circleId,
+      name: circle.name || circle.circleId,
+      description: circle.description || "",
+    },
+    exportedAt: new Date().toISOString(),
+    questions: questions.filter((q) => !q.deleted || q.answers.length > 0),
+    otherMessages,
+  };
+}
+
+function formatExportDate(iso) {
+  if (!iso) return "";
+  return new Date(iso).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+// "October 25, 2026 at Mom's: 4 yes (9 people), 1 maybe, 0 no"
+function formatExportEvent(event) {
+  return (
+    formatExportDate(event.startsAt) +
+    (event.location ? ` at ${event.location}` : "") +
+    `: ${event.rsvps.yes} yes (${event.headcount} people), ${event.rsvps.maybe} maybe, ${event.rsvps.no} no`
+  );
+}
+
+// Indent continuation lines so multi-line messages stay inside their list item
+function indentMarkdown(text, indent) {
+  return String(text || "").split("\n").join(`\n${indent}`);
+}
+
+function renderCircleExportMarkdown(data) {
+  const lines = [`# ${data.circle.name}`, ""];
+  if (data.circle.description) lines.push(data.circle.description, "");
+  lines.push(`_Exported ${formatExportDate(data.exportedAt)}_`, "");
+
+  for (const question of data.questions) {
+    const heading = question.deleted
+      ? "(Question deleted)"
+      : String(question.text || "").replace(/\s*\n\s*/g, " ");
+    lines.push(
+      `## ${heading}`,
+      "",
+      `_Asked by ${question.author} on ${formatExportDate(question.createdAt)}_`,
+      ""
+    );
+
+    if (question.poll) {
+      for (const option of question.poll.options) {
+        lines.push(`- ${option.text}: ${option.votes} vote${option.votes === 1 ? "" : "s"}`);
+      }
+      lines.push("");
+    }
+
+    if (question.event) {
+      lines.push(`${formatExportEvent(question.event)}`, "");
+    }
+
+    if (question.answers.length === 0) {
+      lines.push("_No answers yet._", "");
+      continue;
+    }
+
+    for (const answer of question.answers) {
+      lines.push(
+        `- **${answer.author}** (${formatExportDate(answer.createdAt)}): ${indentMarkdown(answer.text, "  ")}`
+      );
+      for (const reply of answer.replies) {
+        lines.push(
+          `  - **${reply.author}** (${formatExportDate(reply.createdAt)}): ${indentMarkdown(reply.text, "    ")}`
+        );
+      }
+    }
+    lines.push("");
+  }
+
+  if (data.otherMessages.length > 0) {
+    lines.push("## Other messages", "");
+    for (const message of data.otherMessages) {
+      lines.push(
+        `- **${message.author}** (${formatExportDate(message.createdAt)}): ${indentMarkdown(message.text, "  ")}`
+      );
+    }
+    lines.push("");
+  }
+
+  return lines.join("\n");
+}
+
+function escapeHtml(text) {
+  return String(text == null ? "" : text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderExportEntryHtml(message, className) {
+  return `<div class="${className}">
+  <div class="meta"><strong>${escapeHtml(message.author)}</strong> · ${escapeHtml(formatExportDate(message.createdAt))}</div>
+  <div class="text">${escapeHtml(message.text)}</div>
+</div>`;
+}
+
+/**
+ * A self-contained "memory book": one page of HTML with its own styles,
+ * no scripts or external assets, laid out for printing.
+ */
+function renderCircleExportHtml(data) {
+  const sections = data.questions.map((question) => {
+    const answers = question.answers.length
+      ? question.answers
+          .map(
+            (answer) =>
+              renderExportEntryHtml(answer, "answer") +
+              answer.replies.map((r) => renderExportEntryHtml(r, "reply")).join("")
+          )
+          .join("\n")
+      : '<p class="empty">No answers yet.</p>';
+
+    const poll = question.poll
+      ? `<ul class="poll">${question.poll.options
+          .map(
+            (option) =>
+              `<li>${escapeHtml(option.text)}: <strong>${option.votes}</strong> vote${option.votes === 1 ? "" : "s"}</li>`
+          )
+          .join("")}</ul>`
+      : "";
+
+    const eventDetails = question.event
+      ? `<p class="event">${escapeHtml(formatExportEvent(question.event))}</p>`
+      : "";
+
+    return `<section class="question">
+  <h2>${question.deleted ? "<em>Question deleted</em>" : escapeHtml(question.text)}</h2>
+  <div class="meta">Asked by ${escapeHtml(question.author)} · ${escapeHtml(formatExportDate(question.createdAt))}</div>
+  ${poll}${eventDetails}
+  ${answers}
+</section>`;
   });
 
-  const result = await sesClient.send(new SendEmailCommand(params));
-  console.log("SES SendEmail result:", result);
+  if (data.otherMessages.length > 0) {
+    sections.push(`<section class="question">
+  <h2>Other messages</h2>
+  ${data.otherMessages.map((m) => renderExportEntryHtml(m, "answer")).join("\n")}
+</section>`);
+  }
 
-  return {
-    skipped: false,
-    messageId: result.MessageId,
-  };
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(data.circle.name)}</title>
+<style>
+  body { font-family: Georgia, "Times New Roman", serif; max-width: 42rem; margin: 2rem auto; padding: 0 1rem; color: #1f2937; line-height: 1.5; }
+  header { text-align: center; margin-bottom: 3rem; }
+  header h1 { font-size: 2.2rem; margin-bottom: 0.25rem; }
+  .exported { color: #6b7280; font-size: 0.85rem; }
+  .question { margin-bottom: 2.5rem; break-inside: avoid-page; }
+  .question h2 { font-size: 1.3rem; border-bottom: 1px solid #d1d5db; padding-bottom: 0.25rem; }
+  .meta { color: #6b7280; font-size: 0.85rem; }
+  .answer { margin: 1rem 0 0; }
+  .reply { margin: 0.5rem 0 0 1.5rem; padding-left: 0.75rem; border-left: 2px solid #e5e7eb; }
+  .text { white-space: pre-wrap; }
+  .empty { color: #6b7280; font-style: italic; }
+  .poll { margin: 0.75rem 0 0; }
+  .event { margin: 0.75rem 0 0; font-style: italic; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    header { page-break-after: always; margin-top: 30vh; }
+    .answer, .reply { break-inside: avoid; }
+  }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(data.circle.name)}</h1>
+  ${data.circle.description ? `<p>${escapeHtml(data.circle.description)}</p>` : ""}
+  <p class="exported">${data.questions.length} question${data.questions.length === 1 ? "" : "s"} · exported ${escapeHtml(formatExportDate(data.exportedAt))}</p>
+</header>
+${sections.join("\n")}
+</body>
+</html>
+`;
 }
 
-// -------------------------
-// Invitation: create
-// -------------------------
-async function handleCreateInvitation(event, context) {
-  const { userId, jwtAuthor, jwtClaims, userCircleSet } = context;
+async function handleExportCircle(event, context) {
+  const { userId, userCircleSet } = context;
 
   if (!userId) {
     return makeResponse(401, {
@@ -468,382 +7067,608 @@ async function handleCreateInvitation(event, context) {
     });
   }
 
-  const circleId =
-    event.pathParameters && event.pathParameters.circleId
-      ? event.pathParameters.circleId
-      : null;
-
+  const circleId = event.pathParameters && event.pathParameters.circleId;
   if (!circleId) {
     return makeResponse(400, { message: "Missing circleId in path" });
   }
 
-  // Require caller to already be a member of the circle
   if (!userCircleSet.has(circleId)) {
-    console.warn(
-      "Forbidden createInvitation for circleId:",
-      circleId,
-      "userId:",
-      userId
-    );
+    console.warn("Forbidden export for circleId:", circleId, "userId:", userId);
     return makeResponse(403, {
-      message:
-        "Forbidden: user is not a member of this circle (cannot create invites)",
+      message: "Forbidden: user is not a member of this circle",
       circleId,
     });
   }
 
-  if (!event.body) {
-    return makeResponse(400, { message: "Request body is required" });
+  const qs = event.queryStringParameters || {};
+  const format = String(qs.format || "json").toLowerCase();
+  const formatInfo = EXPORT_FORMATS[format];
+  if (!formatInfo) {
+    return makeResponse(400, {
+      message: `"format" must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    });
   }
 
-  let payload;
-  try {
-    payload = JSON.parse(event.body);
-  } catch (e) {
-    console.error("Invalid JSON body for createInvitation:", e);
-    return makeResponse(400, { message: "Invalid JSON body" });
+  const circle = await getCircle(circleId);
+  if (!circle || circle.status === CIRCLE_STATUS_DELETING || circle.status === CIRCLE_STATUS_DELETED) {
+    return makeResponse(404, { message: "Circle not found", circleId });
   }
 
-  const email = payload.email && String(payload.email).trim();
-  if (!email) {
-    return makeResponse(400, { message: 'Field "email" is required' });
-  }
+  const data = buildCircleExport(circle, await listAllCircleMessages(circleId));
 
-  const role = payload.role || "member";
-  const expiresInDays =
-    payload.expiresInDays !== undefined
-      ? Number(payload.expiresInDays)
-      : 7;
+  let body;
+  if (format === "markdown") {
+    body = renderCircleExportMarkdown(data);
+  } else if (format === "html") {
+    body = renderCircleExportHtml(data);
+  } else {
+    body = JSON.stringify(data, null, 2);
+  }
 
-  const now = new Date();
-  const nowIso = now.toISOString();
-  const nowSeconds = Math.floor(now.getTime() / 1000);
-  const ttlSeconds = nowSeconds + expiresInDays * 24 * 3600;
+  if (Buffer.byteLength(body, "utf8") > EXPORT_MAX_BYTES) {
+    return makeResponse(413, {
+      message: "This circle is too large to export in this format",
+      code: "EXPORT_TOO_LARGE",
+      circleId,
+    });
+  }
 
-  const invitationId = randomUUID();
+  const slug =
+    String(data.circle.name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || "circle";
+  const filename = `${slug}-${data.exportedAt.slice(0, 10)}.${formatInfo.extension}`;
 
-  const item = {
-    invitationId,
+  console.log("Circle exported:", {
     circleId,
-    invitedEmail: email,
-    role,
-    createdByUserId: userId,
-    createdAt: nowIso,
-    expiresAt: ttlSeconds,
-    status: "PENDING",
-    maxUses: 1,
-    usesCount: 0,
-  };
+    userId,
+    format,
+    questions: data.questions.length,
+  });
 
-  console.log("Creating invitation item:", item);
+  return makeFileResponse(body, formatInfo.contentType, filename);
+}
 
-  await ddb.send(
-    new PutCommand({
-      TableName: INVITATIONS_TABLE_NAME,
-      Item: item,
-      // Optionally enforce no overwrite:
-      ConditionExpression: "attribute_not_exists(invitationId)",
-    })
-  );
+// -------------------------
+// Celebrations: birthdays + anniversaries
+// GET    /api/circles/{circleId}/celebrations
+// POST   /api/circles/{circleId}/celebrations
+// PATCH  /api/circles/{circleId}/celebrations/{celebrationId}
+// DELETE /api/circles/{circleId}/celebrations/{celebrationId}
+// -------------------------
 
-  const inviteUrl = `${FRONTEND_BASE_URL}/?invite=${encodeURIComponent(
-    invitationId
-  )}`;
+// CircleCelebrations items (PK circleId, SK celebrationId):
+// { kind, name, month, day, year?, showAge, remindDaysBefore, subjectUserId?,
+//   createdByUserId, createdByName, createdAt, updatedAt?,
+//   lastRemindedFor?, lastPostedFor? (YYYY-MM-DD, set by celebration-scheduler.js) }
+// `year` is optional; without it (or with showAge off) nobody sees an age.
+const CELEBRATION_KINDS = ["birthday", "anniversary"];
+const CELEBRATION_NAME_MAX_LENGTH = 60;
+const CELEBRATION_DEFAULT_REMIND_DAYS = 1;
+const CELEBRATION_MAX_REMIND_DAYS = 14;
+const CELEBRATIONS_PER_CIRCLE_MAX = 200;
+const DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+function isLeapYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
 
-  // Optionally look up circle name for nicer email subject/body
-  let circleName = circleId;
-  try {
-    const circleRes = await ddb.send(
-      new GetCommand({
-        TableName: CIRCLES_TABLE_NAME,
-        Key: { circleId },
-      })
-    );
-    if (circleRes.Item && circleRes.Item.name) {
-      circleName = circleRes.Item.name;
+// "YYYY-MM-DD" of `date` as seen in `timeZone`
+function getLocalDateString(timeZone, date = new Date()) {
+  return new Date(date.getTime() + getTimeZoneOffsetMs(timeZone, date))
+    .toISOString()
+    .slice(0, 10);
+}
+
+// Hour of day (0-23) of `date` as seen in `timeZone`
+function getLocalHour(timeZone, date = new Date()) {
+  return new Date(date.getTime() + getTimeZoneOffsetMs(timeZone, date)).getUTCHours();
+}
+
+function addDaysToDateString(dateString, days) {
+  const [year, month, day] = dateString.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * The date ("YYYY-MM-DD") a celebration falls on in `year`.
+ * Feb 29 is celebrated on Feb 28 in other years.
+ */
+function getCelebrationOccurrence(celebration, year) {
+  const day =
+    celebration.month === 2 && celebration.day === 29 && !isLeapYear(year)
+      ? 28
+      : celebration.day;
+  return `${year}-${String(celebration.month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+// Next occurrence on or after `today` ("YYYY-MM-DD")
+function getNextCelebrationDate(celebration, today) {
+  const year = Number(today.slice(0, 4));
+  const thisYear = getCelebrationOccurrence(celebration, year);
+  return thisYear >= today ? thisYear : getCelebrationOccurrence(celebration, year + 1);
+}
+
+/**
+ * Validate a celebration from a request body (merged over the stored item
+ * for PATCH). Returns { celebration } or { error: message }.
+ */
+function parseCelebrationInput(input, now = new Date()) {
+  if (!input || typeof input !== "object") {
+    return { error: "Invalid celebration" };
+  }
+
+  const kind = String(input.kind || "").trim().toLowerCase();
+  if (!CELEBRATION_KINDS.includes(kind)) {
+    return { error: `Field "kind" must be one of: ${CELEBRATION_KINDS.join(", ")}` };
+  }
+
+  const name = String(input.name || "").trim();
+  if (!name || name.length > CELEBRATION_NAME_MAX_LENGTH) {
+    return {
+      error: `Field "name" is required (at most ${CELEBRATION_NAME_MAX_LENGTH} characters)`,
+    };
+  }
+
+  const month = Number(input.month);
+  const day = Number(input.day);
+  if (
+    !Number.isInteger(month) ||
+    month < 1 ||
+    month > 12 ||
+    !Number.isInteger(day) ||
+    day < 1 ||
+    day > DAYS_IN_MONTH[month - 1]
+  ) {
+    return { error: 'Fields "month" and "day" must be a valid calendar date' };
+  }
+
+  const celebration = { kind, name, month, day };
+
+  if (input.year !== undefined && input.year !== null && input.year !== "") {
+    const year = Number(input.year);
+    if (!Number.isInteger(year) || year < 1900 || year > now.getUTCFullYear()) {
+      return { error: 'Field "year" must be a past year (or left out)' };
     }
-  } catch (e) {
-    console.error("Error fetching circle metadata for invitation email:", e);
+    if (month === 2 && day === 29 && !isLeapYear(year)) {
+      return { error: `${year} has no February 29` };
+    }
+    celebration.year = year;
   }
 
-  // Attempt to send email, but don't fail the whole request if SES errors
-  let emailResult = {
-    skipped: true,
-    reason: "Not attempted",
-  };
+  celebration.showAge = celebration.year !== undefined && input.showAge === true;
 
-  try {
-    emailResult = await sendInvitationEmail({
-      toEmail: email,
-      inviteUrl,
-      circleName,
-      inviterName: jwtAuthor || userId || "A circle member",
-    });
-  } catch (e) {
-    console.error("Error sending invitation email via SES:", e);
-    emailResult = {
-      skipped: true,
-      reason: `SES error: ${e.message || String(e)}`,
+  const remindDaysBefore =
+    input.remindDaysBefore === undefined || input.remindDaysBefore === null
+      ? CELEBRATION_DEFAULT_REMIND_DAYS
+      : Number(input.remindDaysBefore);
+  if (
+    !Number.isInteger(remindDaysBefore) ||
+    remindDaysBefore < 0 ||
+    remindDaysBefore > CELEBRATION_MAX_REMIND_DAYS
+  ) {
+    return {
+      error: `Field "remindDaysBefore" must be a whole number from 0 to ${CELEBRATION_MAX_REMIND_DAYS}`,
     };
   }
+  celebration.remindDaysBefore = remindDaysBefore;
 
-  return makeResponse(201, {
-    message: "Invitation created",
-    invitationId,
-    inviteUrl,
-    invitation: item,
-    email: emailResult,
-    user: {
-      userId,
-      author: jwtAuthor,
-      claims: jwtClaims || undefined,
-    },
-  });
+  return { celebration };
 }
 
-// -------------------------
-// Invitation: accept
-// -------------------------
-async function handleAcceptInvitation(event, context) {
-  const { userId, jwtAuthor, jwtClaims } = context;
+/**
+ * Years being celebrated at the occurrence in `occurrenceYear`, or null
+ * when the age isn't shared.
+ */
+function getCelebrationTurning(celebration, occurrenceYear) {
+  if (!celebration.showAge || !celebration.year) return null;
+  return occurrenceYear - celebration.year;
+}
+
+function formatOrdinal(n) {
+  const mod100 = n % 100;
+  const suffix =
+    mod100 >= 11 && mod100 <= 13 ? "th" : { 1: "st", 2: "nd", 3: "rd" }[n % 10] || "th";
+  return `${n}${suffix}`;
+}
+
+/**
+ * The question posted on the day ("Share a favorite memory of Dad!").
+ */
+function buildCelebrationQuestionText(celebration, occurrenceYear) {
+  const turning = getCelebrationTurning(celebration, occurrenceYear);
+  const { name } = celebration;
+
+  if (celebration.kind === "anniversary") {
+    return turning
+      ? `💍 Happy ${formatOrdinal(turning)} anniversary, ${name}! Share a favorite memory of them together.`
+      : `💍 Happy anniversary, ${name}! Share a favorite memory of them together.`;
+  }
+
+  return turning
+    ? `🎂 ${name} turns ${turning} today! Share a favorite memory of ${name}.`
+    : `🎂 Today is ${name}'s birthday! Share a favorite memory of ${name}.`;
+}
+
+/**
+ * Client shape. The birth/wedding year is private to whoever entered it
+ * (and the person it's about) unless showAge is on.
+ */
+function toClientCelebration(item, userId, today) {
+  const canSeeYear =
+    item.showAge || item.createdByUserId === userId || item.subjectUserId === userId;
+  const nextDate = getNextCelebrationDate(item, today);
+  const daysAway = Math.round(
+    (Date.parse(nextDate) - Date.parse(today)) / (24 * 60 * 60 * 1000)
+  );
+
+  return {
+    celebrationId: item.celebrationId,
+    circleId: item.circleId,
+    kind: item.kind,
+    name: item.name,
+    month: item.month,
+    day: item.day,
+    year: canSeeYear ? item.year : undefined,
+    showAge: item.showAge,
+    remindDaysBefore: item.remindDaysBefore,
+    subjectUserId: item.subjectUserId || null,
+    createdByUserId: item.createdByUserId,
+    createdByName: item.createdByName,
+    nextDate,
+    daysAway,
+    turning: getCelebrationTurning(item, Number(nextDate.slice(0, 4))),
+  };
+}
+
+// Birthdays follow the circle's question-of-the-day time zone
+function getCircleTimeZone(circle) {
+  return (circle && circle.schedule && circle.schedule.timezone) || "UTC";
+}
+
+async function listCircleCelebrations(circleId) {
+  const items = [];
+  let exclusiveStartKey = undefined;
+
+  do {
+    const res = await ddb.send(
+      new QueryCommand({
+        TableName: CELEBRATIONS_TABLE_NAME,
+        KeyConditionExpression: "circleId = :c",
+        ExpressionAttributeValues: { ":c": circleId },
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    items.push(...(res.Items || []));
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return items;
+}
+
+/**
+ * Caller must be a member; for PATCH/DELETE also the entry's creator, the
+ * person it's about, or someone with "moderate".
+ * Returns { circleId, circle, celebration? } or { error }.
+ */
+async function loadCelebrationContext(event, context, forChange) {
+  const { userId, userCircleSet } = context;
 
   if (!userId) {
-    return makeResponse(401, {
-      message: "Unauthorized: no userId in token",
-    });
+    return {
+      error: makeResponse(401, { message: "Unauthorized: no userId in token" }),
+    };
   }
 
-  if (!event.body) {
-    return makeResponse(400, { message: "Request body is required" });
+  const pathParams = event.pathParameters || {};
+  const circleId = pathParams.circleId || null;
+  if (!circleId) {
+    return { error: makeResponse(400, { message: "Missing circleId in path" }) };
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    console.warn("Forbidden celebrations access for circleId:", circleId, "userId:", userId);
+    return {
+      error: makeResponse(403, {
+        message: "Forbidden: user is not a member of this circle",
+        circleId,
+      }),
+    };
+  }
+
+  const circle = await getCircle(circleId);
+  if (!circle || circle.status === CIRCLE_STATUS_DELETING || circle.status === CIRCLE_STATUS_DELETED) {
+    return { error: makeResponse(404, { message: "Circle not found", circleId }) };
+  }
+
+  if (!forChange) return { circleId, circle };
+
+  const circleWriteBlock = getCircleWriteBlockFor(circle);
+  if (circleWriteBlock) return { error: circleWriteBlock };
+
+  if (!pathParams.celebrationId) return { circleId, circle };
+
+  const res = await ddb.send(
+    new GetCommand({
+      TableName: CELEBRATIONS_TABLE_NAME,
+      Key: { circleId, celebrationId: pathParams.celebrationId },
+    })
+  );
+  const celebration = res.Item;
+  if (!celebration) {
+    return {
+      error: makeResponse(404, {
+        message: "Celebration not found",
+        celebrationId: pathParams.celebrationId,
+      }),
+    };
+  }
+
+  if (celebration.createdByUserId !== userId && celebration.subjectUserId !== userId) {
+    const membership = await getCircleMembership(userId, circleId);
+    if (!hasCirclePermission(membership, "moderate")) {
+      return {
+        error: makeResponse(403, {
+          message:
+            "Forbidden: only whoever added it, the person it's about, or a circle owner/admin can change this",
+          celebrationId: celebration.celebrationId,
+        }),
+      };
+    }
   }
 
+  return { circleId, circle, celebration };
+}
+
+async function handleListCelebrations(event, context) {
+  const { userId } = context;
+
+  const loaded = await loadCelebrationContext(event, context, false);
+  if (loaded.error) return loaded.error;
+
+  const today = getLocalDateString(getCircleTimeZone(loaded.circle));
+  const celebrations = (await listCircleCelebrations(loaded.circleId))
+    .map((item) => toClientCelebration(item, userId, today))
+    .sort((a, b) => a.nextDate.localeCompare(b.nextDate) || a.name.localeCompare(b.name));
+
+  return makeResponse(200, {
+    circleId: loaded.circleId,
+    today,
+    celebrations,
+  });
+}
+
+async function handleCreateCelebration(event, context) {
+  const { userId, jwtAuthor } = context;
+
+  const loaded = await loadCelebrationContext(event, context, true);
+  if (loaded.error) return loaded.error;
+
+  const { circleId, circle } = loaded;
+
   let payload;
   try {
-    payload = JSON.parse(event.body);
+    payload = event.body ? JSON.parse(event.body) : {};
   } catch (e) {
-    console.error("Invalid JSON body for acceptInvitation:", e);
     return makeResponse(400, { message: "Invalid JSON body" });
   }
 
-  const invitationId =
-    payload.invitationId && String(payload.invitationId).trim();
-  if (!invitationId) {
-    return makeResponse(400, { message: 'Field "invitationId" is required' });
+  const parsed = parseCelebrationInput(payload);
+  if (parsed.error) {
+    return makeResponse(400, { message: parsed.error });
   }
 
-  console.log("Accepting invitation:", invitationId, "for userId:", userId);
+  const countRes = await ddb.send(
+    new QueryCommand({
+      TableName: CELEBRATIONS_TABLE_NAME,
+      KeyConditionExpression: "circleId = :c",
+      ExpressionAttributeValues: { ":c": circleId },
+      Select: "COUNT",
+    })
+  );
+  if ((countRes.Count || 0) >= CELEBRATIONS_PER_CIRCLE_MAX) {
+    return makeResponse(409, {
+      message: `A circle can keep at most ${CELEBRATIONS_PER_CIRCLE_MAX} birthdays and anniversaries`,
+      circleId,
+    });
+  }
 
-  const invitationRes = await ddb.send(
-    new GetCommand({
-      TableName: INVITATIONS_TABLE_NAME,
-      Key: { invitationId },
+  const item = {
+    circleId,
+    celebrationId: `cel_${randomUUID()}`,
+    ...parsed.celebration,
+    createdByUserId: userId,
+    createdByName: jwtAuthor || "Unknown",
+    createdAt: new Date().toISOString(),
+  };
+  // "This is me": the person can manage it and isn't sent their own reminder
+  if (payload.isMe === true) {
+    item.subjectUserId = userId;
+  }
+
+  await ddb.send(
+    new PutCommand({
+      TableName: CELEBRATIONS_TABLE_NAME,
+      Item: item,
+      ConditionExpression: "attribute_not_exists(celebrationId)",
     })
   );
 
-  const invitation = invitationRes.Item;
-  if (!invitation) {
-    return makeResponse(404, { message: "Invitation not found" });
-  }
-
-  const now = new Date();
-  const nowIso = now.toISOString();
-  const nowSeconds = Math.floor(now.getTime() / 1000);
+  console.log("Celebration added:", {
+    circleId,
+    celebrationId: item.celebrationId,
+    kind: item.kind,
+    userId,
+  });
 
-  if (invitation.expiresAt && invitation.expiresAt <= nowSeconds) {
-    console.warn("Invitation expired:", invitationId);
-    return makeResponse(410, { message: "Invitation has expired" });
-  }
+  const today = getLocalDateString(getCircleTimeZone(circle));
+  return makeResponse(201, {
+    celebration: toClientCelebration(item, userId, today),
+  });
+}
 
-  if (invitation.status && invitation.status !== "PENDING") {
-    console.warn(
-      "Invitation not pending:",
-      invitationId,
-      "status:",
-      invitation.status
-    );
-    return makeResponse(400, {
-      message: "Invitation is no longer pending",
-      status: invitation.status,
-    });
-  }
+async function handleUpdateCelebration(event, context) {
+  const { userId } = context;
 
-  if (
-    typeof invitation.maxUses === "number" &&
-    typeof invitation.usesCount === "number" &&
-    invitation.usesCount >= invitation.maxUses
-  ) {
-    console.warn("Invitation max uses reached:", invitationId);
-    return makeResponse(400, {
-      message: "Invitation has already been used",
-    });
-  }
+  const loaded = await loadCelebrationContext(event, context, true);
+  if (loaded.error) return loaded.error;
 
-  // Optional: enforce email match between invitation and current user
-  const emailFromClaims =
-    (jwtClaims && (jwtClaims.email || jwtClaims["email"])) || null;
+  const { circle, celebration } = loaded;
 
-  if (
-    invitation.invitedEmail &&
-    emailFromClaims &&
-    invitation.invitedEmail.toLowerCase() !== emailFromClaims.toLowerCase()
-  ) {
-    console.warn(
-      "Email mismatch on invitation accept:",
-      invitationId,
-      "invitedEmail:",
-      invitation.invitedEmail,
-      "userEmail:",
-      emailFromClaims
-    );
-    // Currently only logging; can be tightened later.
+  let payload;
+  try {
+    payload = event.body ? JSON.parse(event.body) : {};
+  } catch (e) {
+    return makeResponse(400, { message: "Invalid JSON body" });
   }
 
-  const circleId = invitation.circleId;
-  if (!circleId) {
-    console.error("Invitation missing circleId:", invitationId);
-    return makeResponse(500, {
-      message: "Invitation is invalid (missing circleId)",
-    });
+  // Send "year": null to clear the year
+  const parsed = parseCelebrationInput({ ...celebration, ...payload });
+  if (parsed.error) {
+    return makeResponse(400, { message: parsed.error });
   }
 
-  // Create (or overwrite) membership record
-  const membershipItem = {
-    userId,
-    circleId,
-    role: invitation.role || "member",
-    joinedAt: nowIso,
-    displayName: jwtAuthor || userId, 
+  const updated = {
+    ...celebration,
+    ...parsed.celebration,
+    updatedAt: new Date().toISOString(),
   };
-
-  console.log("Creating/updating membership:", membershipItem);
+  if (parsed.celebration.year === undefined) delete updated.year;
 
   await ddb.send(
     new PutCommand({
-      TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
-      Item: membershipItem,
+      TableName: CELEBRATIONS_TABLE_NAME,
+      Item: updated,
+      ConditionExpression: "attribute_exists(celebrationId)",
     })
   );
 
-  // Update invitation: mark as accepted + increment usesCount
-  console.log("Updating invitation status to ACCEPTED:", invitationId);
+  const today = getLocalDateString(getCircleTimeZone(circle));
+  return makeResponse(200, {
+    celebration: toClientCelebration(updated, userId, today),
+  });
+}
+
+async function handleDeleteCelebration(event, context) {
+  const loaded = await loadCelebrationContext(event, context, true);
+  if (loaded.error) return loaded.error;
+
+  const { circleId, celebration } = loaded;
 
   await ddb.send(
-    new UpdateCommand({
-      TableName: INVITATIONS_TABLE_NAME,
-      Key: { invitationId },
-      UpdateExpression:
-        "SET #status = :s, acceptedByUserId = :u, acceptedAt = :a, usesCount = if_not_exists(usesCount, :zero) + :inc",
-      ExpressionAttributeNames: {
-        "#status": "status",
-      },
-      ExpressionAttributeValues: {
-        ":s": "ACCEPTED",
-        ":u": userId,
-        ":a": nowIso,
-        ":zero": 0,
-        ":inc": 1,
-      },
+    new DeleteCommand({
+      TableName: CELEBRATIONS_TABLE_NAME,
+      Key: { circleId, celebrationId: celebration.celebrationId },
     })
   );
 
-  // Optionally fetch circle metadata for nicer UX
-  let circleName = circleId;
-  try {
-    const circleRes = await ddb.send(
-      new GetCommand({
-        TableName: CIRCLES_TABLE_NAME,
-        Key: { circleId },
-      })
-    );
-    if (circleRes.Item && circleRes.Item.name) {
-      circleName = circleRes.Item.name;
-    }
-  } catch (e) {
-    console.error("Error fetching circle metadata during accept:", e);
-  }
+  console.log("Celebration removed:", {
+    circleId,
+    celebrationId: celebration.celebrationId,
+    userId: context.userId,
+  });
 
   return makeResponse(200, {
-    message: "Invitation accepted",
-    circleId,
-    circleName,
-    user: {
-      userId,
-      author: jwtAuthor,
-      claims: jwtClaims || undefined,
-    },
+    message: "Celebration removed",
+    celebrationId: celebration.celebrationId,
   });
 }
 
 // -------------------------
-// Stats: circles & users
+// Calendar: ICS feed of a circle's events
+// GET  /api/circles/{circleId}/calendar        -> { feedUrl } (members)
+// POST /api/circles/{circleId}/calendar/reset  -> new feedUrl (editCircle)
+// GET  /api/calendar/{circleId}/{feedToken}.ics (no JWT; the token is the key)
 // -------------------------
-async function handleGetStats() {
-  console.log("Handling GET /api/stats");
 
-  // Scan Circles to count circles
-  const circlesScan = await ddb.send(
-    new ScanCommand({
-      TableName: CIRCLES_TABLE_NAME,
-    })
-  );
-  const circleItems = circlesScan.Items || [];
-  const totalCircles = circleItems.length;
+// Feeds include events that ended up to this long ago
+const CALENDAR_FEED_PAST_MS = 90 * 24 * 60 * 60 * 1000;
 
-  // Scan CircleMemberships to count members
-  const membershipsScan = await ddb.send(
-    new ScanCommand({
-      TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
-    })
-  );
-  const membershipItems = membershipsScan.Items || [];
+function getCalendarFeedUrl(circleId, feedToken) {
+  return `${FRONTEND_BASE_URL}/api/calendar/${encodeURIComponent(circleId)}/${feedToken}.ics`;
+}
 
-  // Unique user count
-  const userIdSet = new Set();
-  // Members per circle
-  const membersByCircleMap = new Map();
+// ICS text values escape backslashes, commas, semicolons and newlines
+function escapeIcsText(text) {
+  return String(text == null ? "" : text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
 
-  for (const m of membershipItems) {
-    if (!m) continue;
-    const u = m.userId;
-    const c = m.circleId;
-    if (u) {
-      userIdSet.add(u);
-    }
-    if (c) {
-      if (!membersByCircleMap.has(c)) {
-        membersByCircleMap.set(c, new Set());
-      }
-      membersByCircleMap.get(c).add(u);
+// 20261025T220000Z
+function formatIcsDate(iso) {
+  return new Date(iso).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldIcsLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    if (Buffer.byteLength(current + char, "utf8") > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
     }
+    current += char;
   }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
 
-  const totalMembers = userIdSet.size;
-
-  const membersByCircle = [];
-  for (const [circleId, userSet] of membersByCircleMap.entries()) {
-    membersByCircle.push({
-      circleId,
-      memberCount: userSet.size,
-    });
+function buildCircleCalendar(circle, events) {
+  const circleName = circle.name || circle.circleId;
+  const circleUrl = `${FRONTEND_BASE_URL}/?circleId=${encodeURIComponent(circle.circleId)}`;
+  const stamp = formatIcsDate(new Date().toISOString());
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Circles//Circle events//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(circleName)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+  ];
+
+  for (const item of events) {
+    const { counts, headcount } = summarizeEvent(item, null);
+    const description = [
+      `Posted by ${item.author || "Unknown"} in ${circleName}.`,
+      `RSVPs: ${counts.yes} yes (${headcount} people), ${counts.maybe} maybe, ${counts.no} no.`,
+      circleUrl,
+    ].join("\n");
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${item.messageId}@circles`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(item.event.startsAt)}`
+    );
+    if (item.event.endsAt) {
+      lines.push(`DTEND:${formatIcsDate(item.event.endsAt)}`);
+    }
+    lines.push(`SUMMARY:${escapeIcsText(item.text)}`);
+    if (item.event.location) {
+      lines.push(`LOCATION:${escapeIcsText(item.event.location)}`);
+    }
+    lines.push(
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      `URL:${circleUrl}`,
+      "END:VEVENT"
+    );
   }
 
-  // Sort for stable UI
-  membersByCircle.sort((a, b) => a.circleId.localeCompare(b.circleId));
-
-  return makeResponse(200, {
-    totalCircles,
-    totalMemberships: membershipItems.length,
-    totalMembers,
-    membersByCircle,
-  });
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
 }
 
-// -------------------------
-// Circle members: list who’s in a circle
-// GET /api/circles/members?familyId=... (or circleId=...)
-// -------------------------
-async function handleGetCircleMembers(event, context) {
-  const { userId, jwtAuthor, userCircleSet } = context;
+async function handleGetCalendarFeedUrl(event, context) {
+  const { userId, userCircleSet } = context;
 
   if (!userId) {
     return makeResponse(401, {
@@ -851,342 +7676,359 @@ async function handleGetCircleMembers(event, context) {
     });
   }
 
-  const qs = event.queryStringParameters || {};
-  // Stay consistent with existing API that uses familyId as the circle key,
-  // but also accept circleId as an alias.
-  const circleId = qs.familyId || qs.circleId;
-
+  const circleId = event.pathParameters && event.pathParameters.circleId;
   if (!circleId) {
-    return makeResponse(400, {
-      message: 'Missing required query parameter "familyId" (or "circleId")',
-    });
+    return makeResponse(400, { message: "Missing circleId in path" });
   }
 
-  // Zero-trust: caller must already be a member of this circle
   if (!userCircleSet.has(circleId)) {
-    console.warn(
-      "Forbidden GET /api/circles/members for circleId:",
-      circleId,
-      "userId:",
-      userId
-    );
+    console.warn("Forbidden calendar feed for circleId:", circleId, "userId:", userId);
     return makeResponse(403, {
       message: "Forbidden: user is not a member of this circle",
       circleId,
     });
   }
 
-  console.log(
-    "Fetching members for circleId:",
-    circleId,
-    "requested by userId:",
-    userId
-  );
-
-  // For now, use a Scan with filter on circleId.
-  // This is fine at Circles scale and matches how stats currently work.
-  const scanRes = await ddb.send(
-    new ScanCommand({
-      TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
-      FilterExpression: "circleId = :c",
-      ExpressionAttributeValues: {
-        ":c": circleId,
-      },
-    })
-  );
-
-  const membershipItems = scanRes.Items || [];
-
-  const members = membershipItems.map((m) => ({
+  const circle = await getCircle(circleId);
+  if (!circle || circle.status === CIRCLE_STATUS_DELETING || circle.status === CIRCLE_STATUS_DELETED) {
+    return makeResponse(404, { message: "Circle not found", circleId });
+  }
 
-    userId: m.userId,
-    role: m.role || "member",
-    joinedAt: m.joinedAt || null,
-    displayName: m.displayName || m.userId, 
-  }));
+  let feedToken = circle.calendarFeedToken;
+  if (!feedToken) {
+    // First request creates the token; concurrent first requests agree on one
+    const res = await ddb.send(
+      new UpdateCommand({
+        TableName: CIRCLES_TABLE_NAME,
+        Key: { circleId },
+        UpdateExpression: "SET calendarFeedToken = if_not_exists(calendarFeedToken, :t)",
+        ConditionExpression: "attribute_exists(circleId)",
+        ExpressionAttributeValues: { ":t": randomUUID() },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    feedToken = res.Attributes.calendarFeedToken;
+  }
 
   return makeResponse(200, {
     circleId,
-    members,
-    user: {
-      userId,
-      author: jwtAuthor,
-    },
+    feedUrl: getCalendarFeedUrl(circleId, feedToken),
   });
 }
 
-// -------------------------
-// Bedrock: generate conversation prompts
-// POST /api/prompts
-// -------------------------
-async function handleGeneratePrompts(event, context) {
-  const { userId, jwtAuthor, userCircleSet } = context;
+async function handleResetCalendarFeed(event, context) {
+  const { userId, userCircleSet } = context;
 
   if (!userId) {
-    return makeResponse(401, { message: "Unauthorized: no userId in token" });
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
   }
 
-  let payload = {};
-  if (event.body) {
-    try {
-      payload = JSON.parse(event.body);
-    } catch (e) {
-      console.warn("Invalid JSON body for /api/prompts, using defaults");
-    }
+  const circleId = event.pathParameters && event.pathParameters.circleId;
+  if (!circleId) {
+    return makeResponse(400, { message: "Missing circleId in path" });
   }
 
-  // Allow caller to pass circleId/familyId so we can use tags
-  const circleId = payload.familyId || payload.circleId || null;
-
-  // Enforce that user is in the circle if one is provided
-  if (circleId && !userCircleSet.has(circleId)) {
-    console.warn(
-      "Forbidden POST /api/prompts for circleId:",
-      circleId,
-      "userId:",
-      userId
-    );
+  if (!userCircleSet.has(circleId)) {
     return makeResponse(403, {
       message: "Forbidden: user is not a member of this circle",
       circleId,
     });
   }
-
-  // Allow caller to tweak count later; for now default 4, clipped 1–8.
-  const countRaw = Number(payload.count || 4);
-  const count = Math.min(Math.max(countRaw || 4, 1), 8);
-
-  // -------------------------
-  // Build tag-aware instructions
-  // -------------------------
-
-  let tagDetails = [];
-  let circleNameForContext = null;
-
-  if (circleId) {
-    try {
-      const res = await getCircleAndTagContext(circleId);
-      tagDetails = res.tagDetails || [];
-      circleNameForContext =
-        (res.circle && res.circle.name) || circleId || null;
-    } catch (e) {
-      console.error("Error getting circle tag context:", e);
-    }
+
+  const membership = await getCircleMembership(userId, circleId);
+  if (!hasCirclePermission(membership, "editCircle")) {
+    return makeResponse(403, {
+      message: "Forbidden: only a circle owner/admin can reset the calendar link",
+      circleId,
+    });
   }
 
-  const supportTags = tagDetails
-    .filter((t) => t.category === "support")
-    .map((t) => t.displayLabel);
+  const circleWriteBlock = await getCircleWriteBlock(circleId);
+  if (circleWriteBlock) {
+    return circleWriteBlock;
+  }
 
-  const nonSupportLabels = tagDetails
-    .filter((t) => t.category !== "support")
-    .map((t) => t.displayLabel);
+  const feedToken = randomUUID();
+  await ddb.send(
+    new UpdateCommand({
+      TableName: CIRCLES_TABLE_NAME,
+      Key: { circleId },
+      UpdateExpression: "SET calendarFeedToken = :t",
+      ConditionExpression: "attribute_exists(circleId)",
+      ExpressionAttributeValues: { ":t": feedToken },
+    })
+  );
 
-  let tagContextLines = [];
+  console.log("Calendar feed link reset:", { circleId, userId });
 
-  if (circleNameForContext) {
-    tagContextLines.push(
-      `The circle is called "${circleNameForContext}".`
-    );
-  }
+  return makeResponse(200, {
+    message: "Calendar link reset; the old link no longer works",
+    circleId,
+    feedUrl: getCalendarFeedUrl(circleId, feedToken),
+  });
+}
 
-  if (tagDetails.length > 0) {
-    const allLabels = tagDetails.map((t) => t.displayLabel);
-    tagContextLines.push(
-      `This circle is described with the following tags: ${allLabels.join(
-        ", "
-      )}.`
-    );
-  }
+async function handleCalendarFeed(event) {
+  const pathParams = event.pathParameters || {};
+  const circleId = pathParams.circleId || null;
+  const feedToken = String(pathParams.feedToken || "").replace(/\.ics$/i, "");
 
-  if (supportTags.length > 0) {
-    tagContextLines.push(
-      "Treat this as a support-oriented context. Be especially gentle and validating. Avoid giving medical or mental-health advice, and avoid anything that could reopen trauma or pressure people to share more than they want."
-    );
+  const circle = circleId ? await getCircle(circleId) : null;
+  const expected = circle && circle.calendarFeedToken;
+
+  // Same answer for "no such circle" and "wrong token"
+  if (
+    !expected ||
+    circle.status === CIRCLE_STATUS_DELETING ||
+    circle.status === CIRCLE_STATUS_DELETED ||
+    !isMatchingUrlToken(expected, feedToken)
+  ) {
+    return makeResponse(404, { message: "Calendar not found" });
   }
 
-  if (nonSupportLabels.length > 0 && supportTags.length === 0) {
-    tagContextLines.push(
-      "Use these tags to tailor the tone and topics so prompts feel relevant and emotionally safe for this group."
+  const events = [];
+  let exclusiveStartKey = undefined;
+  do {
+    const res = await ddb.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: MESSAGES_EVENT_INDEX_NAME,
+        KeyConditionExpression: "eventCircleId = :c AND eventStartsAt >= :from",
+        ExpressionAttributeValues: {
+          ":c": circleId,
+          ":from": new Date(Date.now() - CALENDAR_FEED_PAST_MS).toISOString(),
+        },
+        ExclusiveStartKey: exclusiveStartKey,
+      })
     );
+    events.push(...(res.Items || []).filter((item) => !item.deleted && item.event));
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  const response = makeFileResponse(
+    buildCircleCalendar(circle, events),
+    "text/calendar; charset=utf-8",
+    "circle.ics"
+  );
+  // Show inline so calendar apps subscribe instead of downloading
+  response.headers["Content-Disposition"] = 'inline; filename="circle.ics"';
+  return response;
+}
+
+// -------------------------
+// Import: WhatsApp chat history
+// POST /api/circles/{circleId}/import
+// -------------------------
+
+// Bigger chats go through Circles/import-whatsapp-chat.mjs
+const IMPORT_MAX_MESSAGES = 1000;
+const IMPORT_PREVIEW_SIZE = 20;
+const IMPORT_WRITE_CONCURRENCY = 10;
+
+/**
+ * messageIds of `items` already in the circle. Looked up by messageId
+ * (MessageIdIndex), not messageKey: the same export read in another time
+ * zone gets other createdAts but the same ids.
+ */
+async function findExistingImportIds(circleId, items) {
+  const existing = new Set();
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const { messageId } = items[next++];
+      if (await findCircleMessage(circleId, messageId)) existing.add(messageId);
+    }
   }
 
-  const tagContextInstruction =
-    tagContextLines.length > 0
-      ? tagContextLines.join(" ") + "\n\n"
-      : "";
+  await Promise.all(
+    Array.from({ length: IMPORT_WRITE_CONCURRENCY }, () => worker())
+  );
 
-  const baseInstruction = `
-Generate ${count} short, engaging conversation prompts for this private circle of families or close friends.
+  return existing;
+}
 
-Each prompt must:
-- Be 1–2 sentences maximum.
-- Feel warm, curious, natural, easy, inviting.
-- Be suitable for older kids and adults (late PG-13).
-- Favor light preferences, interests, fun memories, everyday moments, simple hypotheticals, trivia-style questions, or gentle check-ins.
-- Favor concrete, everyday, low-stakes questions drawn from daily life, habits, preferences, and simple memories.
-- Avoid cheesy, preachy, clever, emotionally heavy, deeply reflective
-- Avoid time-consuming questions unless explicitly instructed otherwise by tone tags.
-- Avoid questions that would reasonably take more than 30 seconds to think about before responding.
-- Avoid aspirational or idealized questions (such as dream vacations, bucket lists, or future goals).
-- Avoid sensitive topics (politics, explicit content, traumatic events) unless the tags clearly indicate a political or support context; in those cases, keep prompts gentle, respectful, and always optional.
-- avoid anything that feels like journaling, self-analysis, or emotional processing
+/**
+ * Put imported items that aren't in the table yet.
+ * Returns { written, duplicates }.
+ */
+async function writeImportItems(circleId, items) {
+  const existing = await findExistingImportIds(circleId, items);
+  const pending = items.filter((item) => !existing.has(item.messageId));
+  let written = 0;
+  let duplicates = existing.size;
+  let next = 0;
+
+  async function worker() {
+    while (next < pending.length) {
+      const item = pending[next++];
+      try {
+        await ddb.send(
+          new PutCommand({
+            TableName: TABLE_NAME,
+            Item: item,
+            ConditionExpression: "attribute_not_exists(messageKey)",
+          })
+        );
+        written++;
+      } catch (err) {
+        if (err.name !== "ConditionalCheckFailedException") throw err;
+        duplicates++;
+      }
+    }
+  }
 
-Style reference:
-- Prompts should resemble classic "get to know you" question lists that circulated via email or early social media—simple, friendly, everyday questions that people can answer instantly without overthinking.
+  await Promise.all(
+    Array.from({ length: IMPORT_WRITE_CONCURRENCY }, () => worker())
+  );
 
-Tone guidance:
-- Default to lighthearted, low-effort prompts that can be answered quickly.
-- Only generate deep or emotionally reflective prompts if the "deep_thought" tone tag is explicitly present.
-- When in doubt, choose simplicity and ease over depth.
+  return { written, duplicates };
+}
 
-Return ONLY a JSON array of strings.
-For example:
-["Prompt one...", "Prompt two...", "..."]
+async function handleImportCircleChat(event, context) {
+  const { userId, userCircleSet } = context;
 
-Do not include any extra text before or after the JSON.
-`.trim();
+  if (!userId) {
+    return makeResponse(401, {
+      message: "Unauthorized: no userId in token",
+    });
+  }
 
-  const userInstruction = `${tagContextInstruction}${baseInstruction}`;
+  const circleId = event.pathParameters && event.pathParameters.circleId;
+  if (!circleId) {
+    return makeResponse(400, { message: "Missing circleId in path" });
+  }
 
-  const nativeRequest = {
-    anthropic_version: "bedrock-2023-05-31",
-    max_tokens: 512,
-    temperature: 0.7,
-    top_p: 0.9,
-    messages: [
-      {
-        role: "user",
-        content: [
-          {
-            type: "text",
-            text: userInstruction,
-          },
-        ],
-      },
-    ],
-  };
+  if (!userCircleSet.has(circleId)) {
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
 
-  console.log(
-    "Invoking Bedrock model:",
-    BEDROCK_MODEL_ID,
-    "in region:",
-    BEDROCK_REGION,
-    "for userId:",
-    userId,
-    "circleId:",
-    circleId,
-    "tagCount:",
-    tagDetails.length
-  );
+  const membership = await getCircleMembership(userId, circleId);
+  if (!hasCirclePermission(membership, "editCircle")) {
+    return makeResponse(403, {
+      message: "Forbidden: only a circle owner/admin can import chat history",
+      circleId,
+    });
+  }
 
+  let payload;
   try {
-    const command = new InvokeModelCommand({
-      modelId: BEDROCK_MODEL_ID,
-      contentType: "application/json",
-      accept: "application/json",
-      body: JSON.stringify(nativeRequest),
+    payload = event.body ? JSON.parse(event.body) : {};
+  } catch (e) {
+    return makeResponse(400, { message: "Invalid JSON body" });
+  }
+
+  if (typeof payload.text !== "string" || !payload.text.trim()) {
+    return makeResponse(400, {
+      message: 'Field "text" (the exported chat) is required',
     });
+  }
 
-    const response = await bedrockClient.send(command);
+  // Nothing is written unless the caller explicitly asks for it
+  const dryRun = payload.dryRun !== false;
 
-    // In the JS v3 client, body is typically a Uint8Array
-    const raw =
-      response.body instanceof Uint8Array
-        ? Buffer.from(response.body).toString("utf8")
-        : String(response.body);
+  const circle = await getCircle(circleId);
+  if (!circle) {
+    return makeResponse(404, { message: "Circle not found", circleId });
+  }
 
-    let modelResult;
-    try {
-      modelResult = JSON.parse(raw);
-    } catch (e) {
-      console.error("Failed to parse Bedrock JSON response:", e, raw);
-      return makeResponse(502, {
-        message: "Failed to parse Bedrock response",
-        raw,
-      });
-    }
+  const circleWriteBlock = getCircleWriteBlockFor(circle);
+  if (circleWriteBlock) {
+    return circleWriteBlock;
+  }
 
-    const textBlock =
-      modelResult &&
-      modelResult.content &&
-      modelResult.content[0] &&
-      modelResult.content[0].text
-        ? String(modelResult.content[0].text).trim()
-        : "";
+  const parsed = parseWhatsAppExport(payload.text, {
+    dateOrder: payload.dateOrder,
+    timezone:
+      payload.timezone || (circle.schedule && circle.schedule.timezone) || "UTC",
+  });
+  if (parsed.error) {
+    return makeResponse(400, { message: parsed.error });
+  }
 
-    if (!textBlock) {
-      console.warn("Empty text content from Bedrock:", modelResult);
-      return makeResponse(502, {
-        message: "Empty response from Bedrock",
-      });
-    }
+  if (!parsed.messages.length) {
+    return makeResponse(400, {
+      message: "No messages found; is this a WhatsApp .txt export?",
+      code: "IMPORT_NOTHING_FOUND",
+    });
+  }
 
-    let prompts = [];
-    try {
-      const parsed = JSON.parse(textBlock);
-      if (Array.isArray(parsed)) {
-        prompts = parsed
-          .map((p) => (typeof p === "string" ? p.trim() : ""))
-          .filter(Boolean);
-      }
-    } catch (e) {
-      // Fallback: split on newlines if model ignored JSON instruction.
-      console.warn(
-        "Bedrock did not return clean JSON array, falling back to line split"
-      );
-      prompts = textBlock
-        .split("\n")
-        .map((line) => line.replace(/^[-*]\s*/, "").trim())
-        .filter(Boolean);
-    }
+  if (parsed.messages.length > IMPORT_MAX_MESSAGES) {
+    return makeResponse(413, {
+      message: `Chats over ${IMPORT_MAX_MESSAGES} messages must be imported with the CLI (Circles/import-whatsapp-chat.mjs)`,
+      code: "IMPORT_TOO_LARGE",
+      messageCount: parsed.messages.length,
+    });
+  }
 
-    // If somehow still empty, bail
-    if (!prompts || prompts.length === 0) {
-      return makeResponse(502, {
-        message: "No prompts generated",
-      });
-    }
+  const items = buildImportItems({
+    circleId,
+    messages: parsed.messages,
+    importedByUserId: userId,
+    source: "whatsapp",
+    importedAt: new Date().toISOString(),
+  });
 
-    // Truncate to requested count in case the model overshoots
-    if (prompts.length > count) {
-      prompts = prompts.slice(0, count);
-    }
+  const summary = {
+    ...summarizeImportItems(items),
+    dateOrder: parsed.dateOrder,
+    skippedLines: parsed.skipped,
+  };
+
+  if (dryRun) {
+    const existingIds = await findExistingImportIds(circleId, items);
 
     return makeResponse(200, {
-      message: "Prompts generated",
-      prompts,
-      modelId: BEDROCK_MODEL_ID,
-      region: BEDROCK_REGION,
-      circleId: circleId || null,
-      tagsUsed: tagDetails.map((t) => t.tagKey),
-      user: {
-        userId,
-        author: jwtAuthor,
+      dryRun: true,
+      circleId,
+      summary: {
+        ...summary,
+        alreadyImported: existingIds.size,
       },
-    });
-  } catch (err) {
-    console.error("Error invoking Bedrock:", {
-      name: err.name,
-      message: err.message,
-      stack: err.stack,
-      metadata: err.$metadata,
-    });
-
-    return makeResponse(502, {
-      message: "Error invoking Bedrock",
-      error: err.message || String(err),
-      code: err.name || undefined,
+      preview: items.slice(0, IMPORT_PREVIEW_SIZE).map((item) => ({
+        createdAt: item.createdAt,
+        author: item.author,
+        messageType: item.messageType,
+        questionId: item.questionId || null,
+        text: item.text,
+        alreadyImported: existingIds.has(item.messageId),
+      })),
     });
   }
+
+  const { written, duplicates } = await writeImportItems(circleId, items);
+
+  console.log("Chat history imported:", {
+    circleId,
+    userId,
+    total: items.length,
+    written,
+    duplicates,
+  });
+
+  return makeResponse(200, {
+    dryRun: false,
+    circleId,
+    summary: { ...summary, written, alreadyImported: duplicates },
+  });
 }
 
 // -------------------------
-// Circle: create
-// POST /api/circles with { action: "createCircle", ... }
+// Attachments: upload URLs
+// POST /api/circles/{circleId}/attachments
 // -------------------------
-async function handleCreateCircle(payload, context) {
-  const { userId, jwtAuthor, jwtClaims } = context;
+
+/**
+ * Hand out a presigned POST for one file. The client uploads straight to
+ * S3, then lists the attachmentId in `attachments` on POST /api/circles.
+ */
+async function handleCreateAttachmentUpload(event, context) {
+  const { userId, userCircleSet } = context;
 
   if (!userId) {
     return makeResponse(401, {
@@ -1194,100 +8036,74 @@ async function handleCreateCircle(payload, context) {
     });
   }
 
-  const now = new Date();
-  const nowIso = now.toISOString();
+  const circleId = event.pathParameters && event.pathParameters.circleId;
+  if (!circleId) {
+    return makeResponse(400, { message: "Missing circleId in path" });
+  }
+
+  if (!userCircleSet.has(circleId)) {
+    return makeResponse(403, {
+      message: "Forbidden: user is not a member of this circle",
+      circleId,
+    });
+  }
 
-  const rawName = payload.name ?? payload.circleName;
-  const name = rawName && String(rawName).trim();
+  let payload;
+  try {
+    payload = event.body ? JSON.parse(event.body) : {};
+  } catch (e) {
+    return makeResponse(400, { message: "Invalid JSON body" });
+  }
 
-  if (!name) {
+  const contentType = String(payload.contentType || "").trim().toLowerCase();
+  const type = ATTACHMENT_TYPES[contentType];
+  if (!type) {
     return makeResponse(400, {
-      message: 'Field "name" (or "circleName") is required',
+      message: `"contentType" must be one of: ${Object.keys(ATTACHMENT_TYPES).join(", ")}`,
+      code: "ATTACHMENT_TYPE_NOT_ALLOWED",
     });
   }
 
-  const description =
-    payload.description && String(payload.description).trim()
-      ? String(payload.description).trim()
-      : "";
-
-  // Tags: expect an array of tag keys, filter to strings
-  let tags = [];
-  if (Array.isArray(payload.tags)) {
-    tags = payload.tags
-      .map((t) => String(t).trim())
-      .filter((t) => t.length > 0);
+  const size = Number(payload.size);
+  if (!Number.isFinite(size) || size <= 0) {
+    return makeResponse(400, { message: '"size" (bytes) is required' });
   }
-
-  // Optionally, validate tags against tag config (best-effort; non-fatal)
-  if (tags.length > 0) {
-    try {
-      const validTagDetails = await getTagDetails(tags);
-      const validKeys = new Set(validTagDetails.map((t) => t.tagKey));
-      tags = tags.filter((t) => validKeys.has(t));
-    } catch (e) {
-      console.warn(
-        "Error validating tags while creating circle; proceeding with raw tags",
-        e
-      );
-    }
+  if (size > type.maxBytes) {
+    return makeResponse(413, {
+      message: `${type.kind === "video" ? "Videos" : "Images"} can be at most ${Math.round(type.maxBytes / (1024 * 1024))} MB`,
+      code: "ATTACHMENT_TOO_LARGE",
+      maxBytes: type.maxBytes,
+    });
   }
 
-  // Generate a circleId (random UUID-based)
-  const circleId = `circle_${randomUUID()}`;
-
-  const circleItem = {
-    circleId,
-    name,
-    description,
-    tags,
-    createdAt: nowIso,
-    createdByUserId: userId,
-  };
-
-  console.log("Creating circle:", circleItem);
-
-  // Create circle metadata (fail if circleId somehow exists)
-  await ddb.send(
-    new PutCommand({
-      TableName: CIRCLES_TABLE_NAME,
-      Item: circleItem,
-      ConditionExpression: "attribute_not_exists(circleId)",
-    })
-  );
-
-  // Create creator membership with rich role info
-  const membershipItem = {
-    userId,
-    circleId,
-    role: "owner", // primary role
-    joinedAt: nowIso,
-    // additional flags so we can evolve roles later
-    isCreator: true,
-    isOwner: true,
-    isAdmin: true,
-    isMember: true,
-    displayName: jwtAuthor || userId, 
-  };
+  if (!MEDIA_BUCKET_NAME) {
+    return makeResponse(503, { message: "Attachments are not configured" });
+  }
 
-  console.log("Creating creator membership:", membershipItem);
+  const circleWriteBlock = await getCircleWriteBlock(circleId);
+  if (circleWriteBlock) {
+    return circleWriteBlock;
+  }
 
-  await ddb.send(
-    new PutCommand({
-      TableName: CIRCLE_MEMBERSHIPS_TABLE_NAME,
-      Item: membershipItem,
-    })
-  );
+  const attachmentId = `att_${randomUUID()}`;
+  const { url, fields } = await createPresignedPost(s3Client, {
+    Bucket: MEDIA_BUCKET_NAME,
+    Key: getAttachmentUploadKey(circleId, userId, attachmentId),
+    Conditions: [
+      ["content-length-range", 1, type.maxBytes],
+      ["eq", "$Content-Type", contentType],
+    ],
+    Fields: { "Content-Type": contentType },
+    Expires: ATTACHMENT_UPLOAD_EXPIRES_SECONDS,
+  });
 
   return makeResponse(201, {
-    message: "Circle created",
-    circle: circleItem,
-    membership: membershipItem,
-    user: {
-      userId,
-      author: jwtAuthor,
-      claims: jwtClaims || undefined,
-    },
+    attachmentId,
+    kind: type.kind,
+    contentType,
+    maxBytes: type.maxBytes,
+    upload: { url, fields },
+    expiresInSeconds: ATTACHMENT_UPLOAD_EXPIRES_SECONDS,
   });
 }
 
@@ -1386,6 +8202,373 @@ async function deleteNotificationSubscription(params) {
   console.log("Deleted notification subscription", { userId, subscriptionId });
 }
 
+// -------------------------
+// Notification preferences
+// GET /api/notifications/preferences
+// PUT /api/notifications/preferences
+// GET /api/digest/unsubscribe (public, from digest emails)
+// -------------------------
+
+// One CircleNotificationPreferences item per user (PK userId):
+// { timezone, quietHours: { start, end } | null,
+//   circles: { [circleId]: "questions" | "mentions" | "muted" },
+//   digest?: { frequency, email, unsubscribeToken, lastSentAt }, updatedAt }
+// Circles left out get everything ("all"). push-sender.js applies these;
+// digest-sender.js sends the email digest (muted circles are left out).
+const NOTIFICATION_LEVELS = ["all", "questions", "mentions", "muted"];
+const DIGEST_FREQUENCIES = ["off", "daily", "weekly"];
+const TIME_OF_DAY_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+async function getNotificationPreferences(userId) {
+  const res = await ddb.send(
+    new GetCommand({
+      TableName: CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME,
+      Key: { userId },
+    })
+  );
+  return res.Item || { userId, timezone: null, quietHours: null, circles: {} };
+}
+
+function toClientNotificationPreferences(prefs) {
+  return {
+    timezone: prefs.timezone || null,
+    quietHours: prefs.quietHours || null,
+    circles: prefs.circles || {},
+    digest: prefs.digest
+      ? { frequency: prefs.digest.frequency, email: prefs.digest.email }
+      : { frequency: "off", email: null },
+  };
+}
+
+/**
+ * Merge a PUT body into the stored preferences. Only fields present change;
+ * `circles` entries are merged (level "all" removes the entry).
+ * Returns { preferences } or { error: message }.
+ */
+function mergeNotificationPreferences(existing, input, userCircleSet, email) {
+  if (!input || typeof input !== "object") {
+    return { error: "Invalid preferences" };
+  }
+
+  const preferences = {
+    ...existing,
+    circles: { ...(existing.circles || {}) },
+  };
+
+  if (input.timezone !== undefined) {
+    const timezone = input.timezone ? String(input.timezone).trim() : null;
+    if (timezone && !isValidTimeZone(timezone)) {
+      return { error: "timezone must be a valid IANA time zone" };
+    }
+    preferences.timezone = timezone;
+  }
+
+  if (input.quietHours !== undefined) {
+    if (input.quietHours === null) {
+      preferences.quietHours = null;
+    } else {
+      const start = String(input.quietHours.start || "").trim();
+      const end = String(input.quietHours.end || "").trim();
+      if (!TIME_OF_DAY_RE.test(start) || !TIME_OF_DAY_RE.test(end) || start === end) {
+        return { error: 'quietHours needs different "start" and "end" times as "HH:MM" (24-hour)' };
+      }
+      preferences.quietHours = { start, end };
+    }
+  }
+
+  if (preferences.quietHours && !preferences.timezone) {
+    return { error: "Set a timezone to use quiet hours" };
+  }
+
+  if (input.digest !== undefined) {
+    const frequency = String(input.digest || "").trim().toLowerCase();
+    if (!DIGEST_FREQUENCIES.includes(frequency)) {
+      return { error: `digest must be one of: ${DIGEST_FREQUENCIES.join(", ")}` };
+    }
+
+    if (frequency === "off") {
+      delete preferences.digest;
+    } else if (!email) {
+      return { error: "Email digests need a verified email address on your account" };
+    } else {
+      const current = preferences.digest || {};
+      preferences.digest = {
+        frequency,
+        email,
+        // Kept across changes so links in earlier emails keep working
+        unsubscribeToken: current.unsubscribeToken || randomUUID(),
+        // The first digest covers what happens from now on
+        lastSentAt: current.lastSentAt || new Date().toISOString(),
+      };
+    }
+  }
+
+  if (input.circles !== undefined) {
+    if (!input.circles || typeof input.circles !== "object") {
+      return { error: "circles must be an object of circleId -> level" };
+    }
+
+    for (const [circleId, level] of Object.entries(input.circles)) {
+      if (!NOTIFICATION_LEVELS.includes(level)) {
+        return { error: `Notification level must be one of: ${NOTIFICATION_LEVELS.join(", ")}` };
+      }
+      if (level === "all") {
+        delete preferences.circles[circleId];
+      } else if (!userCircleSet.has(circleId)) {
+        return { error: `Not a member of circle ${circleId}` };
+      } else {
+        preferences.circles[circleId] = level;
+      }
+    }
+  }
+
+  return { preferences };
+}
+
+/**
+ * UpdateCommand parts that write just the fields present in `input`
+ * (already validated and merged into `preferences`).
+ */
+function buildNotificationPreferencesUpdate(existing, preferences, input) {
+  const setParts = ["updatedAt = :now"];
+  const removeParts = [];
+  const names = {};
+  const values = { ":now": new Date().toISOString() };
+  let condition;
+
+  for (const field of ["timezone", "quietHours", "circles"]) {
+    if (input[field] === undefined) continue;
+    setParts.push(`#${field} = :${field}`);
+    names[`#${field}`] = field;
+    values[`:${field}`] = preferences[field];
+  }
+
+  if (input.digest !== undefined) {
+    names["#digest"] = "digest";
+    if (!preferences.digest) {
+      removeParts.push("#digest");
+    } else if (existing.digest) {
+      // Leave unsubscribeToken and lastSentAt to whoever owns them now
+      setParts.push("#digest.#frequency = :frequency", "#digest.#email = :email");
+      names["#frequency"] = "frequency";
+      names["#email"] = "email";
+      values[":frequency"] = preferences.digest.frequency;
+      values[":email"] = preferences.digest.email;
+      condition = "attribute_exists(#digest.unsubscribeToken)";
+    } else {
+      setParts.push("#digest = :digest");
+      values[":digest"] = preferences.digest;
+      condition = "attribute_not_exists(#digest)";
+    }
+  }
+
+  return {
+    UpdateExpression:
+      `SET ${setParts.join(", ")}` +
+      (removeParts.length ? ` REMOVE ${removeParts.join(", ")}` : ""),
+    ConditionExpression: condition,
+    ExpressionAttributeNames: Object.keys(names).length ? names : undefined,
+    ExpressionAttributeValues: values,
+  };
+}
+
+async function handleGetNotificationPreferences(event, context) {
+  const { userId } = context;
+
+  if (!userId) {
+    return makeResponse(401, { message: "Unauthorized" });
+  }
+  if (!CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME) {
+    return makeResponse(503, { message: "Notification preferences are not configured" });
+  }
+
+  const prefs = await getNotificationPreferences(userId);
+  return makeResponse(200, {
+    preferences: toClientNotificationPreferences(prefs),
+    levels: NOTIFICATION_LEVELS,
+  });
+}
+
+async function handleUpdateNotificationPreferences(event, context) {
+  const { userId, userCircleSet, jwtClaims } = context;
+
+  if (!userId) {
+    return makeResponse(401, { message: "Unauthorized" });
+  }
+  if (!CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME) {
+    return makeResponse(503, { message: "Notification preferences are not configured" });
+  }
+
+  let payload;
+  try {
+    payload = event.body ? JSON.parse(event.body) : {};
+  } catch (e) {
+    return makeResponse(400, { message: "Invalid JSON body" });
+  }
+
+  const existing = await getNotificationPreferences(userId);
+  const merged = mergeNotificationPreferences(
+    existing,
+    payload,
+    userCircleSet,
+    getVerifiedEmailFromClaims(jwtClaims)
+  );
+  if (merged.error) {
+    return makeResponse(400, { message: merged.error });
+  }
+
+  // Only the fields in the request are written: digest-sender.js moves
+  // digest.lastSentAt forward meanwhile, and a whole-item Put would undo it
+  const update = buildNotificationPreferencesUpdate(
+    existing,
+    merged.preferences,
+    payload
+  );
+
+  let item;
+  try {
+    const res = await ddb.send(
+      new UpdateCommand({
+        TableName: CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME,
+        Key: { userId },
+        ...update,
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    item = res.Attributes;
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+    return makeResponse(409, {
+      message: "Your email digest changed at the same time. Please try again.",
+      code: "PREFERENCES_CHANGED",
+    });
+  }
+
+  console.log("Notification preferences saved:", {
+    userId,
+    quietHours: item.quietHours,
+    circles: item.circles,
+    digest: item.digest ? item.digest.frequency : "off",
+  });
+
+  return makeResponse(200, {
+    preferences: toClientNotificationPreferences(item),
+  });
+}
+
+// Link (and List-Unsubscribe target) in every digest email; no login
+// needed, the token is the key
+function getDigestUnsubscribeUrl(userId, unsubscribeToken) {
+  return (
+    `${FRONTEND_BASE_URL}/api/digest/unsubscribe` +
+    `?u=${encodeURIComponent(userId)}&t=${encodeURIComponent(unsubscribeToken)}`
+  );
+}
+
+/**
+ * GET  /api/digest/unsubscribe?u={userId}&t={token}
+ * POST /api/digest/unsubscribe?u={userId}&t={token}
+ * GET only shows a confirmation page: link scanners and prefetchers follow
+ * GETs, so they must not change anything. The page's button, and mail
+ * apps' one-click unsubscribe (RFC 8058 List-Unsubscribe-Post), POST.
+ */
+async function handleDigestUnsubscribe(event, method) {
+  const query = event.queryStringParameters || {};
+  const userId = String(query.u || "");
+  const token = String(query.t || "");
+
+  const redirectTo = (result) => ({
+    statusCode: method === "POST" ? 303 : 302,
+    headers: {
+      Location: `${FRONTEND_BASE_URL}/?digest=${result}`,
+      "Cache-Control": "no-store",
+    },
+    body: "",
+  });
+
+  if (!userId || !token || !CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME) {
+    return redirectTo("invalid");
+  }
+
+  const prefs = await getNotificationPreferences(userId);
+  const expected = prefs.digest && prefs.digest.unsubscribeToken;
+
+  if (!expected) {
+    // Already off (e.g. the link was clicked twice)
+    return redirectTo("unsubscribed");
+  }
+
+  if (!isMatchingUrlToken(expected, token)) {
+    return redirectTo("invalid");
+  }
+
+  if (method === "GET") {
+    return makeDigestUnsubscribePage(getDigestUnsubscribeUrl(userId, token));
+  }
+
+  try {
+    await ddb.send(
+      new UpdateCommand({
+        TableName: CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME,
+        Key: { userId },
+        UpdateExpression: "REMOVE digest SET updatedAt = :now",
+        ConditionExpression: "digest.unsubscribeToken = :t",
+        ExpressionAttributeValues: {
+          ":t": expected,
+          ":now": new Date().toISOString(),
+        },
+      })
+    );
+  } catch (err) {
+    if (err.name !== "ConditionalCheckFailedException") throw err;
+  }
+
+  const rawBody = event.isBase64Encoded
+    ? Buffer.from(event.body || "", "base64").toString("utf8")
+    : event.body || "";
+  const oneClick = new URLSearchParams(rawBody).get("List-Unsubscribe") === "One-Click";
+
+  console.log("Digest unsubscribed:", { userId, oneClick });
+
+  // Mail apps POST in the background; the page's button lands on the app
+  if (oneClick) {
+    return {
+      statusCode: 200,
+      headers: { "Content-Type": "text/plain; charset=utf-8", "Cache-Control": "no-store" },
+      body: "Unsubscribed from the Circles digest.",
+    };
+  }
+  return redirectTo("unsubscribed");
+}
+
+// Confirmation page for the link in digest emails
+function makeDigestUnsubscribePage(actionUrl) {
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      "Cache-Control": "no-store",
+      "X-Robots-Tag": "noindex",
+    },
+    body: `<!doctype html>
+<html>
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Unsubscribe from the Circles digest</title>
+  </head>
+  <body style="font-family:sans-serif;font-size:16px;line-height:1.4;max-width:480px;margin:48px auto;padding:0 16px;">
+    <h1 style="font-size:22px;">Stop the Circles email digest?</h1>
+    <p>You won't get digest emails anymore. You can turn them back on in Notification settings.</p>
+    <form method="post" action="${escapeHtml(actionUrl)}">
+      <button type="submit" style="font-size:16px;padding:8px 16px;">Unsubscribe</button>
+    </form>
+    <p><a href="${escapeHtml(FRONTEND_BASE_URL)}/">Back to Circles</a></p>
+  </body>
+</html>
+`,
+  };
+}
 
 exports.handler = async (event) => {
   console.log("Incoming event:", JSON.stringify(event));
@@ -1399,7 +8582,7 @@ exports.handler = async (event) => {
       statusCode: 204,
       headers: {
         "Access-Control-Allow-Origin": "*",
-        "Access-Control-Allow-Methods": "GET,POST,OPTIONS",
+        "Access-Control-Allow-Methods": "GET,POST,PUT,PATCH,DELETE,OPTIONS",
         "Access-Control-Allow-Headers": "Content-Type,Authorization",
       },
       body: "",
@@ -1433,6 +8616,31 @@ exports.handler = async (event) => {
       return await handleGetStats();
     }
 
+    // --------------------------------------------
+    // Public calendar feed (no JWT; the token in the URL is the key)
+    // GET /api/calendar/{circleId}/{feedToken}.ics
+    // --------------------------------------------
+    if (
+      method === "GET" &&
+      path.startsWith("/api/calendar/") &&
+      event.pathParameters &&
+      event.pathParameters.feedToken
+    ) {
+      return await handleCalendarFeed(event);
+    }
+
+    // --------------------------------------------
+    // Digest unsubscribe (no JWT; the token in the URL is the key)
+    // GET  /api/digest/unsubscribe?u={userId}&t={token}  -> confirmation page
+    // POST /api/digest/unsubscribe?u={userId}&t={token}  -> unsubscribe
+    // --------------------------------------------
+    if (
+      (method === "GET" || method === "POST") &&
+      path.endsWith("/api/digest/unsubscribe")
+    ) {
+      return await handleDigestUnsubscribe(event, method);
+    }
+
     // --------------------------------------------
     // Circle members route
     // GET /api/circles/members
@@ -1510,6 +8718,43 @@ exports.handler = async (event) => {
       });
     }
 
+    // GET /api/circles/{circleId}/invitations
+    if (
+      method === "GET" &&
+      path.startsWith("/api/circles/") &&
+      path.endsWith("/invitations") &&
+      event.pathParameters &&
+      event.pathParameters.circleId
+    ) {
+      return await handleListInvitations(event, {
+        userId,
+        jwtAuthor,
+        userCircleSet,
+      });
+    }
+
+    // DELETE /api/circles/{circleId}/invitations/{invitationId}
+    // POST   /api/circles/{circleId}/invitations/{invitationId}/resend
+    if (
+      event.pathParameters &&
+      event.pathParameters.circleId &&
+      event.pathParameters.invitationId
+    ) {
+      const invitationContext = { userId, jwtAuthor, userCircleSet };
+
+      if (method === "DELETE") {
+        return await handleRevokeInvitation(event, invitationContext);
+      }
+
+      if (method === "POST" && path.endsWith("/resend")) {
+        return await handleResendInvitation(event, invitationContext);
+      }
+
+      if (method === "POST" && path.endsWith("/reissue")) {
+        return await handleReissueInvitation(event, invitationContext);
+      }
+    }
+
     // POST /api/circles/invitations/accept
     if (method === "POST" && path === "/api/circles/invitations/accept") {
       return await handleAcceptInvitation(event, {
@@ -1530,6 +8775,11 @@ exports.handler = async (event) => {
         });
       }
 
+      // Archived circles are hidden unless asked for; deleting/deleted never show
+      const configQs = event.queryStringParameters || {};
+      const includeArchived =
+        String(configQs.includeArchived || "").toLowerCase() === "true";
+
       console.log("Fetching circle memberships for userId (config):", userId);
 
       const membershipsResult = await ddb.send(
@@ -1567,23 +8817,38 @@ exports.handler = async (event) => {
               Key: { circleId },
             })
           );
+          const circleStatus = circleRes.Item && circleRes.Item.status;
+          const role = getCircleRole(
+            membershipItems.find((m) => m.circleId === circleId)
+          );
+          if (
+            circleStatus === CIRCLE_STATUS_DELETING ||
+            circleStatus === CIRCLE_STATUS_DELETED ||
+            (circleStatus === CIRCLE_STATUS_ARCHIVED && !includeArchived)
+          ) {
+            continue;
+          }
+
           if (circleRes.Item) {
             circles.push({
               circleId,
               name: circleRes.Item.name || circleId,
               description: circleRes.Item.description || "",
-              role:
-                membershipItems.find((m) => m.circleId === circleId)?.role ||
-                "member",
+              tags: Array.isArray(circleRes.Item.tags) ? circleRes.Item.tags : [],
+              archived: circleStatus === CIRCLE_STATUS_ARCHIVED,
+              schedule: circleRes.Item.schedule || null,
+              rotation: circleRes.Item.rotation || null,
+              inviteEmailPolicy: getInviteEmailPolicy(circleRes.Item),
+              role,
+              permissions: getRolePermissions(role),
             });
           } else {
             circles.push({
               circleId,
               name: circleId,
               description: "",
-              role:
-                membershipItems.find((m) => m.circleId === circleId)?.role ||
-                "member",
+              role,
+              permissions: getRolePermissions(role),
             });
           }
         } catch (e) {
@@ -1606,7 +8871,8 @@ exports.handler = async (event) => {
     if (method === "GET" && path.endsWith("/api/circles")) {
       const qs = event.queryStringParameters || {};
       const familyId = qs.familyId || "behrens"; // default while you're testing
-      const limit = qs.limit ? Number(qs.limit) : 20;
+      const limitRaw = qs.limit ? Number(qs.limit) : 20;
+      const limit = Math.min(Math.max(limitRaw || 20, 1), 100);
 
       console.log(
         "GET /api/circles for familyId:",
@@ -1638,6 +8904,23 @@ exports.handler = async (event) => {
         });
       }
 
+      const circleReadBlock = await getCircleReadBlock(familyId);
+      if (circleReadBlock) {
+        return circleReadBlock;
+      }
+
+      // `before` is the opaque nextCursor from a previous page (older messages)
+      let exclusiveStartKey = undefined;
+      if (qs.before) {
+        exclusiveStartKey = decodeMessagesCursor(qs.before, familyId);
+        if (!exclusiveStartKey) {
+          return makeResponse(400, {
+            message: 'Invalid "before" cursor',
+            familyId,
+          });
+        }
+      }
+
       const result = await ddb.send(
         new QueryCommand({
           TableName: TABLE_NAME,
@@ -1647,16 +8930,27 @@ exports.handler = async (event) => {
           },
           ScanIndexForward: false, // newest first
           Limit: limit,
+          ExclusiveStartKey: exclusiveStartKey,
         })
       );
 
+      const items = (result.Items || []).map((it) =>
+        toClientMessage(it, userId)
+      );
+
+      const nextCursor = result.LastEvaluatedKey
+        ? encodeMessagesCursor(result.LastEvaluatedKey)
+        : null;
+
       return makeResponse(200, {
         message: "OK",
         method,
         path,
         familyId,
-        count: (result.Items || []).length,
-        items: result.Items || [],
+        count: items.length,
+        items,
+        nextCursor,
+        reactionEmojis: REACTION_EMOJIS,
         user: {
           author: jwtAuthor,
           userId,
@@ -1704,9 +8998,15 @@ exports.handler = async (event) => {
 
       const familyId = String(payload.familyId || "behrens").trim();
       const rawText = payload.text;
-      const text = rawText && String(rawText).trim();
+      const text = (rawText && String(rawText).trim()) || "";
+
+      const parsedAttachments = parseAttachmentRefs(payload.attachments);
+      if (parsedAttachments.error) {
+        return makeResponse(400, { message: parsedAttachments.error });
+      }
 
-      if (!text) {
+      // A photo on its own is a fine answer
+      if (!text && parsedAttachments.refs.length === 0) {
         return makeResponse(400, { message: 'Field "text" is required' });
       }
 
@@ -1723,67 +9023,194 @@ exports.handler = async (event) => {
         });
       }
 
+      const circleWriteBlock = await getCircleWriteBlock(familyId);
+      if (circleWriteBlock) {
+        return circleWriteBlock;
+      }
+
       // Author from JWT claims, not the client body
       const author = jwtAuthor || "unknown";
       const createdAt = new Date().toISOString();
 
       // --- messageType / questionId / messageId handling ---
 
-      // messageType: default to "answer" unless explicitly "question"
       const rawType =
         payload.messageType && String(payload.messageType).trim().toLowerCase();
-      const messageType = rawType === "question" ? "question" : "answer";
 
-      // questionId: only used for answers, points to the question's messageId
-      const questionId =
-        payload.questionId && String(payload.questionId).trim()
-          ? String(payload.questionId).trim()
+      // parentMessageId: replies point at one specific answer (one level deep)
+      const parentMessageId =
+        payload.parentMessageId && String(payload.parentMessageId).trim()
+          ? String(payload.parentMessageId).trim()
           : null;
 
-      // messageId: always generate one if client didn't send it
-      const messageId =
-        payload.messageId && String(payload.messageId).trim()
-          ? String(payload.messageId).trim()
-          : `msg_${randomUUID()}`;
+      let parentMessage = null;
+      if (parentMessageId) {
+        if (isThreadRootType(rawType)) {
+          return makeResponse(400, {
+            message: `A ${rawType} cannot be posted as a reply`,
+          });
+        }
+
+        parentMessage = await findCircleMessage(familyId, parentMessageId);
+        if (!parentMessage) {
+          return makeResponse(404, {
+            message: "Parent message not found in this circle",
+            parentMessageId,
+          });
+        }
 
-      const item = {
-        familyId,
-        createdAt,
-        author,
-        text,
-        messageId,
-        messageType,
-      };
+        if ((parentMessage.messageType || "answer") !== "answer") {
+          return makeResponse(400, {
+            message: "Replies can only be posted to answers",
+            parentMessageId,
+          });
+        }
 
-      // Only store questionId for non-question messages
-      if (messageType !== "question" && questionId) {
-        item.questionId = questionId;
+        if (parentMessage.deleted) {
+          return makeResponse(409, {
+            message: "Cannot reply to a deleted answer",
+            parentMessageId,
+          });
+        }
       }
 
-      console.log("Writing item:", item, "userId:", userId);
+      // messageType: "reply" when a parent is given, otherwise default to
+      // "answer" unless explicitly "question", "poll" or "event"
+      const messageType = parentMessage
+        ? "reply"
+        : isThreadRootType(rawType)
+          ? rawType
+          : "answer";
 
-      await ddb.send(
-        new PutCommand({
-          TableName: TABLE_NAME,
-          Item: item,
-        })
+      if (messageType === "question" && !text) {
+        return makeResponse(400, { message: 'Questions need a "text"' });
+      }
+
+      let poll = null;
+      if (messageType === "poll") {
+        if (!text) {
+          return makeResponse(400, { message: 'Polls need a "text"' });
+        }
+
+        const parsedPoll = parsePollInput(payload.poll);
+        if (parsedPoll.error) {
+          return makeResponse(400, { message: parsedPoll.error });
+        }
+        poll = parsedPoll.poll;
+      }
+
+      let eventDetails = null;
+      if (messageType === "event") {
+        if (!text) {
+          return makeResponse(400, { message: 'Events need a "text" (the title)' });
+        }
+
+        const parsedEvent = parseEventInput(payload.event);
+        if (parsedEvent.error) {
+          return makeResponse(400, { message: parsedEvent.error });
+        }
+        eventDetails = parsedEvent.event;
+      }
+
+      // Rotation mode: only the current asker (or an owner/admin) asks.
+      // Events are plans, not questions, so anyone can post them.
+      if (messageType === "question" || messageType === "poll") {
+        const turnError = await checkAskerTurn(familyId, userId);
+        if (turnError) {
+          return turnError;
+        }
+      }
+
+      // questionId: only used for answers/replies, points to the question's messageId.
+      // Replies always inherit it from their parent answer.
+      const questionId = parentMessage
+        ? parentMessage.questionId || null
+        : payload.questionId && String(payload.questionId).trim()
+          ? String(payload.questionId).trim()
+          : null;
+
+      // messageId: always generated here. MessageIdIndex doesn't enforce
+      // uniqueness, so a client-chosen id could shadow another message.
+      const messageId = `msg_${randomUUID()}`;
+
+      const claimed = await claimUploadedAttachments(
+        familyId,
+        userId,
+        parsedAttachments.refs
       );
+      if (claimed.error) {
+        return claimed.error;
+      }
+
+      // Notification text for attachment-only answers/replies
+      const notifyText =
+        text ||
+        (claimed.attachments.some((a) => a.kind === "image")
+          ? "📷 Photo"
+          : "🎥 Video");
+
+      let item;
+      try {
+        item = await createCircleMessage({
+          familyId,
+          createdAt,
+          author,
+          authorUserId: userId,
+          text,
+          messageId,
+          messageType,
+          questionId,
+          parentMessageId: parentMessage ? parentMessage.messageId : null,
+          attachments: claimed.attachments,
+          poll,
+          event: eventDetails,
+        });
+      } catch (err) {
+        // No message points at the media/ copies; the uploads are still
+        // there for a retry once unclaimed
+        await deleteAttachmentObjects(familyId, claimed.attachments);
+        await unclaimUploads(familyId, userId, parsedAttachments.refs);
+        throw err;
+      }
+
+      await releaseClaimedUploads(familyId, userId, parsedAttachments.refs);
 
-      // If this is a new question, enqueue a push event for downstream processing
-      if (messageType === "question") {
+      // If this is a new question (or poll), enqueue a push event for downstream processing
+      if (isThreadRootType(messageType)) {
         try {
           await enqueueNewQuestionPushEvent({
             circleId: familyId,
             circleName: familyId, // V1: use familyId as name; can be upgraded later
             questionId: messageId,
-            questionText: text,
+            questionText:
+              messageType === "poll"
+                ? `📊 ${text}`
+                : messageType === "event"
+                  ? `📅 ${text}`
+                  : text,
             actorUserId: userId,
           });
         } catch (e) {
           // Helper already logs errors; this catch is purely defensive
           console.error("Unexpected error calling enqueueNewQuestionPushEvent:", e);
         }
-      } else if (messageType !== "question" && item.questionId) {
+      } else if (messageType === "reply") {
+        // New reply → notify circle members (and the answer's author)
+        try {
+          await enqueueNewReplyPushEvent({
+            circleId: familyId,
+            circleName: familyId,
+            questionId: item.questionId || null,
+            parentMessageId: parentMessage.messageId,
+            parentAuthorUserId: parentMessage.authorUserId || null,
+            replyId: messageId,
+            replyText: notifyText,
+            actorUserId: userId,
+          });
+        } catch (e) {
+          console.error("Unexpected error calling enqueueNewReplyPushEvent:", e);
+        }
+      } else if (item.questionId) {
         // New answer → notify circle members about the answer
         try {
           await enqueueNewAnswerPushEvent({
@@ -1791,7 +9218,7 @@ exports.handler = async (event) => {
             circleName: familyId,
             questionId: item.questionId, // the question this answer belongs to
             answerId: messageId,         // this message is the answer
-            answerText: text,
+            answerText: notifyText,
             actorUserId: userId,
           });
         } catch (e) {
@@ -1801,7 +9228,7 @@ exports.handler = async (event) => {
 
       return makeResponse(201, {
         message: "Message created",
-        item,
+        item: toClientMessage(item, userId),
         user: {
           author,
           userId,
@@ -1820,6 +9247,326 @@ exports.handler = async (event) => {
       });
     }
 
+    // --------------------------------------------------
+    // POST/DELETE /api/circles/{circleId}/archive
+    // DELETE      /api/circles/{circleId}
+    // GET         /api/circles/{circleId}/deletion
+    // Archive / delete a circle (owner)
+    // POST        /api/circles/{circleId}/leave
+    // DELETE      /api/circles/{circleId}/members/{memberUserId}
+    // Leave a circle / remove a member (owner/admin)
+    // PUT         /api/circles/{circleId}/members/{memberUserId}/role
+    // POST        /api/circles/{circleId}/transfer-ownership
+    // Promote / demote / hand over ownership (owner)
+    // GET         /api/circles/{circleId}/join-requests
+    // POST        /api/circles/{circleId}/join-requests/{requestUserId}
+    // Review join requests from approval links (owner/admin)
+    // GET/POST    /api/circles/{circleId}/celebrations
+    // PATCH/DELETE /api/circles/{circleId}/celebrations/{celebrationId}
+    // Birthdays + anniversaries (members)
+    // --------------------------------------------------
+    if (
+      path.startsWith("/api/circles/") &&
+      event.pathParameters &&
+      event.pathParameters.circleId &&
+      !event.pathParameters.messageId
+    ) {
+      const circleId = event.pathParameters.circleId;
+      const circleContext = {
+        userId,
+        jwtAuthor,
+        userCircleSet,
+      };
+
+      if (
+        (method === "POST" || method === "DELETE") &&
+        path.endsWith(`/api/circles/${circleId}/archive`)
+      ) {
+        return await handleArchiveCircle(event, circleContext);
+      }
+
+      if (method === "DELETE" && path.endsWith(`/api/circles/${circleId}`)) {
+        return await handleDeleteCircle(event, circleContext);
+      }
+
+      if (
+        method === "GET" &&
+        path.endsWith(`/api/circles/${circleId}/deletion`)
+      ) {
+        return await handleGetCircleDeletion(event, circleContext);
+      }
+
+      if (method === "POST" && path.endsWith(`/api/circles/${circleId}/leave`)) {
+        return await handleLeaveCircle(event, circleContext);
+      }
+
+      if (method === "DELETE" && event.pathParameters.memberUserId) {
+        return await handleRemoveCircleMember(event, circleContext);
+      }
+
+      if (
+        method === "PUT" &&
+        event.pathParameters.memberUserId &&
+        path.endsWith("/role")
+      ) {
+        return await handleUpdateMemberRole(event, circleContext);
+      }
+
+      if (
+        method === "POST" &&
+        path.endsWith(`/api/circles/${circleId}/transfer-ownership`)
+      ) {
+        return await handleTransferOwnership(event, circleContext);
+      }
+
+      if (
+        method === "GET" &&
+        path.endsWith(`/api/circles/${circleId}/join-requests`)
+      ) {
+        return await handleListJoinRequests(event, circleContext);
+      }
+
+      if (
+        method === "GET" &&
+        path.endsWith(`/api/circles/${circleId}/search`)
+      ) {
+        return await handleSearchCircle(event, circleContext);
+      }
+
+      if (
+        method === "GET" &&
+        path.endsWith(`/api/circles/${circleId}/export`)
+      ) {
+        return await handleExportCircle(event, circleContext);
+      }
+
+      if (path.includes(`/api/circles/${circleId}/celebrations`)) {
+        if (event.pathParameters.celebrationId) {
+          if (method === "PATCH") {
+            return await handleUpdateCelebration(event, circleContext);
+          }
+          if (method === "DELETE") {
+            return await handleDeleteCelebration(event, circleContext);
+          }
+        } else if (method === "GET") {
+          return await handleListCelebrations(event, circleContext);
+        } else if (method === "POST") {
+          return await handleCreateCelebration(event, circleContext);
+        }
+      }
+
+      if (
+        method === "GET" &&
+        path.endsWith(`/api/circles/${circleId}/calendar`)
+      ) {
+        return await handleGetCalendarFeedUrl(event, circleContext);
+      }
+
+      if (
+        method === "POST" &&
+        path.endsWith(`/api/circles/${circleId}/calendar/reset`)
+      ) {
+        return await handleResetCalendarFeed(event, circleContext);
+      }
+
+      if (
+        method === "POST" &&
+        path.endsWith(`/api/circles/${circleId}/import`)
+      ) {
+        return await handleImportCircleChat(event, circleContext);
+      }
+
+      if (
+        method === "POST" &&
+        path.endsWith(`/api/circles/${circleId}/attachments`)
+      ) {
+        return await handleCreateAttachmentUpload(event, circleContext);
+      }
+
+      if (method === "POST" && event.pathParameters.requestUserId) {
+        return await handleDecideJoinRequest(event, circleContext);
+      }
+    }
+
+    // --------------------------------------------------
+    // PATCH /api/circles/{circleId}
+    // Edit circle name/description/tags (owner/admin)
+    // --------------------------------------------------
+    if (
+      method === "PATCH" &&
+      event.pathParameters &&
+      event.pathParameters.circleId &&
+      !event.pathParameters.messageId &&
+      path.endsWith(`/api/circles/${event.pathParameters.circleId}`)
+    ) {
+      return await handleUpdateCircle(event, {
+        userId,
+        jwtAuthor,
+        userCircleSet,
+      });
+    }
+
+    // --------------------------------------------------
+    // PUT /api/circles/{circleId}/schedule
+    // Question-of-the-day schedule (owner/admin)
+    // --------------------------------------------------
+    if (
+      method === "PUT" &&
+      path.startsWith("/api/circles/") &&
+      path.endsWith("/schedule") &&
+      event.pathParameters &&
+      event.pathParameters.circleId
+    ) {
+      return await handleUpdateQuestionSchedule(event, {
+        userId,
+        jwtAuthor,
+        userCircleSet,
+      });
+    }
+
+    // --------------------------------------------------
+    // PUT  /api/circles/{circleId}/rotation
+    // POST /api/circles/{circleId}/rotation/skip
+    // Asker-of-the-week rotation
+    // --------------------------------------------------
+    if (
+      path.startsWith("/api/circles/") &&
+      event.pathParameters &&
+      event.pathParameters.circleId &&
+      ((method === "PUT" && path.endsWith("/rotation")) ||
+        (method === "POST" && path.endsWith("/rotation/skip")))
+    ) {
+      const rotationContext = {
+        userId,
+        jwtAuthor,
+        userCircleSet,
+      };
+
+      if (method === "PUT") {
+        return await handleUpdateRotation(event, rotationContext);
+      }
+      return await handleSkipRotationTurn(event, rotationContext);
+    }
+
+    // --------------------------------------------------
+    // GET /api/circles/{circleId}/questions/{questionId}
+    // A question with all its answers/replies (ThreadIndex)
+    // --------------------------------------------------
+    if (
+      method === "GET" &&
+      path.startsWith("/api/circles/") &&
+      event.pathParameters &&
+      event.pathParameters.circleId &&
+      event.pathParameters.questionId
+    ) {
+      return await handleGetQuestionThread(event, {
+        userId,
+        jwtAuthor,
+        userCircleSet,
+      });
+    }
+
+    // --------------------------------------------------
+    // POST/DELETE /api/circles/{circleId}/messages/{messageId}/reactions
+    // (must come before the message PATCH/DELETE route below)
+    // --------------------------------------------------
+    if (
+      (method === "POST" || method === "DELETE") &&
+      path.startsWith("/api/circles/") &&
+      path.endsWith("/reactions") &&
+      event.pathParameters &&
+      event.pathParameters.circleId &&
+      event.pathParameters.messageId
+    ) {
+      return await handleMessageReaction(event, {
+        userId,
+        jwtAuthor,
+        userCircleSet,
+      });
+    }
+
+    // --------------------------------------------------
+    // POST /api/circles/{circleId}/messages/{messageId}/votes
+    // POST /api/circles/{circleId}/messages/{messageId}/close
+    // Poll votes and early close
+    // --------------------------------------------------
+    if (
+      method === "POST" &&
+      path.startsWith("/api/circles/") &&
+      (path.endsWith("/votes") || path.endsWith("/close")) &&
+      event.pathParameters &&
+      event.pathParameters.circleId &&
+      event.pathParameters.messageId
+    ) {
+      const pollContext = {
+        userId,
+        jwtAuthor,
+        userCircleSet,
+      };
+
+      if (path.endsWith("/votes")) {
+        return await handlePollVote(event, pollContext);
+      }
+      return await handleClosePoll(event, pollContext);
+    }
+
+    // --------------------------------------------------
+    // POST /api/circles/{circleId}/messages/{messageId}/rsvp
+    // Yes/no/maybe (+ headcount) on an event
+    // --------------------------------------------------
+    if (
+      method === "POST" &&
+      path.startsWith("/api/circles/") &&
+      path.endsWith("/rsvp") &&
+      event.pathParameters &&
+      event.pathParameters.circleId &&
+      event.pathParameters.messageId
+    ) {
+      return await handleEventRsvp(event, {
+        userId,
+        jwtAuthor,
+        userCircleSet,
+      });
+    }
+
+    // --------------------------------------------------
+    // PATCH  /api/circles/{circleId}/messages/{messageId}
+    // DELETE /api/circles/{circleId}/messages/{messageId}
+    // Edit (with history) or tombstone a message
+    // --------------------------------------------------
+    if (
+      (method === "PATCH" || method === "DELETE") &&
+      path.startsWith("/api/circles/") &&
+      event.pathParameters &&
+      event.pathParameters.circleId &&
+      event.pathParameters.messageId
+    ) {
+      const messageContext = {
+        userId,
+        jwtAuthor,
+        userCircleSet,
+      };
+
+      if (method === "PATCH") {
+        return await handleUpdateMessage(event, messageContext);
+      }
+      return await handleDeleteMessage(event, messageContext);
+    }
+
+    // --------------------------------------------------
+    // GET/PUT /api/notifications/preferences
+    // Per-circle notification levels and quiet hours for this user
+    // --------------------------------------------------
+    if (path.endsWith("/api/notifications/preferences")) {
+      const preferencesContext = { userId, userCircleSet, jwtClaims };
+      if (method === "GET") {
+        return await handleGetNotificationPreferences(event, preferencesContext);
+      }
+      if (method === "PUT") {
+        return await handleUpdateNotificationPreferences(event, preferencesContext);
+      }
+    }
+
     // --------------------------------------------------
     // POST /api/notifications/subscribe
     // Save or update a device's push subscription for this user
@@ -1939,3 +9686,26 @@ exports.handler = async (event) => {
     });
   }
 };
+
+// Shared with the scheduled Lambdas (same asset, same env vars)
+exports.generateConversationPrompts = generateConversationPrompts;
+exports.createCircleMessage = createCircleMessage;
+exports.enqueueNewQuestionPushEvent = enqueueNewQuestionPushEvent;
+exports.computeNextScheduledRunAt = computeNextScheduledRunAt;
+exports.advanceCircleRotation = advanceCircleRotation;
+exports.closeDuePolls = closeDuePolls;
+exports.sendDueEventReminders = sendDueEventReminders;
+exports.getCircle = getCircle;
+exports.getUserMembershipCircleIds = getUserMembershipCircleIds;
+exports.sendEmail = sendEmail;
+exports.escapeHtml = escapeHtml;
+exports.getDigestUnsubscribeUrl = getDigestUnsubscribeUrl;
+exports.isThreadRootType = isThreadRootType;
+exports.getLocalDateString = getLocalDateString;
+exports.getLocalHour = getLocalHour;
+exports.addDaysToDateString = addDaysToDateString;
+exports.getCelebrationOccurrence = getCelebrationOccurrence;
+exports.getCelebrationTurning = getCelebrationTurning;
+exports.buildCelebrationQuestionText = buildCelebrationQuestionText;
+exports.getCircleTimeZone = getCircleTimeZone;
+exports.enqueueCelebrationReminderPushEvent = enqueueCelebrationReminderPushEvent;
@@ -0,0 +1,360 @@
+// lambdas/digest-sender.js
+//
+// EventBridge-triggered (once a day): emails members who opted in to a
+// digest (PUT /api/notifications/preferences { "digest": "daily" | "weekly" })
+// a summary of new questions and answers across their circles since the
+// last one. Circles they muted are left out, as are their own posts.
+//
+// Each user's digest.lastSentAt is advanced with a conditional update before
+// sending, so overlapping runs can't send the same digest twice. Nothing
+// new means no email (the window still moves on).
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  QueryCommand,
+  ScanCommand,
+  UpdateCommand,
+} = require("@aws-sdk/lib-dynamodb");
+
+const {
+  getCircle,
+  getUserMembershipCircleIds,
+  sendEmail,
+  escapeHtml,
+  getDigestUnsubscribeUrl,
+  isThreadRootType,
+} = require("./circles-api-handler");
+
+// --- Env vars ---
+const TABLE_NAME = process.env.TABLE_NAME || "CirclesMessagesV2";
+const PREFERENCES_TABLE_NAME =
+  process.env.CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME || "CircleNotificationPreferences";
+const FRONTEND_BASE_URL =
+  process.env.FRONTEND_BASE_URL || "https://circles.behrens-hub.com";
+
+// Runs once a day; a little slack so a run that starts a few minutes early
+// doesn't push a digest back a whole period
+const DIGEST_MIN_GAP_MS = {
+  daily: 20 * 60 * 60 * 1000,
+  weekly: (6 * 24 + 20) * 60 * 60 * 1000,
+};
+
+// Per circle, per digest
+const DIGEST_MAX_MESSAGES_READ = 500;
+const DIGEST_MAX_ITEMS_SHOWN = 5;
+const DIGEST_PREVIEW_LENGTH = 160;
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+async function findDigestSubscribers() {
+  const items = [];
+  let exclusiveStartKey = undefined;
+
+  do {
+    const res = await ddb.send(
+      new ScanCommand({
+        TableName: PREFERENCES_TABLE_NAME,
+        FilterExpression: "attribute_exists(digest)",
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    items.push(...(res.Items || []));
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return items;
+}
+
+/**
+ * Move digest.lastSentAt from what we read to `nowIso`. Returns false when
+ * another run got there first or the user turned the digest off meanwhile.
+ */
+async function claimDigest(prefs, nowIso) {
+  try {
+    await ddb.send(
+      new UpdateCommand({
+        TableName: PREFERENCES_TABLE_NAME,
+        Key: { userId: prefs.userId },
+        UpdateExpression: "SET digest.lastSentAt = :now",
+        ConditionExpression: "digest.lastSentAt = :previous",
+        ExpressionAttributeValues: {
+          ":now": nowIso,
+          ":previous": prefs.digest.lastSentAt,
+        },
+      })
+    );
+    return true;
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") return false;
+    throw err;
+  }
+}
+
+/**
+ * Undo claimDigest after a failed send, so the next run retries the same
+ * period. Only while digest.lastSentAt is still our claim. Best effort.
+ */
+async function releaseDigest(prefs, nowIso) {
+  try {
+    await ddb.send(
+      new UpdateCommand({
+        TableName: PREFERENCES_TABLE_NAME,
+        Key: { userId: prefs.userId },
+        UpdateExpression: "SET digest.lastSentAt = :previous",
+        ConditionExpression: "digest.lastSentAt = :now",
+        ExpressionAttributeValues: {
+          ":now": nowIso,
+          ":previous": prefs.digest.lastSentAt,
+        },
+      })
+    );
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") return;
+    console.error("Failed to release digest claim:", { userId: prefs.userId, err });
+  }
+}
+
+/**
+ * Messages posted in a circle after `sinceIso` (messageKey starts with
+ * createdAt, so a key range does it).
+ */
+async function listMessagesSince(circleId, sinceIso) {
+  const items = [];
+  let exclusiveStartKey = undefined;
+
+  do {
+    const res = await ddb.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        KeyConditionExpression: "familyId = :f AND messageKey > :since",
+        ExpressionAttributeValues: { ":f": circleId, ":since": sinceIso },
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    items.push(...(res.Items || []));
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey && items.length < DIGEST_MAX_MESSAGES_READ);
+
+  return items;
+}
+
+function previewText(item) {
+  const text = String(item.text || "").replace(/\s+/g, " ").trim();
+  if (!text) {
+    return (item.attachments || []).length ? "(photo or video)" : "";
+  }
+  return text.length > DIGEST_PREVIEW_LENGTH
+    ? `${text.slice(0, DIGEST_PREVIEW_LENGTH - 1)}…`
+    : text;
+}
+
+/**
+ * What's new in one circle for `userId`, or null when nothing is.
+ */
+async function collectCircleActivity(circle, userId, sinceIso) {
+  const items = (await listMessagesSince(circle.circleId, sinceIso)).filter(
+    (item) => !item.deleted && item.authorUserId !== userId
+  );
+
+  const questions = items.filter((item) => isThreadRootType(item.messageType));
+  const answers = items.filter(
+    (item) => item.messageType === "answer" && item.questionId
+  );
+  if (!questions.length && !answers.length) return null;
+
+  const questionTexts = new Map(
+    questions.map((item) => [item.messageId, previewText(item)])
+  );
+
+  return {
+    circleId: circle.circleId,
+    name: circle.name || circle.circleId,
+    url: `${FRONTEND_BASE_URL}/?circleId=${encodeURIComponent(circle.circleId)}`,
+    questionCount: questions.length,
+    answerCount: answers.length,
+    questions: questions.slice(0, DIGEST_MAX_ITEMS_SHOWN).map((item) => ({
+      author: item.author || "Someone",
+      text: previewText(item),
+    })),
+    answers: answers.slice(0, DIGEST_MAX_ITEMS_SHOWN).map((item) => ({
+      author: item.author || "Someone",
+      text: previewText(item),
+      questionText: questionTexts.get(item.questionId) || null,
+    })),
+  };
+}
+
+function pluralize(count, word) {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Subject, text and HTML bodies for one digest.
+ * @param {{ frequency: string, circles: Object[], unsubscribeUrl: string }} params
+ */
+function buildDigestEmail({ frequency, circles, unsubscribeUrl }) {
+  const questionCount = circles.reduce((n, c) => n + c.questionCount, 0);
+  const answerCount = circles.reduce((n, c) => n + c.answerCount, 0);
+  const period = frequency === "weekly" ? "this week" : "today";
+
+  const counts = [
+    questionCount ? pluralize(questionCount, "new question") : null,
+    answerCount ? pluralize(answerCount, "new answer") : null,
+  ]
+    .filter(Boolean)
+    .join(" and ");
+  const subject = `Circles ${period}: ${counts}`;
+
+  const text = [`Here's what your circles talked about ${period}.`, ""];
+  const html = [
+    `<p>Here's what your circles talked about ${period}.</p>`,
+  ];
+
+  for (const circle of circles) {
+    text.push(`== ${circle.name} ==`);
+    html.push(
+      `<h2 style="font-size:18px;margin:24px 0 8px;">${escapeHtml(circle.name)}</h2>`
+    );
+
+    if (circle.questions.length) {
+      text.push("New questions:");
+      html.push("<p><strong>New questions</strong></p><ul>");
+      for (const q of circle.questions) {
+        text.push(`- ${q.author}: ${q.text}`);
+        html.push(`<li><strong>${escapeHtml(q.author)}</strong>: ${escapeHtml(q.text)}</li>`);
+      }
+      const more = circle.questionCount - circle.questions.length;
+      if (more > 0) {
+        text.push(`  ...and ${more} more`);
+        html.push(`<li>&hellip;and ${more} more</li>`);
+      }
+      html.push("</ul>");
+    }
+
+    if (circle.answers.length) {
+      text.push("New answers:");
+      html.push("<p><strong>New answers</strong></p><ul>");
+      for (const a of circle.answers) {
+        const re = a.questionText ? ` (re: ${a.questionText})` : "";
+        text.push(`- ${a.author}: ${a.text}${re}`);
+        html.push(
+          `<li><strong>${escapeHtml(a.author)}</strong>: ${escapeHtml(a.text)}` +
+            (a.questionText
+              ? `<br/><span style="color:#6b7280;">re: ${escapeHtml(a.questionText)}</span>`
+              : "") +
+            "</li>"
+        );
+      }
+      const more = circle.answerCount - circle.answers.length;
+      if (more > 0) {
+        text.push(`  ...and ${more} more`);
+        html.push(`<li>&hellip;and ${more} more</li>`);
+      }
+      html.push("</ul>");
+    }
+
+    text.push(`Open ${circle.name}: ${circle.url}`, "");
+    html.push(
+      `<p><a href="${escapeHtml(circle.url)}">Open ${escapeHtml(circle.name)} &rarr;</a></p>`
+    );
+  }
+
+  text.push(
+    `You're getting this because you turned on the ${frequency} Circles digest.`,
+    `Unsubscribe: ${unsubscribeUrl}`
+  );
+  html.push(
+    `<p style="margin-top:32px;font-size:12px;color:#6b7280;">` +
+      `You're getting this because you turned on the ${frequency} Circles digest. ` +
+      `<a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`
+  );
+
+  return {
+    subject,
+    textBody: text.join("\n"),
+    htmlBody: `<html>\n  <body style="font-family:sans-serif;font-size:15px;line-height:1.4;">\n${html.join("\n")}\n  </body>\n</html>`,
+  };
+}
+
+async function sendDigest(prefs, now) {
+  const { userId, digest } = prefs;
+  const sinceIso = digest.lastSentAt;
+
+  if (now.getTime() - Date.parse(sinceIso) < DIGEST_MIN_GAP_MS[digest.frequency]) {
+    return;
+  }
+  const nowIso = now.toISOString();
+  if (!(await claimDigest(prefs, nowIso))) {
+    return;
+  }
+
+  try {
+    const muted = prefs.circles || {};
+    const circles = [];
+
+    for (const circleId of await getUserMembershipCircleIds(userId)) {
+      if (muted[circleId] === "muted") continue;
+
+      const circle = await getCircle(circleId);
+      // Archived/deleted circles (any status) are skipped
+      if (!circle || circle.status) continue;
+
+      const activity = await collectCircleActivity(circle, userId, sinceIso);
+      if (activity) circles.push(activity);
+    }
+
+    if (!circles.length) {
+      console.log("Nothing new for digest:", { userId, since: sinceIso });
+      return;
+    }
+
+    const unsubscribeUrl = getDigestUnsubscribeUrl(userId, digest.unsubscribeToken);
+    const email = buildDigestEmail({
+      frequency: digest.frequency,
+      circles,
+      unsubscribeUrl,
+    });
+
+    await sendEmail({
+      toEmail: digest.email,
+      ...email,
+      label: "digest",
+      // RFC 8058: mail apps show their own unsubscribe button and POST to it
+      headers: {
+        "List-Unsubscribe": `<${unsubscribeUrl}>`,
+        "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+      },
+    });
+
+    console.log("Digest sent:", {
+      userId,
+      frequency: digest.frequency,
+      circles: circles.length,
+    });
+  } catch (err) {
+    // Hand the period back, or this digest would never go out
+    await releaseDigest(prefs, nowIso);
+    throw err;
+  }
+}
+
+exports.handler = async () => {
+  const now = new Date();
+  const subscribers = await findDigestSubscribers();
+
+  console.log("Digest sender: subscribers =", subscribers.length);
+
+  for (const prefs of subscribers) {
+    try {
+      if (!prefs.digest || !prefs.digest.email || !DIGEST_MIN_GAP_MS[prefs.digest.frequency]) {
+        continue;
+      }
+      await sendDigest(prefs, now);
+    } catch (err) {
+      console.error("Digest failed for", prefs.userId, err);
+    }
+  }
+};
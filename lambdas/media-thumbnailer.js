@@ -0,0 +1,81 @@
+// lambdas/media-thumbnailer.js
+//
+// S3-triggered worker for the media bucket. Whenever an attachment lands at
+// media/{circleId}/{attachmentId}/original, writes a small JPEG next to it
+// (thumb.jpg) for message lists. Videos are left alone; the UI shows them
+// with the browser's own player.
+//
+// Re-running on the same object just overwrites the thumbnail.
+
+// --- AWS SDK v3 clients ---
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+} = require("@aws-sdk/client-s3");
+const sharp = require("sharp");
+
+const s3Client = new S3Client({});
+
+const THUMBNAIL_MAX_SIZE = 480;
+
+/**
+ * Lambda handler for S3 ObjectCreated events
+ * @param {import('aws-lambda').S3Event} event
+ */
+exports.handler = async (event) => {
+  for (const record of event.Records) {
+    const bucket = record.s3.bucket.name;
+    // Keys arrive URL-encoded, with spaces as "+"
+    const key = decodeURIComponent(record.s3.object.key.replace(/\+/g, " "));
+
+    if (!key.startsWith("media/") || !key.endsWith("/original")) continue;
+
+    // Check the type first so videos (up to 50 MB) are never downloaded
+    const head = await s3Client.send(
+      new HeadObjectCommand({ Bucket: bucket, Key: key })
+    );
+
+    if (!String(head.ContentType || "").startsWith("image/")) {
+      console.log("Skipping non-image attachment:", { key, contentType: head.ContentType });
+      continue;
+    }
+
+    const res = await s3Client.send(
+      new GetObjectCommand({ Bucket: bucket, Key: key })
+    );
+
+    const original = Buffer.from(await res.Body.transformToByteArray());
+
+    // rotate() applies the EXIF orientation; the JPEG output drops the EXIF
+    // (and with it any GPS position)
+    const thumbnail = await sharp(original, { animated: false })
+      .rotate()
+      .resize({
+        width: THUMBNAIL_MAX_SIZE,
+        height: THUMBNAIL_MAX_SIZE,
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+
+    const thumbKey = key.replace(/\/original$/, "/thumb.jpg");
+    await s3Client.send(
+      new PutObjectCommand({
+        Bucket: bucket,
+        Key: thumbKey,
+        Body: thumbnail,
+        ContentType: "image/jpeg",
+        CacheControl: "private, max-age=31536000, immutable",
+      })
+    );
+
+    console.log("Thumbnail written:", {
+      key: thumbKey,
+      originalBytes: original.length,
+      thumbnailBytes: thumbnail.length,
+    });
+  }
+};
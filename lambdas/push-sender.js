@@ -2,7 +2,7 @@
 
 // --- Env vars ---
 const subscriptionsTableName = process.env.CIRCLE_NOTIFICATION_SUBSCRIPTIONS_TABLE_NAME;
-const preferencesTableName = process.env.CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME; // not used yet
+const preferencesTableName = process.env.CIRCLE_NOTIFICATION_PREFERENCES_TABLE_NAME;
 const vapidPublicKey = process.env.PUSH_VAPID_PUBLIC_KEY;
 const vapidPrivateKey = process.env.PUSH_VAPID_PRIVATE_KEY;
 const vapidSubject = process.env.PUSH_VAPID_SUBJECT || "mailto:you@example.com";
@@ -14,6 +14,7 @@ const {
   DynamoDBDocumentClient,
   QueryCommand,
   ScanCommand,
+  BatchGetCommand,
 } = require("@aws-sdk/lib-dynamodb");
 
 const ddbClient = new DynamoDBClient({});
@@ -73,6 +74,7 @@ if (webpush && vapidPublicKey && vapidPrivateKey) {
  * @property {string} questionId
  * @property {string} questionPreview
  * @property {string} actorUserId
+ * @property {string[]} [mentions]      // lowercased @names from the text
  */
 
 /**
@@ -84,9 +86,81 @@ if (webpush && vapidPublicKey && vapidPrivateKey) {
  * @property {string} answerId
  * @property {string} answerPreview
  * @property {string} actorUserId
+ * @property {string[]} [mentions]
  */
 
 
+/**
+ * @typedef {Object} NewReplyPushEvent
+ * @property {'NEW_REPLY'} type
+ * @property {string} circleId
+ * @property {string} circleName
+ * @property {string|null} questionId
+ * @property {string} parentMessageId
+ * @property {string|null} parentAuthorUserId
+ * @property {string} replyId
+ * @property {string} replyPreview
+ * @property {string} actorUserId
+ * @property {string[]} [mentions]
+ */
+
+/**
+ * @typedef {Object} AskerTurnPushEvent
+ * @property {'ASKER_TURN'} type
+ * @property {string} circleId
+ * @property {string} circleName
+ * @property {string} userId       // the member whose turn it now is
+ * @property {string} nextTurnAt   // ISO; when the turn passes on
+ */
+
+/**
+ * @typedef {Object} JoinRequestPushEvent
+ * @property {'JOIN_REQUEST'} type
+ * @property {string} circleId
+ * @property {string} circleName
+ * @property {string} requesterUserId
+ * @property {string} requesterName
+ * @property {string[]} approverUserIds  // owners/admins, resolved by the API
+ */
+
+/**
+ * @typedef {Object} PollResultsPushEvent
+ * @property {'POLL_RESULTS'} type
+ * @property {string} circleId
+ * @property {string} circleName
+ * @property {string} pollId
+ * @property {string} pollPreview
+ * @property {{ text: string, votes: number }[]} results
+ * @property {number} totalVoters
+ * @property {string} actorUserId   // who closed it, or the scheduler
+ */
+
+/**
+ * @typedef {Object} EventReminderPushEvent
+ * @property {'EVENT_REMINDER'} type
+ * @property {string} circleId
+ * @property {string} circleName
+ * @property {string} eventId
+ * @property {string} eventPreview
+ * @property {string} startsAt            // ISO
+ * @property {string|null} location
+ * @property {string[]} declinedUserIds   // RSVP'd "no"; skipped
+ */
+
+/**
+ * @typedef {Object} CelebrationReminderPushEvent
+ * @property {'CELEBRATION_REMINDER'} type
+ * @property {string} circleId
+ * @property {string} circleName
+ * @property {string} celebrationId
+ * @property {'birthday'|'anniversary'} kind
+ * @property {string} name
+ * @property {string} date                // YYYY-MM-DD
+ * @property {number} daysAway
+ * @property {number|null} turning       // only when the age is shared
+ * @property {string|null} subjectUserId  // the person it's about; skipped
+ */
+
 /**
  * Lambda handler for SQS events
  * @param {import('aws-lambda').SQSEvent} event
@@ -160,7 +234,7 @@ async function getTargetUserIdsForNewQuestion(circleId, actorUserId) {
     // Deduplicate in case any user appears twice
     const uniqueUserIds = Array.from(new Set(userIds));
     console.log(
-      'Target userIds for NEW_QUESTION/NEW_ANSWER (excluding actor):',
+      'Target userIds for NEW_QUESTION/NEW_ANSWER/NEW_REPLY (excluding actor):',
       uniqueUserIds
     );
 
@@ -172,6 +246,146 @@ async function getTargetUserIdsForNewQuestion(circleId, actorUserId) {
 }
 
 
+/**
+ * Members of the circle whose name was @mentioned: "@Grandma" matches a
+ * display name's first word, or the whole name with the spaces removed.
+ * @param {string} circleId
+ * @param {string[]} mentions  // lowercased, without the "@"
+ */
+async function getMentionedUserIds(circleId, mentions) {
+  if (!mentions || !mentions.length || !membersTableName || !circleId) {
+    return [];
+  }
+
+  const wanted = new Set(mentions);
+
+  try {
+    const resp = await ddb.send(
+      new ScanCommand({
+        TableName: membersTableName,
+        FilterExpression: '#c = :c',
+        ExpressionAttributeNames: {
+          '#c': 'circleId',
+        },
+        ExpressionAttributeValues: {
+          ':c': circleId,
+        },
+      })
+    );
+
+    return (resp.Items || [])
+      .filter((m) => {
+        const name = String(m.displayName || '').trim().toLowerCase();
+        if (!m.userId || !name) return false;
+        return wanted.has(name.split(/\s+/)[0]) || wanted.has(name.replace(/\s+/g, ''));
+      })
+      .map((m) => m.userId);
+  } catch (err) {
+    console.error('Failed to resolve mentions for circle', circleId, err);
+    return [];
+  }
+}
+
+/**
+ * Preferences items by userId (see PUT /api/notifications/preferences):
+ * { userId, timezone, quietHours: { start, end } | null,
+ *   circles: { [circleId]: 'questions' | 'mentions' | 'muted' } }
+ * Users without an item get everything.
+ * @param {string[]} userIds
+ * @returns {Promise<Map<string, Object>>}
+ */
+async function loadNotificationPreferences(userIds) {
+  const byUser = new Map();
+  if (!preferencesTableName || !userIds.length) return byUser;
+
+  // BatchGet takes at most 100 keys per call
+  for (let i = 0; i < userIds.length; i += 100) {
+    let requestItems = {
+      [preferencesTableName]: {
+        Keys: userIds.slice(i, i + 100).map((userId) => ({ userId })),
+      },
+    };
+
+    try {
+      while (requestItems && Object.keys(requestItems).length) {
+        const resp = await ddb.send(new BatchGetCommand({ RequestItems: requestItems }));
+        for (const item of (resp.Responses || {})[preferencesTableName] || []) {
+          byUser.set(item.userId, item);
+        }
+        requestItems = resp.UnprocessedKeys;
+      }
+    } catch (err) {
+      // Better an unwanted push than a lost one
+      console.error('Failed to load notification preferences', err);
+    }
+  }
+
+  return byUser;
+}
+
+// Whether `now` falls in the user's quiet hours ("22:00".."07:00" wraps midnight)
+function isInQuietHours(prefs, now = new Date()) {
+  const quietHours = prefs && prefs.quietHours;
+  if (!quietHours || !quietHours.start || !quietHours.end) return false;
+
+  let local;
+  try {
+    local = new Intl.DateTimeFormat('en-GB', {
+      timeZone: prefs.timezone || 'UTC',
+      hourCycle: 'h23',
+      hour: '2-digit',
+      minute: '2-digit',
+    }).format(now);
+  } catch (err) {
+    console.warn('Invalid timezone in notification preferences:', prefs.timezone);
+    return false;
+  }
+
+  const { start, end } = quietHours;
+  return start <= end
+    ? local >= start && local < end
+    : local >= start || local < end;
+}
+
+/**
+ * Drop users who don't want this push right now.
+ * kind: 'question' (new questions, polls, events), 'activity' (answers,
+ * replies, results, reminders) or 'direct' (aimed at that person: their
+ * turn to ask, a join request to approve, a reply to their answer).
+ * A mention counts as direct. 'muted' and quiet hours silence everything.
+ * @param {string[]} targetUserIds
+ * @param {string} circleId
+ * @param {'question'|'activity'|'direct'} kind
+ * @param {string[]} [mentionedUserIds]
+ */
+async function filterByNotificationPreferences(targetUserIds, circleId, kind, mentionedUserIds = []) {
+  const prefsByUser = await loadNotificationPreferences(targetUserIds);
+  if (!prefsByUser.size) return targetUserIds;
+
+  const mentioned = new Set(mentionedUserIds);
+  const now = new Date();
+
+  return targetUserIds.filter((userId) => {
+    const prefs = prefsByUser.get(userId);
+    if (!prefs) return true;
+
+    const level = (prefs.circles && prefs.circles[circleId]) || 'all';
+    let wanted;
+    if (level === 'muted') wanted = false;
+    else if (kind === 'direct' || mentioned.has(userId)) wanted = true;
+    else if (level === 'questions') wanted = kind === 'question';
+    else wanted = level !== 'mentions';
+
+    if (wanted && isInQuietHours(prefs, now)) {
+      console.log('Skipping push during quiet hours for user', userId);
+      return false;
+    }
+    if (!wanted) {
+      console.log(`Skipping ${kind} push for user`, userId, '(preference:', level + ')');
+    }
+    return wanted;
+  });
+}
 
 /**
  * Process a single SQS record
@@ -225,6 +439,121 @@ async function handleRecord(record) {
       }
 
       await sendNewAnswerNotificationToCircleMembers(parsed);
+    } else if (parsed.type === 'NEW_REPLY') {
+      console.log('NEW_REPLY push event:', {
+        circleId: parsed.circleId,
+        circleName: parsed.circleName,
+        parentMessageId: parsed.parentMessageId,
+        replyId: parsed.replyId,
+        actorUserId: parsed.actorUserId,
+        preview: parsed.replyPreview,
+      });
+
+      if (!vapidPublicKey || !vapidPrivateKey) {
+        console.warn('Skipping push send: VAPID keys not configured');
+        return;
+      }
+
+      if (!subscriptionsTableName) {
+        console.warn('Skipping push send: subscriptions table name not configured');
+        return;
+      }
+
+      await sendNewReplyNotificationToCircleMembers(parsed);
+    } else if (parsed.type === 'ASKER_TURN') {
+      console.log('ASKER_TURN push event:', {
+        circleId: parsed.circleId,
+        circleName: parsed.circleName,
+        userId: parsed.userId,
+        nextTurnAt: parsed.nextTurnAt,
+      });
+
+      if (!vapidPublicKey || !vapidPrivateKey) {
+        console.warn('Skipping push send: VAPID keys not configured');
+        return;
+      }
+
+      if (!subscriptionsTableName) {
+        console.warn('Skipping push send: subscriptions table name not configured');
+        return;
+      }
+
+      await sendAskerTurnNotification(parsed);
+    } else if (parsed.type === 'JOIN_REQUEST') {
+      console.log('JOIN_REQUEST push event:', {
+        circleId: parsed.circleId,
+        circleName: parsed.circleName,
+        requesterUserId: parsed.requesterUserId,
+      });
+
+      if (!vapidPublicKey || !vapidPrivateKey) {
+        console.warn('Skipping push send: VAPID keys not configured');
+        return;
+      }
+
+      if (!subscriptionsTableName) {
+        console.warn('Skipping push send: subscriptions table name not configured');
+        return;
+      }
+
+      await sendJoinRequestNotification(parsed);
+    } else if (parsed.type === 'POLL_RESULTS') {
+      console.log('POLL_RESULTS push event:', {
+        circleId: parsed.circleId,
+        circleName: parsed.circleName,
+        pollId: parsed.pollId,
+        totalVoters: parsed.totalVoters,
+      });
+
+      if (!vapidPublicKey || !vapidPrivateKey) {
+        console.warn('Skipping push send: VAPID keys not configured');
+        return;
+      }
+
+      if (!subscriptionsTableName) {
+        console.warn('Skipping push send: subscriptions table name not configured');
+        return;
+      }
+
+      await sendPollResultsNotification(parsed);
+    } else if (parsed.type === 'EVENT_REMINDER') {
+      console.log('EVENT_REMINDER push event:', {
+        circleId: parsed.circleId,
+        circleName: parsed.circleName,
+        eventId: parsed.eventId,
+        startsAt: parsed.startsAt,
+      });
+
+      if (!vapidPublicKey || !vapidPrivateKey) {
+        console.warn('Skipping push send: VAPID keys not configured');
+        return;
+      }
+
+      if (!subscriptionsTableName) {
+        console.warn('Skipping push send: subscriptions table name not configured');
+        return;
+      }
+
+      await sendEventReminderNotification(parsed);
+    } else if (parsed.type === 'CELEBRATION_REMINDER') {
+      console.log('CELEBRATION_REMINDER push event:', {
+        circleId: parsed.circleId,
+        circleName: parsed.circleName,
+        celebrationId: parsed.celebrationId,
+        date: parsed.date,
+      });
+
+      if (!vapidPublicKey || !vapidPrivateKey) {
+        console.warn('Skipping push send: VAPID keys not configured');
+        return;
+      }
+
+      if (!subscriptionsTableName) {
+        console.warn('Skipping push send: subscriptions table name not configured');
+        return;
+      }
+
+      await sendCelebrationReminderNotification(parsed);
     } else {
       console.warn('Unknown push event type:', parsed.type);
     }
@@ -239,26 +568,199 @@ async function handleRecord(record) {
 }
 
 
-async function sendNewQuestionNotificationToCircleMembers(event) {
-  const { circleId, actorUserId } = event;
+/**
+ * Only the new asker is notified.
+ * @param {AskerTurnPushEvent} event
+ */
+async function sendAskerTurnNotification(event) {
+  if (!event.userId) {
+    console.warn('ASKER_TURN event has no userId; nothing to send');
+    return;
+  }
 
-  const targetUserIds = await getTargetUserIdsForNewQuestion(circleId, actorUserId);
+  const payload = JSON.stringify({
+    title: event.circleName
+      ? `Your turn to ask in ${event.circleName}`
+      : 'Your turn to ask a question',
+    body: 'Post a question for the circle this week.',
+    circleId: event.circleId,
+    url: event.circleId
+      ? `/?circleId=${encodeURIComponent(event.circleId)}`
+      : '/',
+  });
+
+  const targetUserIds = await filterByNotificationPreferences(
+    [event.userId],
+    event.circleId,
+    'direct'
+  );
+  await sendPushToUsers(targetUserIds, payload, 'ASKER_TURN');
+}
+
+/**
+ * Owners/admins who can approve the request are notified.
+ * @param {JoinRequestPushEvent} event
+ */
+async function sendJoinRequestNotification(event) {
+  const targetUserIds = await filterByNotificationPreferences(
+    (event.approverUserIds || []).filter(
+      (userId) => !!userId && userId !== event.requesterUserId
+    ),
+    event.circleId,
+    'direct'
+  );
+
+  if (targetUserIds.length === 0) {
+    console.warn('JOIN_REQUEST event has no approvers; nothing to send');
+    return;
+  }
+
+  const payload = JSON.stringify({
+    title: event.circleName
+      ? `Join request for ${event.circleName}`
+      : 'New join request',
+    body: `${event.requesterName || 'Someone'} wants to join. Approve or deny them in Circle members.`,
+    circleId: event.circleId,
+    url: event.circleId
+      ? `/?circleId=${encodeURIComponent(event.circleId)}`
+      : '/',
+  });
+
+  await sendPushToUsers(targetUserIds, payload, 'JOIN_REQUEST');
+}
+
+/**
+ * Everyone in the circle except whoever closed the poll gets the results,
+ * leading option first.
+ * @param {PollResultsPushEvent} event
+ */
+async function sendPollResultsNotification(event) {
+  const targetUserIds = await filterByNotificationPreferences(
+    await getTargetUserIdsForNewQuestion(event.circleId, event.actorUserId),
+    event.circleId,
+    'activity'
+  );
   if (!targetUserIds.length) {
-    console.log('No target users for NEW_QUESTION event; nothing to send');
+    console.log('No target users for POLL_RESULTS event; nothing to send');
     return;
   }
 
+  const results = (event.results || [])
+    .slice()
+    .sort((a, b) => b.votes - a.votes)
+    .map((r) => `${r.text} ${r.votes}`)
+    .join(' \u00b7 ');
+
   const payload = JSON.stringify({
     title: event.circleName
-      ? `New question in ${event.circleName}`
-      : 'New question in Circles',
-    body: event.questionPreview || 'Someone posted a new question.',
+      ? `Poll closed in ${event.circleName}`
+      : 'Poll closed',
+    body: event.pollPreview
+      ? `${event.pollPreview}\n${results || 'No votes'}`
+      : results || 'No votes',
+    circleId: event.circleId,
+    url: event.circleId
+      ? `/?circleId=${encodeURIComponent(event.circleId)}`
+      : '/',
+  });
+
+  await sendPushToUsers(targetUserIds, payload, 'POLL_RESULTS');
+}
+
+/**
+ * Everyone in the circle except those who said they're not coming.
+ * @param {EventReminderPushEvent} event
+ */
+async function sendEventReminderNotification(event) {
+  const declined = new Set(event.declinedUserIds || []);
+  const targetUserIds = await filterByNotificationPreferences(
+    (await getTargetUserIdsForNewQuestion(event.circleId, null)).filter(
+      (userId) => !declined.has(userId)
+    ),
+    event.circleId,
+    'activity'
+  );
+
+  if (!targetUserIds.length) {
+    console.log('No target users for EVENT_REMINDER event; nothing to send');
+    return;
+  }
+
+  // "in 3 hours" / "in 2 days" from when the reminder goes out
+  const minutesAway = Math.max(
+    0,
+    Math.round((Date.parse(event.startsAt) - Date.now()) / 60000)
+  );
+  const startsIn =
+    minutesAway < 90
+      ? `in ${minutesAway} minutes`
+      : minutesAway < 36 * 60
+        ? `in ${Math.round(minutesAway / 60)} hours`
+        : `in ${Math.round(minutesAway / (24 * 60))} days`;
+
+  const payload = JSON.stringify({
+    title: event.eventPreview || 'Upcoming event',
+    body:
+      `Starts ${startsIn}` +
+      (event.location ? ` at ${event.location}` : '') +
+      (event.circleName ? ` (${event.circleName})` : ''),
     circleId: event.circleId,
     url: event.circleId
       ? `/?circleId=${encodeURIComponent(event.circleId)}`
       : '/',
   });
 
+  await sendPushToUsers(targetUserIds, payload, 'EVENT_REMINDER');
+}
+
+/**
+ * Everyone in the circle except the person being celebrated (no spoiling
+ * their own surprise).
+ * @param {CelebrationReminderPushEvent} event
+ */
+async function sendCelebrationReminderNotification(event) {
+  const targetUserIds = await filterByNotificationPreferences(
+    await getTargetUserIdsForNewQuestion(event.circleId, event.subjectUserId || null),
+    event.circleId,
+    'activity'
+  );
+
+  if (!targetUserIds.length) {
+    console.log('No target users for CELEBRATION_REMINDER event; nothing to send');
+    return;
+  }
+
+  const when = event.daysAway === 1 ? 'tomorrow' : `in ${event.daysAway} days`;
+  const what =
+    event.kind === 'anniversary'
+      ? `${event.name}'s ${event.turning ? `${event.turning}-year ` : ''}anniversary`
+      : event.turning
+        ? `${event.name} turns ${event.turning}`
+        : `${event.name}'s birthday`;
+
+  const payload = JSON.stringify({
+    title: event.kind === 'anniversary' ? '💍 Anniversary coming up' : '🎂 Birthday coming up',
+    body:
+      (event.kind === 'birthday' && event.turning
+        ? `${what} ${when}`
+        : `${what} is ${when}`) +
+      (event.circleName ? ` (${event.circleName})` : ''),
+    circleId: event.circleId,
+    url: event.circleId
+      ? `/?circleId=${encodeURIComponent(event.circleId)}`
+      : '/',
+  });
+
+  await sendPushToUsers(targetUserIds, payload, 'CELEBRATION_REMINDER');
+}
+
+/**
+ * Send one push payload to every subscribed device of each target user.
+ * @param {string[]} targetUserIds
+ * @param {string} payload            // JSON string
+ * @param {string} eventLabel         // for logging, e.g. 'NEW_ANSWER'
+ */
+async function sendPushToUsers(targetUserIds, payload, eventLabel) {
   for (const userId of targetUserIds) {
     const subscriptions = await loadSubscriptionsForUser(userId);
     if (!subscriptions.length) {
@@ -275,17 +777,17 @@ async function sendNewQuestionNotificationToCircleMembers(event) {
       };
 
       try {
-        console.log('Sending push to endpoint:', sub.endpoint, 'for user', userId);
+        console.log(`Sending ${eventLabel} push to endpoint:`, sub.endpoint, 'for user', userId);
         await webpush.sendNotification(pushSubscription, payload);
         console.log(
-          'Push sent successfully to subscriptionId',
+          `${eventLabel} push sent successfully to subscriptionId`,
           sub.subscriptionId,
           'for user',
           userId
         );
       } catch (err) {
         console.error(
-          'Failed to send push to subscriptionId',
+          `Failed to send ${eventLabel} push to subscriptionId`,
           sub.subscriptionId,
           'for user',
           userId,
@@ -298,10 +800,43 @@ async function sendNewQuestionNotificationToCircleMembers(event) {
   }
 }
 
+async function sendNewQuestionNotificationToCircleMembers(event) {
+  const { circleId, actorUserId } = event;
+
+  const targetUserIds = await filterByNotificationPreferences(
+    await getTargetUserIdsForNewQuestion(circleId, actorUserId),
+    circleId,
+    'question',
+    await getMentionedUserIds(circleId, event.mentions)
+  );
+  if (!targetUserIds.length) {
+    console.log('No target users for NEW_QUESTION event; nothing to send');
+    return;
+  }
+
+  const payload = JSON.stringify({
+    title: event.circleName
+      ? `New question in ${event.circleName}`
+      : 'New question in Circles',
+    body: event.questionPreview || 'Someone posted a new question.',
+    circleId: event.circleId,
+    url: event.circleId
+      ? `/?circleId=${encodeURIComponent(event.circleId)}`
+      : '/',
+  });
+
+  await sendPushToUsers(targetUserIds, payload, 'NEW_QUESTION');
+}
+
 async function sendNewAnswerNotificationToCircleMembers(event) {
   const { circleId, actorUserId } = event;
 
-  const targetUserIds = await getTargetUserIdsForNewQuestion(circleId, actorUserId);
+  const targetUserIds = await filterByNotificationPreferences(
+    await getTargetUserIdsForNewQuestion(circleId, actorUserId),
+    circleId,
+    'activity',
+    await getMentionedUserIds(circleId, event.mentions)
+  );
   if (!targetUserIds.length) {
     console.log('No target users for NEW_ANSWER event; nothing to send');
     return;
@@ -320,42 +855,70 @@ async function sendNewAnswerNotificationToCircleMembers(event) {
       : '/',
   });
 
-  for (const userId of targetUserIds) {
-    const subscriptions = await loadSubscriptionsForUser(userId);
-    if (!subscriptions.length) {
-      continue;
-    }
+  await sendPushToUsers(targetUserIds, payload, 'NEW_ANSWER');
+}
 
-    for (const sub of subscriptions) {
-      const pushSubscription = {
-        endpoint: sub.endpoint,
-        keys: {
-          p256dh: sub.p256dh,
-          auth: sub.auth,
-        },
-      };
+/**
+ * Replies go to the whole circle; the author of the answer being replied to
+ * gets a more specific title.
+ * @param {NewReplyPushEvent} event
+ */
+async function sendNewReplyNotificationToCircleMembers(event) {
+  const { circleId, actorUserId, parentAuthorUserId } = event;
+
+  const allTargets = await getTargetUserIdsForNewQuestion(circleId, actorUserId);
+  const mentionedUserIds = await getMentionedUserIds(circleId, event.mentions);
+  // The answer's author is addressed directly; everyone else is activity
+  const targetUserIds = [
+    ...(await filterByNotificationPreferences(
+      allTargets.filter((u) => u === parentAuthorUserId),
+      circleId,
+      'direct'
+    )),
+    ...(await filterByNotificationPreferences(
+      allTargets.filter((u) => u !== parentAuthorUserId),
+      circleId,
+      'activity',
+      mentionedUserIds
+    )),
+  ];
+  if (!targetUserIds.length) {
+    console.log('No target users for NEW_REPLY event; nothing to send');
+    return;
+  }
 
-      try {
-        console.log('Sending NEW_ANSWER push to endpoint:', sub.endpoint, 'for user', userId);
-        await webpush.sendNotification(pushSubscription, payload);
-        console.log(
-          'NEW_ANSWER push sent successfully to subscriptionId',
-          sub.subscriptionId,
-          'for user',
-          userId
-        );
-      } catch (err) {
-        console.error(
-          'Failed to send NEW_ANSWER push to subscriptionId',
-          sub.subscriptionId,
-          'for user',
-          userId,
-          err && err.statusCode,
-          err && err.body
-        );
-        // Later: if 410/404, delete subscription
-      }
-    }
+  const basePayload = {
+    body: event.replyPreview || 'Someone replied to an answer.',
+    circleId: event.circleId,
+    questionId: event.questionId,
+    parentMessageId: event.parentMessageId,
+    replyId: event.replyId,
+    url: event.circleId
+      ? `/?circleId=${encodeURIComponent(event.circleId)}`
+      : '/',
+  };
+
+  const parentAuthorTargets = targetUserIds.filter((u) => u === parentAuthorUserId);
+  const otherTargets = targetUserIds.filter((u) => u !== parentAuthorUserId);
+
+  if (parentAuthorTargets.length) {
+    const payload = JSON.stringify({
+      ...basePayload,
+      title: event.circleName
+        ? `New reply to your answer in ${event.circleName}`
+        : 'New reply to your answer',
+    });
+    await sendPushToUsers(parentAuthorTargets, payload, 'NEW_REPLY');
+  }
+
+  if (otherTargets.length) {
+    const payload = JSON.stringify({
+      ...basePayload,
+      title: event.circleName
+        ? `New reply in ${event.circleName}`
+        : 'New reply in Circles',
+    });
+    await sendPushToUsers(otherTargets, payload, 'NEW_REPLY');
   }
 }
 
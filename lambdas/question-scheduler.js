@@ -0,0 +1,202 @@
+// lambdas/question-scheduler.js
+//
+// EventBridge-triggered (every 15 minutes):
+// - posts a "question of the day" into each circle whose schedule is due,
+//   then sends the usual NEW_QUESTION push event
+//   (see PUT /api/circles/{circleId}/schedule)
+// - hands the asker rotation to the next person when a turn ends
+//   (see PUT /api/circles/{circleId}/rotation)
+// - closes polls whose closesAt has passed and sends the POLL_RESULTS push
+// - sends EVENT_REMINDER pushes ahead of events
+
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  ScanCommand,
+  UpdateCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { randomUUID } = require("crypto");
+
+const {
+  generateConversationPrompts,
+  createCircleMessage,
+  enqueueNewQuestionPushEvent,
+  computeNextScheduledRunAt,
+  advanceCircleRotation,
+  closeDuePolls,
+  sendDueEventReminders,
+} = require("./circles-api-handler");
+
+// --- Env vars ---
+const CIRCLES_TABLE_NAME = process.env.CIRCLES_TABLE_NAME || "Circles";
+
+// Author shown on scheduled questions (no real user behind them)
+const SCHEDULER_AUTHOR = "Question of the day";
+const SCHEDULER_USER_ID = "system:question-scheduler";
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+/**
+ * Active circles with a schedule or rotation turn due at or before `nowIso`.
+ */
+async function findDueCircles(nowIso) {
+  const circles = [];
+  let exclusiveStartKey = undefined;
+
+  do {
+    const res = await ddb.send(
+      new ScanCommand({
+        TableName: CIRCLES_TABLE_NAME,
+        // Archived/deleted circles (any status) are skipped
+        FilterExpression:
+          "attribute_not_exists(#status) AND (" +
+          "(#schedule.#enabled = :true AND #schedule.nextRunAt <= :now) OR " +
+          "(#rotation.#enabled = :true AND #rotation.nextTurnAt <= :now))",
+        ExpressionAttributeNames: {
+          "#status": "status",
+          "#schedule": "schedule",
+          "#rotation": "rotation",
+          "#enabled": "enabled",
+        },
+        ExpressionAttributeValues: {
+          ":true": true,
+          ":now": nowIso,
+        },
+        ExclusiveStartKey: exclusiveStartKey,
+      })
+    );
+
+    circles.push(...(res.Items || []));
+    exclusiveStartKey = res.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  return circles;
+}
+
+/**
+ * Move the circle's nextRunAt forward. The condition makes this a claim:
+ * if an overlapping invocation already advanced it, we skip the circle.
+ */
+async function claimScheduledRun(circle, now) {
+  const schedule = circle.schedule;
+  const nextRunAt = computeNextScheduledRunAt(schedule, now);
+
+  try {
+    await ddb.send(
+      new UpdateCommand({
+        TableName: CIRCLES_TABLE_NAME,
+        Key: { circleId: circle.circleId },
+        UpdateExpression:
+          "SET #schedule.nextRunAt = :next, #schedule.lastRunAt = :now",
+        ConditionExpression: "#schedule.nextRunAt = :prev",
+        ExpressionAttributeNames: { "#schedule": "schedule" },
+        ExpressionAttributeValues: {
+          ":next": nextRunAt,
+          ":now": now.toISOString(),
+          ":prev": schedule.nextRunAt,
+        },
+      })
+    );
+    return true;
+  } catch (err) {
+    if (err.name === "ConditionalCheckFailedException") {
+      console.log("Scheduled run already claimed:", circle.circleId);
+      return false;
+    }
+    throw err;
+  }
+}
+
+async function postScheduledQuestion(circle, now) {
+  const circleId = circle.circleId;
+
+  const result = await generateConversationPrompts({
+    circleId,
+    count: 1,
+    userId: SCHEDULER_USER_ID,
+  });
+
+  if (result.error) {
+    console.error("Could not generate scheduled question for", circleId, {
+      statusCode: result.error.statusCode,
+      body: result.error.body,
+    });
+    return;
+  }
+
+  const text = result.prompts[0];
+  const messageId = `msg_${randomUUID()}`;
+
+  await createCircleMessage({
+    familyId: circleId,
+    createdAt: now.toISOString(),
+    author: SCHEDULER_AUTHOR,
+    authorUserId: SCHEDULER_USER_ID,
+    text,
+    messageId,
+    messageType: "question",
+  });
+
+  await enqueueNewQuestionPushEvent({
+    circleId,
+    circleName: circle.name || circleId,
+    questionId: messageId,
+    questionText: text,
+    actorUserId: SCHEDULER_USER_ID,
+  });
+
+  console.log("Posted scheduled question:", { circleId, messageId });
+}
+
+function isDue(entry, dueField, nowIso) {
+  return !!(entry && entry.enabled && entry[dueField] && entry[dueField] <= nowIso);
+}
+
+exports.handler = async () => {
+  const now = new Date();
+  const dueCircles = await findDueCircles(now.toISOString());
+
+  console.log("Question scheduler: due circles =", dueCircles.length);
+
+  for (const circle of dueCircles) {
+    // Keep going on errors: one bad circle shouldn't block the rest
+    if (isDue(circle.rotation, "nextTurnAt", now.toISOString())) {
+      try {
+        const next = await advanceCircleRotation(circle, now);
+        if (next) {
+          console.log("Rotation advanced:", {
+            circleId: circle.circleId,
+            currentUserId: next.currentUserId,
+          });
+        }
+      } catch (err) {
+        console.error("Rotation advance failed for", circle.circleId, err);
+      }
+    }
+
+    if (isDue(circle.schedule, "nextRunAt", now.toISOString())) {
+      try {
+        const claimed = await claimScheduledRun(circle, now);
+        if (claimed) {
+          await postScheduledQuestion(circle, now);
+        }
+      } catch (err) {
+        console.error("Scheduled question failed for", circle.circleId, err);
+      }
+    }
+  }
+
+  try {
+    const closedPolls = await closeDuePolls(now);
+    console.log("Question scheduler: polls closed =", closedPolls);
+  } catch (err) {
+    console.error("Closing due polls failed:", err);
+  }
+
+  try {
+    const reminders = await sendDueEventReminders(now);
+    console.log("Question scheduler: event reminders sent =", reminders);
+  } catch (err) {
+    console.error("Sending event reminders failed:", err);
+  }
+};
@@ -0,0 +1,155 @@
+// lambdas/search-indexer.js
+//
+// DynamoDB stream consumer for CirclesMessagesV2. Keeps CircleSearchIndex
+// in sync so GET /api/circles/{circleId}/search doesn't have to scan.
+//
+// One index row per (circle, token, message):
+//   circleToken = `${circleId}#${token}`, messageKey = the message's sort key
+// Edits only touch the tokens that changed; deletes (tombstones or the
+// circle cleanup removing items) drop every row of the message.
+//
+// Writes are idempotent, so replaying a batch after a failure is safe.
+
+// --- Env vars ---
+const searchIndexTableName =
+  process.env.SEARCH_INDEX_TABLE_NAME || "CircleSearchIndex";
+
+// --- AWS SDK v3 clients ---
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const {
+  DynamoDBDocumentClient,
+  BatchWriteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { unmarshall } = require("@aws-sdk/util-dynamodb");
+
+// Same tokenizer the search endpoint uses for queries
+const { tokenizeSearchText } = require("./search-tokens");
+
+const ddb = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+/**
+ * Lambda handler for DynamoDB stream events (NEW_AND_OLD_IMAGES)
+ * @param {import('aws-lambda').DynamoDBStreamEvent} event
+ */
+exports.handler = async (event) => {
+  // Kept in stream order so a later change to the same row wins
+  const requests = [];
+  let puts = 0;
+  let deletes = 0;
+
+  for (const record of event.Records) {
+    const oldItem = record.dynamodb.OldImage
+      ? unmarshall(record.dynamodb.OldImage)
+      : null;
+    const newItem = record.dynamodb.NewImage
+      ? unmarshall(record.dynamodb.NewImage)
+      : null;
+
+    const oldTokens = getIndexTokens(oldItem);
+    const newTokens = getIndexTokens(newItem);
+
+    // Circles/reindex-search.mjs bumps this to rebuild rows for old messages
+    const forceReindex =
+      !!newItem &&
+      (!oldItem ||
+        newItem.searchReindexRequestedAt !== oldItem.searchReindexRequestedAt);
+
+    for (const token of oldTokens) {
+      if (!newTokens.has(token)) {
+        requests.push({ DeleteRequest: { Key: toIndexKey(oldItem, token) } });
+        deletes++;
+      }
+    }
+
+    for (const token of newTokens) {
+      if (forceReindex || !oldTokens.has(token)) {
+        requests.push({ PutRequest: { Item: toIndexItem(newItem, token) } });
+        puts++;
+      }
+    }
+  }
+
+  await batchWrite(requests);
+
+  console.log("Search index updated:", {
+    records: event.Records.length,
+    puts,
+    deletes,
+  });
+};
+
+/**
+ * Tokens a message is findable by: its text, its author's name and, for
+ * polls and events, the option texts or location. Deleted (tombstoned)
+ * messages aren't findable at all.
+ */
+function getIndexTokens(item) {
+  if (!item || item.deleted || !item.familyId || !item.messageKey) {
+    return new Set();
+  }
+  const pollText = item.poll
+    ? item.poll.options.map((option) => option.text).join(" ")
+    : "";
+  const location = (item.event && item.event.location) || "";
+  return new Set(
+    tokenizeSearchText(
+      `${item.text || ""} ${item.author || ""} ${pollText} ${location}`
+    )
+  );
+}
+
+function toIndexKey(item, token) {
+  return {
+    circleToken: `${item.familyId}#${token}`,
+    messageKey: item.messageKey,
+  };
+}
+
+function toIndexItem(item, token) {
+  return {
+    ...toIndexKey(item, token),
+    circleId: item.familyId,
+    token,
+    messageId: item.messageId,
+    threadId: item.threadId || null,
+  };
+}
+
+async function batchWrite(requests) {
+  // A batch can't hold two requests for the same key; the last one wins
+  const byKey = new Map();
+  for (const request of requests) {
+    const key = request.DeleteRequest
+      ? request.DeleteRequest.Key
+      : request.PutRequest.Item;
+    byKey.set(`${key.circleToken}|${key.messageKey}`, request);
+  }
+  const unique = Array.from(byKey.values());
+
+  for (let i = 0; i < unique.length; i += 25) {
+    let requestItems = {
+      [searchIndexTableName]: unique.slice(i, i + 25),
+    };
+
+    for (let attempt = 0; attempt < 8; attempt++) {
+      const res = await ddb.send(
+        new BatchWriteCommand({ RequestItems: requestItems })
+      );
+
+      const unprocessed = res.UnprocessedItems || {};
+      if (
+        !unprocessed[searchIndexTableName] ||
+        !unprocessed[searchIndexTableName].length
+      ) {
+        break;
+      }
+
+      if (attempt === 7) {
+        throw new Error("Unprocessed search index writes left after retries");
+      }
+
+      requestItems = unprocessed;
+      await new Promise((r) => setTimeout(r, 100 * 2 ** attempt));
+    }
+  }
+}
@@ -0,0 +1,53 @@
+// lambdas/search-tokens.js
+//
+// Search tokenizer shared by the search endpoint (circles-api-handler.js,
+// to parse queries) and search-indexer.js (to index messages), so the two
+// always agree. Kept on its own so the indexer doesn't load the API handler.
+
+// Too common to narrow anything down; left out of the index entirely
+const SEARCH_STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "did", "do",
+  "for", "from", "had", "has", "have", "he", "her", "his", "i", "if", "in",
+  "is", "it", "its", "me", "my", "of", "on", "or", "our", "she", "so",
+  "that", "the", "their", "them", "they", "this", "to", "was", "we",
+  "were", "what", "when", "where", "which", "who", "with", "you", "your",
+]);
+const SEARCH_MAX_TOKEN_LENGTH = 40;
+
+// Crude plural folding so "cars" finds "car" (and "stories" finds "story")
+function foldSearchToken(word) {
+  if (word.length > 4 && word.endsWith("ies")) {
+    return word.slice(0, -3) + "y";
+  }
+  if (word.length > 3 && word.endsWith("s") && !/(ss|us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+/**
+ * Split text into search tokens: lower-cased, accents stripped, stop
+ * words and single characters dropped, plurals folded.
+ */
+function tokenizeSearchText(text) {
+  if (!text) return [];
+
+  const words = String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['\u2019]s\b/g, "")
+    .split(/[^\p{L}\p{N}]+/u);
+
+  const tokens = new Set();
+  for (const word of words) {
+    if (word.length < 2 || word.length > SEARCH_MAX_TOKEN_LENGTH) continue;
+    if (SEARCH_STOP_WORDS.has(word)) continue;
+    tokens.add(foldSearchToken(word));
+  }
+  return Array.from(tokens);
+}
+
+module.exports = {
+  tokenizeSearchText,
+};